@@ -5,10 +5,13 @@ import sitemap from "@astrojs/sitemap";
 
 import cloudflare from "@astrojs/cloudflare";
 
+import cableData from "./src/integrations/cableData.js";
+import staticGlobe from "./src/integrations/staticGlobe.js";
+
 // https://astro.build/config
 export default defineConfig({
 	site: "https://cloudflare-atlas.pcx-team.workers.dev",
-	integrations: [mdx(), sitemap()],
+	integrations: [mdx(), sitemap(), cableData(), staticGlobe()],
 	output: "static",
 	adapter: cloudflare(),
 	vite: {
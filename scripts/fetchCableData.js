@@ -0,0 +1,104 @@
+/**
+ * CABLE DATA FETCHER
+ *
+ * Downloads the submarine cable dataset that src/integrations/cableData.js
+ * builds from, into data/submarine-cables/:
+ * - cable-geo.json and landing-point-geo.json from submarinecablemap.com
+ * - cable/<id>.json with the details (landing stations, owners, length, ...)
+ *   of every cable in cable-geo.json
+ *
+ * Runs before `npm run build` (prebuild). An existing copy is kept, so builds
+ * stay reproducible until it is refreshed with --force. Skipped in fixture mode
+ * (CABLE_DATA_FIXTURE=1), which builds from data/fixtures/submarine-cables/.
+ *
+ * Usage: node scripts/fetchCableData.js [--force]
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Configuration for the fetcher
+ */
+const FETCH_CONFIG = {
+	baseUrl: 'https://www.submarinecablemap.com/api/v3',
+	outputDir: 'data/submarine-cables', // Must match CABLE_DATA_CONFIG.sourceDir
+	fixtureEnvVar: 'CABLE_DATA_FIXTURE',
+
+	files: [
+		{ url: '/cable/cable-geo.json', file: 'cable-geo.json' },
+		{ url: '/landing-point/landing-point-geo.json', file: 'landing-point-geo.json' }
+	],
+	detailsDir: 'cable',
+
+	concurrency: 8, // Parallel detail requests
+	retries: 2
+};
+
+async function fetchJson(url, { optional = false } = {}) {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			const response = await fetch(url);
+			if (optional && response.status === 404) return null;
+			if (!response.ok) throw new Error(`HTTP ${response.status}`);
+			return await response.json();
+		} catch (error) {
+			if (attempt >= FETCH_CONFIG.retries) {
+				throw new Error(`Could not fetch ${url}: ${error.message}`);
+			}
+		}
+	}
+}
+
+async function fetchCableData() {
+	const { baseUrl, outputDir, files, detailsDir, concurrency } = FETCH_CONFIG;
+
+	// Download into a temporary directory so a failed run never leaves a partial dataset
+	const tempDir = `${outputDir}.download`;
+	await rm(tempDir, { recursive: true, force: true });
+	await mkdir(path.join(tempDir, detailsDir), { recursive: true });
+
+	console.log(`🌊 Downloading the submarine cable dataset from ${baseUrl}...`);
+
+	let cablesGeo = null;
+	for (const { url, file } of files) {
+		const data = await fetchJson(`${baseUrl}${url}`);
+		await writeFile(path.join(tempDir, file), JSON.stringify(data));
+		if (file === 'cable-geo.json') cablesGeo = data;
+	}
+
+	const cableIds = [...new Set(cablesGeo.features.map(({ properties }) => properties.id))];
+	let next = 0;
+	await Promise.all(Array.from({ length: concurrency }, async () => {
+		while (next < cableIds.length) {
+			const id = cableIds[next++];
+			// Details are optional per cable (cableData.js); a missing one is skipped
+			const details = await fetchJson(`${baseUrl}/cable/${encodeURIComponent(id)}.json`, { optional: true });
+			if (details) await writeFile(path.join(tempDir, detailsDir, `${id}.json`), JSON.stringify(details));
+		}
+	}));
+
+	await rm(outputDir, { recursive: true, force: true });
+	await mkdir(path.dirname(outputDir), { recursive: true });
+	await rename(tempDir, outputDir);
+
+	console.log(`✅ Cable dataset saved to ${outputDir}/ (${cableIds.length} cables)`);
+}
+
+const force = process.argv.includes('--force');
+
+if (process.env[FETCH_CONFIG.fixtureEnvVar] === '1') {
+	console.log(`🧪 ${FETCH_CONFIG.fixtureEnvVar}=1, not downloading the cable dataset`);
+} else if (!force && existsSync(path.join(FETCH_CONFIG.outputDir, 'cable-geo.json'))) {
+	console.log(`🌊 Using the cable dataset in ${FETCH_CONFIG.outputDir}/ (--force to refresh)`);
+} else {
+	try {
+		await fetchCableData();
+	} catch (error) {
+		await rm(`${FETCH_CONFIG.outputDir}.download`, { recursive: true, force: true });
+		console.error('❌ Failed to download the cable dataset:', error.message);
+		console.error(`   Set ${FETCH_CONFIG.fixtureEnvVar}=1 to build with the development sample instead.`);
+		process.exit(1);
+	}
+}
@@ -0,0 +1,73 @@
+/**
+ * GLOBE TEXTURE GENERATOR
+ *
+ * Builds the self-hosted globe textures in public/textures/globe/:
+ * - Reads the source images shipped with three-globe (a globe.gl dependency)
+ * - Resizes each one into low, medium and high quality tiers
+ * - Writes <name>-<tier>.<ext>, the names expected by src/scripts/globeTextures.js
+ *
+ * The output is committed, so this only needs to run when the tiers change.
+ *
+ * Usage: node scripts/generateGlobeTextures.js
+ */
+
+import { mkdirSync, statSync } from 'node:fs';
+import path from 'node:path';
+import sharp from 'sharp';
+
+/**
+ * Configuration for the generator
+ */
+const TEXTURE_GENERATOR_CONFIG = {
+	sourceDir: 'node_modules/three-globe/example/img',
+	outputDir: 'public/textures/globe',
+
+	// Width per tier (height is half: equirectangular). Sources are never upscaled.
+	textures: [
+		{ name: 'earth-dark', source: 'earth-dark.jpg', format: 'jpeg', widths: { low: 512, medium: 1024, high: 2048 } },
+		{ name: 'earth-topology', source: 'earth-topology.png', format: 'png', grayscale: true, widths: { low: 512, medium: 1024, high: 2048 } },
+		{ name: 'night-sky', source: 'night-sky.png', format: 'jpeg', widths: { low: 1024, medium: 2048, high: 4096 } },
+		// Sun lighting (src/scripts/globeLighting.js): daylight and city lights, blended across the terminator
+		{ name: 'earth-day', source: 'earth-day.jpg', format: 'jpeg', widths: { low: 512, medium: 1024, high: 2048 } },
+		{ name: 'earth-night', source: 'earth-night.jpg', format: 'jpeg', widths: { low: 512, medium: 1024, high: 2048 } }
+	],
+
+	jpegQuality: 82
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png' };
+
+async function generateTexture({ name, source, format, grayscale = false, widths }) {
+	const sourcePath = path.join(TEXTURE_GENERATOR_CONFIG.sourceDir, source);
+	const { width: sourceWidth } = await sharp(sourcePath).metadata();
+
+	for (const [tier, width] of Object.entries(widths)) {
+		const outputPath = path.join(TEXTURE_GENERATOR_CONFIG.outputDir, `${name}-${tier}.${EXTENSIONS[format]}`);
+		const targetWidth = Math.min(width, sourceWidth);
+
+		let image = sharp(sourcePath).resize(targetWidth, targetWidth / 2);
+		if (grayscale) image = image.toColourspace('b-w'); // Bump maps only need one channel
+		image = format === 'jpeg'
+			? image.jpeg({ quality: TEXTURE_GENERATOR_CONFIG.jpegQuality, mozjpeg: true })
+			: image.png({ compressionLevel: 9 });
+		await image.toFile(outputPath);
+
+		const kilobytes = Math.round(statSync(outputPath).size / 1024);
+		console.log(`  ${outputPath} (${targetWidth}×${targetWidth / 2}, ${kilobytes} KB)`);
+	}
+}
+
+async function generateGlobeTextures() {
+	mkdirSync(TEXTURE_GENERATOR_CONFIG.outputDir, { recursive: true });
+
+	console.log('🖼️  Generating globe textures...');
+	for (const texture of TEXTURE_GENERATOR_CONFIG.textures) {
+		await generateTexture(texture);
+	}
+	console.log('✅ Globe textures written');
+}
+
+generateGlobeTextures().catch(error => {
+	console.error('❌ Failed to generate globe textures:', error.message);
+	process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * CABLE BUCKET SEEDER
+ *
+ * Copies the cable snapshot produced by `npm run build` into the CABLE_DATA
+ * R2 bucket that backs /api/cables:
+ * - Reads dist/data/cables/manifest.json to find the current snapshot
+ * - Looks up the bucket name for the CABLE_DATA binding in wrangler.json
+ * - Uploads it with `wrangler r2 object put`
+ *
+ * Usage: node scripts/seedCableBucket.js --local | --remote
+ */
+
+import { execFileSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Configuration for the seeder
+ */
+const SEED_CONFIG = {
+	binding: 'CABLE_DATA',
+	objectKey: 'cables/current.json', // Must match CABLE_API_CONFIG.objectKey in src/pages/api/cables.ts
+	manifestPath: 'dist/data/cables/manifest.json',
+	wranglerConfigPath: 'wrangler.json',
+	buildDir: 'dist'
+};
+
+function readJson(filePath, hint) {
+	try {
+		return JSON.parse(readFileSync(filePath, 'utf-8'));
+	} catch (error) {
+		throw new Error(`Could not read ${filePath}${hint ? ` (${hint})` : ''}: ${error.message}`);
+	}
+}
+
+function seedCableBucket(mode) {
+	const wranglerConfig = readJson(SEED_CONFIG.wranglerConfigPath);
+	const bucket = wranglerConfig.r2_buckets?.find(({ binding }) => binding === SEED_CONFIG.binding);
+	if (!bucket) {
+		throw new Error(`No R2 bucket bound to ${SEED_CONFIG.binding} in ${SEED_CONFIG.wranglerConfigPath}`);
+	}
+
+	const manifest = readJson(SEED_CONFIG.manifestPath, 'run `npm run build` first');
+	const snapshotFile = path.join(SEED_CONFIG.buildDir, manifest.cables.url);
+
+	console.log(`🌊 Uploading cable snapshot ${manifest.version} to ${bucket.bucket_name}/${SEED_CONFIG.objectKey} (${mode})...`);
+
+	execFileSync('npx', [
+		'wrangler', 'r2', 'object', 'put',
+		`${bucket.bucket_name}/${SEED_CONFIG.objectKey}`,
+		'--file', snapshotFile,
+		'--content-type', 'application/json',
+		`--${mode}`
+	], { stdio: 'inherit' });
+
+	console.log('✅ Cable bucket seeded');
+}
+
+const mode = process.argv.includes('--remote') ? 'remote' : 'local';
+
+try {
+	seedCableBucket(mode);
+} catch (error) {
+	console.error('❌ Failed to seed cable bucket:', error.message);
+	process.exit(1);
+}
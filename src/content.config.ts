@@ -27,4 +27,18 @@ const homepage = defineCollection({
 	}),
 });
 
-export const collections = { blog, homepage };
+const datacenters = defineCollection({
+	// Load one JSON or YAML file per Cloudflare data center from `src/content/datacenters/`.
+	// Entries are rendered on the globe, so new locations need no script changes.
+	loader: glob({ base: "./src/content/datacenters", pattern: "**/*.{json,yaml,yml}" }),
+	schema: z.object({
+		city: z.string(),
+		iata: z.string().regex(/^[A-Z]{3}$/, "IATA codes are three uppercase letters"),
+		lat: z.number().min(-90).max(90),
+		lng: z.number().min(-180).max(180),
+		region: z.enum(["Africa", "Asia Pacific", "Europe", "Latin America", "Middle East", "North America"]),
+		services: z.array(z.string().min(1)).default([]),
+	}),
+});
+
+export const collections = { blog, homepage, datacenters };
@@ -0,0 +1,632 @@
+/**
+ * SUBMARINE CABLE DATA INTEGRATION
+ *
+ * Build-time step that turns the local copy of the submarine cable dataset
+ * into validated, versioned static assets:
+ * - Reads the local copy of the submarinecablemap.com dataset in
+ *   data/submarine-cables/ (cable-geo.json, landing-point-geo.json and optional
+ *   per-cable details), downloaded by scripts/fetchCableData.js before each build
+ * - Fails the build when that copy is missing, unless CABLE_DATA_FIXTURE=1
+ *   selects the small hand-made sample in data/fixtures/submarine-cables/,
+ *   in which case the manifest and snapshots are marked `fixture: true`
+ * - Validates every feature and fails the build on malformed data
+ * - Links cables to their landing stations and merges length, ready-for-service
+ *   year and owners from the per-cable details
+ * - Tags landing stations and cables with World Bank regions (countryRegions.js)
+ * - Writes the Natural Earth country outlines with the cables landing in each,
+ *   for the globe's country layer
+ * - Writes content-hashed snapshots plus a small manifest to dist/data/cables/
+ * - Adds simplified level-of-detail cable snapshots for the zoomed-out globe
+ * - Serves the same files from memory while running `astro dev`
+ *
+ * The globe fetches the manifest (always revalidated) to discover the hashed
+ * snapshot URLs, which can then be cached forever.
+ */
+
+import { createHash } from 'node:crypto';
+import { access, mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { countVertices, simplifyGeometry } from './simplifyPaths.js';
+import { countryId, loadCountryRegions } from './countryRegions.js';
+
+/**
+ * Configuration for the cable data build step
+ */
+const CABLE_DATA_CONFIG = {
+	// Inputs
+	sourceDir: 'data/submarine-cables', // Local copy of the submarinecablemap.com dataset (not checked in)
+	fixtureDir: 'data/fixtures/submarine-cables', // Hand-made sample for development, never the real dataset
+	fixtureEnvVar: 'CABLE_DATA_FIXTURE', // Set to 1 to build from fixtureDir
+	cablesFile: 'cable-geo.json',
+	landingPointsFile: 'landing-point-geo.json',
+	cableDetailsDir: 'cable', // Optional <cable id>.json per cable
+	countriesFile: 'data/natural-earth/countries-110m.geojson', // Country names, regions and outlines
+
+	// Output (relative to the build output directory and the dev server root)
+	outputDir: 'data/cables',
+	snapshotDir: 'data/cables/snapshots', // Hashed files, served with immutable caching
+	manifestName: 'manifest.json',
+
+	// Level of detail: Douglas–Peucker tolerances (degrees), one extra cable snapshot each.
+	// The globe picks one by camera altitude (GLOBE_CONFIG.cableLodLevels).
+	lodTolerances: [0.03, 0.15, 0.5],
+
+	// Versioning
+	schemaVersion: 1, // Bump when the snapshot format changes
+	hashLength: 10,
+
+	// Validation reporting
+	maxReportedErrors: 20
+};
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Check a single [lng, lat] position
+ * @param {unknown} position - Candidate position
+ * @returns {boolean} Whether the position is a finite, in-range coordinate pair
+ */
+function isValidPosition(position) {
+	if (!Array.isArray(position) || position.length < 2) return false;
+
+	const [lng, lat] = position;
+	return Number.isFinite(lng) && Number.isFinite(lat) &&
+		lng >= -180 && lng <= 180 &&
+		lat >= -90 && lat <= 90;
+}
+
+/**
+ * Check a line of positions
+ * @param {unknown} line - Candidate line string coordinates
+ * @returns {boolean} Whether the line has at least two valid positions
+ */
+function isValidLine(line) {
+	return Array.isArray(line) && line.length >= 2 && line.every(isValidPosition);
+}
+
+/**
+ * Validate one cable feature
+ * @param {any} feature - GeoJSON feature from cable-geo.json
+ * @param {number} index - Feature index, used in error messages
+ * @returns {Array<string>} Validation errors (empty when the feature is valid)
+ */
+function validateCableFeature(feature, index) {
+	const errors = [];
+	const label = `feature[${index}]${feature?.properties?.id ? ` (${feature.properties.id})` : ''}`;
+
+	if (!feature || feature.type !== 'Feature') {
+		return [`${label}: expected type "Feature"`];
+	}
+
+	const { geometry, properties } = feature;
+
+	if (!properties || typeof properties !== 'object') {
+		errors.push(`${label}: missing properties`);
+	} else {
+		if (typeof properties.id !== 'string' || properties.id.length === 0) {
+			errors.push(`${label}: properties.id must be a non-empty string`);
+		}
+		if (typeof properties.name !== 'string' || properties.name.trim().length === 0) {
+			errors.push(`${label}: properties.name must be a non-empty string`);
+		}
+		if (properties.color !== undefined && !HEX_COLOR_PATTERN.test(properties.color)) {
+			errors.push(`${label}: properties.color must be a hex color, got ${JSON.stringify(properties.color)}`);
+		}
+	}
+
+	if (!geometry) {
+		errors.push(`${label}: missing geometry`);
+	} else if (geometry.type === 'LineString') {
+		if (!isValidLine(geometry.coordinates)) {
+			errors.push(`${label}: LineString needs at least two valid [lng, lat] positions`);
+		}
+	} else if (geometry.type === 'MultiLineString') {
+		if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+			errors.push(`${label}: MultiLineString has no lines`);
+		} else {
+			geometry.coordinates.forEach((line, lineIndex) => {
+				if (!isValidLine(line)) {
+					errors.push(`${label}: line ${lineIndex} needs at least two valid [lng, lat] positions`);
+				}
+			});
+		}
+	} else {
+		errors.push(`${label}: unsupported geometry type ${JSON.stringify(geometry.type)}`);
+	}
+
+	return errors;
+}
+
+/**
+ * Validate the whole cable FeatureCollection
+ * @param {any} cablesGeo - Parsed cable-geo.json
+ * @returns {Array<string>} Validation errors (empty when the dataset is valid)
+ */
+function validateCableGeo(cablesGeo) {
+	if (!cablesGeo || cablesGeo.type !== 'FeatureCollection') {
+		return ['root: expected type "FeatureCollection"'];
+	}
+
+	if (!Array.isArray(cablesGeo.features) || cablesGeo.features.length === 0) {
+		return ['root: features must be a non-empty array'];
+	}
+
+	const errors = cablesGeo.features.flatMap(validateCableFeature);
+
+	const seenIds = new Set();
+	cablesGeo.features.forEach((feature, index) => {
+		const id = feature?.properties?.id;
+		if (typeof id !== 'string') return;
+		if (seenIds.has(id)) {
+			errors.push(`feature[${index}] (${id}): duplicate properties.id`);
+		}
+		seenIds.add(id);
+	});
+
+	return errors;
+}
+
+/**
+ * Validate the landing station FeatureCollection
+ * @param {any} landingPointsGeo - Parsed landing-point-geo.json
+ * @returns {Array<string>} Validation errors (empty when the dataset is valid)
+ */
+function validateLandingPointGeo(landingPointsGeo) {
+	if (!landingPointsGeo || landingPointsGeo.type !== 'FeatureCollection' || !Array.isArray(landingPointsGeo.features)) {
+		return ['landing points root: expected a FeatureCollection with a features array'];
+	}
+
+	const errors = [];
+	const seenIds = new Set();
+
+	landingPointsGeo.features.forEach((feature, index) => {
+		const id = feature?.properties?.id;
+		const label = `landing point[${index}]${id ? ` (${id})` : ''}`;
+
+		if (typeof id !== 'string' || id.length === 0) {
+			errors.push(`${label}: properties.id must be a non-empty string`);
+		} else if (seenIds.has(id)) {
+			errors.push(`${label}: duplicate properties.id`);
+		} else {
+			seenIds.add(id);
+		}
+
+		if (typeof feature?.properties?.name !== 'string' || feature.properties.name.trim().length === 0) {
+			errors.push(`${label}: properties.name must be a non-empty string`);
+		}
+
+		if (feature?.geometry?.type !== 'Point' || !isValidPosition(feature.geometry.coordinates)) {
+			errors.push(`${label}: geometry must be a Point with a valid [lng, lat] position`);
+		}
+	});
+
+	return errors;
+}
+
+/**
+ * Validate per-cable details against the cable and landing point ids
+ * @param {Map<string, any>} cableDetails - Details keyed by file name (cable id)
+ * @param {Set<string>} cableIds - Ids from cable-geo.json
+ * @param {Set<string>} landingPointIds - Ids from landing-point-geo.json
+ * @returns {Array<string>} Validation errors (empty when the details are valid)
+ */
+function validateCableDetails(cableDetails, cableIds, landingPointIds) {
+	const errors = [];
+
+	for (const [fileId, details] of cableDetails) {
+		const label = `cable details ${fileId}.json`;
+
+		if (details?.id !== fileId) {
+			errors.push(`${label}: id ${JSON.stringify(details?.id)} does not match the file name`);
+		}
+		if (!cableIds.has(fileId)) {
+			errors.push(`${label}: no cable with this id in cable-geo.json`);
+		}
+		if (!Array.isArray(details?.landing_points)) {
+			errors.push(`${label}: landing_points must be an array`);
+			continue;
+		}
+
+		details.landing_points.forEach((landingPoint, index) => {
+			if (!landingPointIds.has(landingPoint?.id)) {
+				errors.push(`${label}: landing_points[${index}] references unknown landing point ${JSON.stringify(landingPoint?.id)}`);
+			}
+		});
+	}
+
+	return errors;
+}
+
+/**
+ * Parse a details length such as "6,500 km" into kilometres
+ * @param {unknown} length - Raw length from the cable details
+ * @returns {number|null} Length in km, or null when missing or unparsable
+ */
+function parseLengthKm(length) {
+	if (typeof length !== 'string') return null;
+
+	const kilometres = Number(length.replace(/km/i, '').replace(/,/g, '').trim());
+	return Number.isFinite(kilometres) && kilometres > 0 ? kilometres : null;
+}
+
+/**
+ * Pick the detail fields used by the globe (details card, color modes)
+ * @param {any} details - Per-cable details (may be undefined)
+ * @param {Map<string, string>} regionByLandingPoint - Region of each landing station
+ * @returns {Object} Snapshot properties derived from the details
+ */
+function pickCableDetailProperties(details, regionByLandingPoint) {
+	if (!details) return {};
+
+	const lengthKm = parseLengthKm(details.length);
+	const owners = typeof details.owners === 'string'
+		? details.owners.split(',').map(owner => owner.trim()).filter(Boolean)
+		: [];
+
+	// Regions the cable lands in, the one with the most landing stations first
+	const landingsByRegion = new Map();
+	details.landing_points.forEach(({ id }) => {
+		const region = regionByLandingPoint.get(id);
+		if (region) landingsByRegion.set(region, (landingsByRegion.get(region) || 0) + 1);
+	});
+	const regions = [...landingsByRegion.keys()]
+		.sort((a, b) => landingsByRegion.get(b) - landingsByRegion.get(a) || a.localeCompare(b));
+
+	return {
+		landing_points: details.landing_points.map(({ id }) => id),
+		...(lengthKm ? { length_km: lengthKm } : {}),
+		...(Number.isInteger(details.rfs_year) ? { rfs_year: details.rfs_year } : {}),
+		...(owners.length > 0 ? { owners } : {}),
+		...(regions.length > 0 ? { regions } : {})
+	};
+}
+
+/**
+ * Reduce a validated feature to the fields the globe uses
+ * @param {any} feature - Validated GeoJSON feature
+ * @param {Map<string, any>} cableDetails - Per-cable details keyed by id
+ * @param {Map<string, string>} regionByLandingPoint - Region of each landing station
+ * @returns {Object} Normalized feature
+ */
+function normalizeCableFeature({ geometry, properties }, cableDetails, regionByLandingPoint) {
+	return {
+		type: 'Feature',
+		properties: {
+			id: properties.id,
+			name: properties.name.trim(),
+			...(properties.color ? { color: properties.color } : {}),
+			...pickCableDetailProperties(cableDetails.get(properties.id), regionByLandingPoint)
+		},
+		geometry: {
+			type: geometry.type,
+			coordinates: geometry.coordinates
+		}
+	};
+}
+
+/**
+ * Build landing station features with the cables that land at each one
+ * @param {any} landingPointsGeo - Validated landing-point-geo.json
+ * @param {Map<string, any>} cableDetails - Per-cable details keyed by id
+ * @param {function(Object): string|null} regionFor - Region lookup from loadCountryRegions()
+ * @returns {Array<Object>} Normalized landing point features
+ */
+function buildLandingPointFeatures(landingPointsGeo, cableDetails, regionFor) {
+	const cablesByLandingPoint = new Map();
+	const countryByLandingPoint = new Map();
+
+	for (const [cableId, details] of cableDetails) {
+		details.landing_points.forEach(({ id, country }) => {
+			if (!cablesByLandingPoint.has(id)) cablesByLandingPoint.set(id, []);
+			cablesByLandingPoint.get(id).push(cableId);
+			if (country) countryByLandingPoint.set(id, country);
+		});
+	}
+
+	return landingPointsGeo.features.map(({ geometry, properties }) => {
+		const country = countryByLandingPoint.get(properties.id);
+		const region = regionFor({ country, coordinates: geometry.coordinates });
+
+		return {
+			type: 'Feature',
+			properties: {
+				id: properties.id,
+				name: properties.name.trim(),
+				...(country ? { country } : {}),
+				...(region ? { region } : {}),
+				cables: (cablesByLandingPoint.get(properties.id) || []).sort()
+			},
+			geometry: {
+				type: 'Point',
+				coordinates: geometry.coordinates
+			}
+		};
+	});
+}
+
+/**
+ * Build country outline features with the cables and landing stations in each
+ * Stations are matched by country name; countries too small for the dataset have no outline
+ * @param {Array<Object>} countries - Natural Earth country features
+ * @param {Array<Object>} landingPointFeatures - Normalized landing point features
+ * @param {function(Object): string|null} countryIdFor - Country lookup from loadCountryRegions()
+ * @returns {Array<Object>} Normalized country features
+ */
+function buildCountryFeatures(countries, landingPointFeatures, countryIdFor) {
+	const landingsByCountry = new Map();
+	for (const { properties } of landingPointFeatures) {
+		const id = countryIdFor(properties);
+		if (!id) continue;
+
+		if (!landingsByCountry.has(id)) landingsByCountry.set(id, { landingPoints: 0, cables: new Set() });
+		const landings = landingsByCountry.get(id);
+		landings.landingPoints++;
+		properties.cables.forEach(cableId => landings.cables.add(cableId));
+	}
+
+	return countries.map(({ properties, geometry }) => {
+		const id = countryId(properties);
+		const landings = landingsByCountry.get(id);
+
+		return {
+			type: 'Feature',
+			properties: {
+				id,
+				name: properties.name,
+				landingPoints: landings?.landingPoints ?? 0,
+				cables: landings ? [...landings.cables].sort() : []
+			},
+			geometry: {
+				type: geometry.type,
+				coordinates: geometry.coordinates
+			}
+		};
+	});
+}
+
+/**
+ * Read and parse a JSON input file
+ * @param {string} rootDir - Absolute project root
+ * @param {string} relativePath - Path relative to the project root
+ * @returns {Promise<any>} Parsed JSON
+ */
+async function readJsonFile(rootDir, relativePath) {
+	try {
+		return JSON.parse(await readFile(path.join(rootDir, relativePath), 'utf-8'));
+	} catch (error) {
+		throw new Error(`Could not read cable data from ${relativePath}: ${error.message}`);
+	}
+}
+
+/**
+ * Read all per-cable detail files
+ * @param {string} rootDir - Absolute project root
+ * @param {string} detailsDir - Details directory relative to the project root
+ * @returns {Promise<Map<string, any>>} Details keyed by file name (cable id)
+ */
+async function readCableDetails(rootDir, detailsDir) {
+	let fileNames;
+	try {
+		fileNames = await readdir(path.join(rootDir, detailsDir));
+	} catch (error) {
+		if (error.code === 'ENOENT') return new Map();
+		throw error;
+	}
+
+	const entries = await Promise.all(fileNames
+		.filter(fileName => fileName.endsWith('.json'))
+		.sort()
+		.map(async fileName => [
+			path.basename(fileName, '.json'),
+			await readJsonFile(rootDir, path.join(detailsDir, fileName))
+		]));
+
+	return new Map(entries);
+}
+
+/**
+ * Pick the dataset to build from
+ * The real dataset is required unless fixture mode is switched on explicitly,
+ * so a missing download can never ship the sample as the cable map.
+ * @param {string} rootDir - Absolute project root
+ * @returns {Promise<Object>} {fixture, cablesFile, landingPointsFile, cableDetailsDir}, relative to the project root
+ */
+async function resolveCableSources(rootDir) {
+	const { sourceDir, fixtureDir, fixtureEnvVar } = CABLE_DATA_CONFIG;
+	const fixture = process.env[fixtureEnvVar] === '1';
+	const dir = fixture ? fixtureDir : sourceDir;
+	const sources = {
+		fixture,
+		cablesFile: path.join(dir, CABLE_DATA_CONFIG.cablesFile),
+		landingPointsFile: path.join(dir, CABLE_DATA_CONFIG.landingPointsFile),
+		cableDetailsDir: path.join(dir, CABLE_DATA_CONFIG.cableDetailsDir)
+	};
+
+	if (!fixture) {
+		try {
+			await access(path.join(rootDir, sources.cablesFile));
+		} catch {
+			throw new Error(
+				`No submarine cable dataset in ${sourceDir}/. Download it with \`npm run fetch:cables\` ` +
+				`(\`npm run build\` does this first), or set ${fixtureEnvVar}=1 to build with the sample in ${fixtureDir}/.`
+			);
+		}
+	}
+
+	return sources;
+}
+
+/**
+ * Short content hash used for file names and the dataset version
+ * @param {string} content - Content to hash
+ * @returns {string} Truncated hex digest
+ */
+function hashContent(content) {
+	return createHash('sha256').update(content).digest('hex').slice(0, CABLE_DATA_CONFIG.hashLength);
+}
+
+/**
+ * Read, validate and serialize the cable dataset
+ * @param {string} rootDir - Absolute project root
+ * @returns {Promise<Object>} Snapshot with manifest and files keyed by public path
+ */
+async function buildCableSnapshot(rootDir) {
+	const sources = await resolveCableSources(rootDir);
+	const cablesGeo = await readJsonFile(rootDir, sources.cablesFile);
+	const landingPointsGeo = await readJsonFile(rootDir, sources.landingPointsFile);
+	const cableDetails = await readCableDetails(rootDir, sources.cableDetailsDir);
+
+	let errors = [...validateCableGeo(cablesGeo), ...validateLandingPointGeo(landingPointsGeo)];
+	if (errors.length === 0) {
+		const cableIds = new Set(cablesGeo.features.map(({ properties }) => properties.id));
+		const landingPointIds = new Set(landingPointsGeo.features.map(({ properties }) => properties.id));
+		errors = validateCableDetails(cableDetails, cableIds, landingPointIds);
+	}
+
+	if (errors.length > 0) {
+		const reported = errors.slice(0, CABLE_DATA_CONFIG.maxReportedErrors);
+		const remaining = errors.length - reported.length;
+		throw new Error(
+			`Invalid cable data in ${path.dirname(sources.cablesFile)}/ (${errors.length} errors):\n` +
+			reported.map(error => `  - ${error}`).join('\n') +
+			(remaining > 0 ? `\n  ...and ${remaining} more` : '')
+		);
+	}
+
+	const { countries, countryIdFor, regionFor } = await loadCountryRegions(rootDir, CABLE_DATA_CONFIG.countriesFile);
+	const landingPointFeatures = buildLandingPointFeatures(landingPointsGeo, cableDetails, regionFor);
+	const countryFeatures = buildCountryFeatures(countries, landingPointFeatures, countryIdFor);
+	const regionByLandingPoint = new Map(landingPointFeatures.map(({ properties }) => [properties.id, properties.region]));
+	const cableFeatures = cablesGeo.features.map(feature => normalizeCableFeature(feature, cableDetails, regionByLandingPoint));
+
+	const cablesHash = hashContent(JSON.stringify(cableFeatures));
+	const landingPointsHash = hashContent(JSON.stringify(landingPointFeatures));
+	const countriesHash = hashContent(JSON.stringify(countryFeatures));
+	const version = hashContent(cablesHash + landingPointsHash);
+
+	const vertexCount = features => features.reduce((total, { geometry }) => total + countVertices(geometry), 0);
+	const lodLevels = CABLE_DATA_CONFIG.lodTolerances.map(tolerance => {
+		const features = cableFeatures.map(feature => ({ ...feature, geometry: simplifyGeometry(feature.geometry, tolerance) }));
+		return { tolerance, features, hash: hashContent(JSON.stringify(features)) };
+	});
+
+	const serialize = features => JSON.stringify({
+		type: 'FeatureCollection',
+		metadata: {
+			schemaVersion: CABLE_DATA_CONFIG.schemaVersion,
+			version,
+			...(sources.fixture && { fixture: true }),
+			featureCount: features.length
+		},
+		features
+	});
+
+	const cablesBody = serialize(cableFeatures);
+	const landingPointsBody = serialize(landingPointFeatures);
+	const countriesBody = serialize(countryFeatures);
+	const lodBodies = lodLevels.map(({ features }) => serialize(features));
+
+	const cablesPath = `/${CABLE_DATA_CONFIG.snapshotDir}/cables.${cablesHash}.json`;
+	const landingPointsPath = `/${CABLE_DATA_CONFIG.snapshotDir}/landing-points.${landingPointsHash}.json`;
+	const countriesPath = `/${CABLE_DATA_CONFIG.snapshotDir}/countries.${countriesHash}.json`;
+	const manifestPath = `/${CABLE_DATA_CONFIG.outputDir}/${CABLE_DATA_CONFIG.manifestName}`;
+	const lodPaths = lodLevels.map(({ hash }) => `/${CABLE_DATA_CONFIG.snapshotDir}/cables.${hash}.json`);
+
+	const manifest = {
+		schemaVersion: CABLE_DATA_CONFIG.schemaVersion,
+		version,
+		...(sources.fixture && { fixture: true }), // Built from the development sample, not the real dataset
+		cables: {
+			url: cablesPath,
+			featureCount: cableFeatures.length,
+			vertexCount: vertexCount(cableFeatures),
+			bytes: Buffer.byteLength(cablesBody),
+			lods: lodLevels.map(({ tolerance, features }, index) => ({
+				tolerance,
+				url: lodPaths[index],
+				vertexCount: vertexCount(features),
+				bytes: Buffer.byteLength(lodBodies[index])
+			}))
+		},
+		landingPoints: {
+			url: landingPointsPath,
+			featureCount: landingPointFeatures.length,
+			bytes: Buffer.byteLength(landingPointsBody)
+		},
+		countries: {
+			url: countriesPath,
+			featureCount: countryFeatures.length,
+			bytes: Buffer.byteLength(countriesBody)
+		}
+	};
+
+	return {
+		watchFiles: [
+			sources.cablesFile,
+			sources.landingPointsFile,
+			CABLE_DATA_CONFIG.countriesFile,
+			...[...cableDetails.keys()].map(id => path.join(sources.cableDetailsDir, `${id}.json`))
+		].map(relativePath => path.join(rootDir, relativePath)),
+		manifest,
+		files: new Map([
+			[manifestPath, JSON.stringify(manifest)],
+			[cablesPath, cablesBody],
+			[landingPointsPath, landingPointsBody],
+			[countriesPath, countriesBody],
+			...lodPaths.map((lodPath, index) => [lodPath, lodBodies[index]])
+		])
+	};
+}
+
+/**
+ * Astro integration that bundles the cable snapshot
+ * @returns {import('astro').AstroIntegration}
+ */
+export default function cableData() {
+	let snapshot = null;
+
+	return {
+		name: 'cable-data',
+		hooks: {
+			'astro:config:setup': async ({ config, addWatchFile, logger }) => {
+				// Throwing here fails both `astro build` and `astro dev`
+				snapshot = await buildCableSnapshot(fileURLToPath(config.root));
+				snapshot.watchFiles.forEach(filePath => addWatchFile(filePath));
+
+				const { version, fixture, cables, landingPoints, countries } = snapshot.manifest;
+				if (fixture) {
+					logger.warn(`${CABLE_DATA_CONFIG.fixtureEnvVar}=1: building from the sample in ${CABLE_DATA_CONFIG.fixtureDir}/, not the real cable dataset`);
+				}
+				logger.info(`Cable snapshot ${version}: ${cables.featureCount} cables, ${landingPoints.featureCount} landing points, ${countries.featureCount} countries`);
+				logger.info(`Cable LODs: ${[cables.vertexCount, ...cables.lods.map(({ vertexCount }) => vertexCount)].join(' → ')} vertices`);
+			},
+
+			'astro:server:setup': ({ server }) => {
+				server.middlewares.use((req, res, next) => {
+					const pathname = (req.url || '').split('?')[0];
+					const body = snapshot?.files.get(pathname);
+					if (!body) return next();
+
+					res.setHeader('Content-Type', 'application/json');
+					res.setHeader('Cache-Control', 'no-cache');
+					res.end(body);
+				});
+			},
+
+			'astro:build:done': async ({ dir, logger }) => {
+				const outDir = fileURLToPath(dir);
+
+				for (const [publicPath, body] of snapshot.files) {
+					const filePath = path.join(outDir, publicPath);
+					await mkdir(path.dirname(filePath), { recursive: true });
+					await writeFile(filePath, body);
+				}
+
+				logger.info(`Wrote cable snapshots to ${CABLE_DATA_CONFIG.outputDir}/`);
+			}
+		}
+	};
+}
+
+export { CABLE_DATA_CONFIG, buildCableSnapshot, validateCableGeo, validateLandingPointGeo };
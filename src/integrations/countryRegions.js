@@ -0,0 +1,90 @@
+/**
+ * COUNTRY REGIONS
+ *
+ * Looks up the country and World Bank region of a landing station, used at
+ * build time by cableData.js to tag cables with the regions they connect and
+ * to build the globe's country layer:
+ * - Matches the station's country name against the Natural Earth countries
+ *   (data/natural-earth/countries-110m.geojson)
+ * - Countries too small for the 1:110m dataset (Singapore, Malta, ...) have no
+ *   polygon; for regions they fall back to the country with the nearest border vertex
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Collect every [lng, lat] vertex of a Polygon or MultiPolygon
+ */
+function polygonVertices(geometry) {
+	const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+	return polygons.flat(2);
+}
+
+/**
+ * Stable id of a country: ISO 3166-1 alpha-3, or the name where Natural Earth
+ * has no code (France and Norway are -99 in the 1:110m file)
+ */
+function countryId(properties) {
+	return /^[A-Z]{3}$/.test(properties.iso_a3) ? properties.iso_a3 : properties.name;
+}
+
+/**
+ * Great-circle-ish distance for ranking nearby vertices (equirectangular approximation)
+ */
+function approximateDistance([lng1, lat1], [lng2, lat2]) {
+	const x = (lng2 - lng1) * Math.cos(((lat1 + lat2) / 2) * Math.PI / 180);
+	const y = lat2 - lat1;
+	return x * x + y * y;
+}
+
+/**
+ * Load the countries file and build country and region lookups
+ * @param {string} rootDir - Project root
+ * @param {string} countriesFile - Countries GeoJSON, relative to the root
+ * @returns {Promise<Object>} {countries, countryIdFor, regionFor}:
+ *   - countries: the country features
+ *   - countryIdFor({country}): id of the country with that name, or null
+ *   - regionFor({country, coordinates}): region by name, else by nearest border vertex
+ */
+async function loadCountryRegions(rootDir, countriesFile) {
+	const countries = JSON.parse(await readFile(path.join(rootDir, countriesFile), 'utf-8'));
+
+	const countryByName = new Map();
+	const vertices = [];
+	for (const { properties, geometry } of countries.features) {
+		[properties.name, properties.name_long, properties.admin]
+			.filter(Boolean)
+			.forEach(name => countryByName.set(name.toLowerCase(), properties));
+
+		if (properties.region) {
+			polygonVertices(geometry).forEach(vertex => vertices.push({ vertex, region: properties.region }));
+		}
+	}
+
+	const countryIdFor = ({ country }) => {
+		const properties = country && countryByName.get(country.toLowerCase());
+		return properties ? countryId(properties) : null;
+	};
+
+	const regionFor = ({ country, coordinates }) => {
+		const byName = country && countryByName.get(country.toLowerCase())?.region;
+		if (byName) return byName;
+		if (!coordinates) return null;
+
+		let nearest = null;
+		let nearestDistance = Infinity;
+		for (const { vertex, region } of vertices) {
+			const distance = approximateDistance(coordinates, vertex);
+			if (distance < nearestDistance) {
+				nearestDistance = distance;
+				nearest = region;
+			}
+		}
+		return nearest;
+	};
+
+	return { countries: countries.features, countryIdFor, regionFor };
+}
+
+export { countryId, loadCountryRegions };
@@ -0,0 +1,99 @@
+/**
+ * PATH SIMPLIFICATION
+ *
+ * Douglas–Peucker simplification for cable geometry, used at build time by
+ * cableData.js to produce the level-of-detail snapshots the globe swaps
+ * between as the camera zooms.
+ *
+ * Tolerances are in degrees and measured in plain lng/lat space, which is
+ * accurate enough at globe scale. Endpoints are always kept, so cables still
+ * meet their landing stations.
+ */
+
+/**
+ * Squared distance from a point to the segment a-b
+ */
+function squaredSegmentDistance([x, y], [ax, ay], [bx, by]) {
+	let dx = bx - ax;
+	let dy = by - ay;
+
+	if (dx !== 0 || dy !== 0) {
+		const t = ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy);
+		if (t > 1) {
+			ax = bx;
+			ay = by;
+		} else if (t > 0) {
+			ax += dx * t;
+			ay += dy * t;
+		}
+	}
+
+	dx = x - ax;
+	dy = y - ay;
+	return dx * dx + dy * dy;
+}
+
+/**
+ * Simplify a line with Douglas–Peucker
+ * @param {number[][]} line - [lng, lat] positions
+ * @param {number} tolerance - Max deviation in degrees
+ * @returns {number[][]} Simplified line (the input itself when nothing can be dropped)
+ */
+function simplifyLine(line, tolerance) {
+	if (line.length <= 2 || tolerance <= 0) return line;
+
+	const squaredTolerance = tolerance * tolerance;
+	const keep = new Uint8Array(line.length);
+	keep[0] = 1;
+	keep[line.length - 1] = 1;
+
+	// Iterative to stay clear of the call stack limit on long cables
+	const stack = [[0, line.length - 1]];
+	while (stack.length > 0) {
+		const [first, last] = stack.pop();
+		let maxDistance = 0;
+		let index = -1;
+
+		for (let i = first + 1; i < last; i++) {
+			const distance = squaredSegmentDistance(line[i], line[first], line[last]);
+			if (distance > maxDistance) {
+				maxDistance = distance;
+				index = i;
+			}
+		}
+
+		if (maxDistance > squaredTolerance) {
+			keep[index] = 1;
+			stack.push([first, index], [index, last]);
+		}
+	}
+
+	const simplified = line.filter((_, i) => keep[i]);
+	return simplified.length === line.length ? line : simplified;
+}
+
+/**
+ * Simplify every line of a LineString or MultiLineString geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} tolerance - Max deviation in degrees
+ * @returns {Object} Simplified geometry
+ */
+function simplifyGeometry(geometry, tolerance) {
+	return {
+		type: geometry.type,
+		coordinates: geometry.type === 'LineString'
+			? simplifyLine(geometry.coordinates, tolerance)
+			: geometry.coordinates.map(line => simplifyLine(line, tolerance))
+	};
+}
+
+/**
+ * Count the positions in a geometry
+ */
+function countVertices(geometry) {
+	return geometry.type === 'LineString'
+		? geometry.coordinates.length
+		: geometry.coordinates.reduce((total, line) => total + line.length, 0);
+}
+
+export { simplifyLine, simplifyGeometry, countVertices };
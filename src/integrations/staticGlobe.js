@@ -0,0 +1,219 @@
+/**
+ * STATIC GLOBE INTEGRATION
+ *
+ * Build-time step that pre-renders the globe as a single image for devices
+ * that should not run the WebGL globe (see src/scripts/globeCapabilities.js):
+ * - Projects the dark earth texture orthographically around a fixed center
+ * - Burns in every cable from the validated cable snapshot, in its own color
+ * - Adds a soft atmosphere ring matching the live globe
+ * - Writes a transparent WebP to dist/textures/globe/static-globe.webp
+ * - Renders the same image on demand while running `astro dev`
+ *
+ * The page scales the image with CSS transforms to follow the scroll zoom curve.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import { buildCableSnapshot } from './cableData.js';
+
+/**
+ * Configuration for the static globe
+ */
+const STATIC_GLOBE_CONFIG = {
+	// Inputs
+	textureFile: 'public/textures/globe/earth-dark-high.jpg',
+
+	// Output (relative to the build output directory and the dev server root)
+	outputPath: 'textures/globe/static-globe.webp',
+	quality: 80,
+
+	// Framing
+	imageSize: 1600, // Square image, in pixels
+	globeFraction: 0.85, // Globe diameter as a fraction of the image; the rest is atmosphere (GLOBE_CONFIG.staticGlobeFraction)
+	center: { lat: 20, lng: -30 }, // Atlantic-centered, where most cables land
+
+	// Styling (matches the live globe)
+	cableStrokeWidth: 2,
+	cableOpacity: 0.9,
+	atmosphereColor: '#4080ff',
+	limbShading: 0.35 // How much the globe darkens toward its edge (0 = flat)
+};
+
+const DEGREES = Math.PI / 180;
+
+/**
+ * Orthographic projection around the configured center
+ * @returns {[number, number]|null} Pixel position, or null on the far side
+ */
+function projectPosition([lng, lat], { center, cx, cy, radius }) {
+	const phi = lat * DEGREES;
+	const phi0 = center.lat * DEGREES;
+	const deltaLambda = (lng - center.lng) * DEGREES;
+
+	const cosC = Math.sin(phi0) * Math.sin(phi) + Math.cos(phi0) * Math.cos(phi) * Math.cos(deltaLambda);
+	if (cosC < 0) return null;
+
+	return [
+		cx + radius * Math.cos(phi) * Math.sin(deltaLambda),
+		cy - radius * (Math.cos(phi0) * Math.sin(phi) - Math.sin(phi0) * Math.cos(phi) * Math.cos(deltaLambda))
+	];
+}
+
+/**
+ * Fill the globe disc by sampling the equirectangular texture for every pixel
+ */
+async function renderGlobeRaster(rootDir, frame) {
+	const { data: texture, info } = await sharp(path.join(rootDir, STATIC_GLOBE_CONFIG.textureFile))
+		.removeAlpha()
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+
+	const { imageSize, center, limbShading } = STATIC_GLOBE_CONFIG;
+	const { cx, cy, radius } = frame;
+	const pixels = Buffer.alloc(imageSize * imageSize * 4);
+	const sinPhi0 = Math.sin(center.lat * DEGREES);
+	const cosPhi0 = Math.cos(center.lat * DEGREES);
+
+	for (let y = 0; y < imageSize; y++) {
+		for (let x = 0; x < imageSize; x++) {
+			const nx = (x + 0.5 - cx) / radius;
+			const ny = (cy - y - 0.5) / radius;
+			const rho = Math.hypot(nx, ny);
+			if (rho > 1) continue;
+
+			// Inverse orthographic projection
+			const c = Math.asin(rho);
+			const sinC = Math.sin(c);
+			const cosC = Math.cos(c);
+			const lat = rho === 0 ? center.lat : Math.asin(cosC * sinPhi0 + ny * sinC * cosPhi0 / rho) / DEGREES;
+			const lng = center.lng + Math.atan2(nx * sinC, rho * cosC * cosPhi0 - ny * sinC * sinPhi0) / DEGREES;
+
+			const u = Math.floor(((((lng + 180) % 360) + 360) % 360) / 360 * info.width) % info.width;
+			const v = Math.min(info.height - 1, Math.floor((90 - lat) / 180 * info.height));
+			const source = (v * info.width + u) * info.channels;
+			const shade = 1 - limbShading * (1 - cosC);
+			const target = (y * imageSize + x) * 4;
+
+			pixels[target] = texture[source] * shade;
+			pixels[target + 1] = texture[source + 1] * shade;
+			pixels[target + 2] = texture[source + 2] * shade;
+			pixels[target + 3] = 255;
+		}
+	}
+
+	return pixels;
+}
+
+/**
+ * Draw the visible parts of every cable as SVG paths
+ */
+function renderCablesSvg(cableFeatures, frame) {
+	const paths = [];
+
+	for (const { properties, geometry } of cableFeatures) {
+		const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+
+		for (const line of lines) {
+			// Break the path wherever it goes around the far side
+			let d = '';
+			let penDown = false;
+			for (const position of line) {
+				const point = projectPosition(position, frame);
+				if (!point) {
+					penDown = false;
+					continue;
+				}
+				d += `${penDown ? 'L' : 'M'}${point[0].toFixed(1)},${point[1].toFixed(1)}`;
+				penDown = true;
+			}
+			if (d) paths.push(`<path d="${d}" stroke="${properties.color || '#ffffff'}"/>`);
+		}
+	}
+
+	return paths.join('');
+}
+
+/**
+ * Render the static globe image
+ * @param {string} rootDir - Project root
+ * @returns {Promise<Buffer>} WebP image
+ */
+async function renderStaticGlobe(rootDir) {
+	const { imageSize, globeFraction, center, cableStrokeWidth, cableOpacity, atmosphereColor } = STATIC_GLOBE_CONFIG;
+	const frame = { center, cx: imageSize / 2, cy: imageSize / 2, radius: imageSize * globeFraction / 2 };
+
+	const { manifest, files } = await buildCableSnapshot(rootDir);
+	const { features: cableFeatures } = JSON.parse(files.get(manifest.cables.url));
+
+	const globeRaster = await renderGlobeRaster(rootDir, frame);
+
+	const atmosphereSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${imageSize}" height="${imageSize}">
+		<defs>
+			<radialGradient id="atmosphere" cx="50%" cy="50%" r="50%">
+				<stop offset="${(globeFraction * 100).toFixed(1)}%" stop-color="${atmosphereColor}" stop-opacity="0.45"/>
+				<stop offset="100%" stop-color="${atmosphereColor}" stop-opacity="0"/>
+			</radialGradient>
+		</defs>
+		<circle cx="${frame.cx}" cy="${frame.cy}" r="${imageSize / 2}" fill="url(#atmosphere)"/>
+	</svg>`;
+
+	const cablesSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${imageSize}" height="${imageSize}">
+		<g fill="none" stroke-width="${cableStrokeWidth}" stroke-opacity="${cableOpacity}" stroke-linecap="round" stroke-linejoin="round">
+			${renderCablesSvg(cableFeatures, frame)}
+		</g>
+	</svg>`;
+
+	return sharp(Buffer.from(atmosphereSvg))
+		.composite([
+			{ input: globeRaster, raw: { width: imageSize, height: imageSize, channels: 4 } },
+			{ input: Buffer.from(cablesSvg) }
+		])
+		.webp({ quality: STATIC_GLOBE_CONFIG.quality, alphaQuality: 90 })
+		.toBuffer();
+}
+
+export default function staticGlobe() {
+	let rootDir = null;
+	let devImage = null; // Rendered on first request while running `astro dev`
+
+	return {
+		name: 'static-globe',
+		hooks: {
+			'astro:config:setup': ({ config }) => {
+				rootDir = fileURLToPath(config.root);
+			},
+
+			'astro:server:setup': ({ server, logger }) => {
+				server.middlewares.use((req, res, next) => {
+					const pathname = (req.url || '').split('?')[0];
+					if (pathname !== `/${STATIC_GLOBE_CONFIG.outputPath}`) return next();
+
+					devImage ??= renderStaticGlobe(rootDir);
+					devImage.then(image => {
+						res.setHeader('Content-Type', 'image/webp');
+						res.setHeader('Cache-Control', 'no-cache');
+						res.end(image);
+					}).catch(error => {
+						devImage = null;
+						logger.error(`Failed to render static globe: ${error.message}`);
+						next(error);
+					});
+				});
+			},
+
+			'astro:build:done': async ({ dir, logger }) => {
+				const image = await renderStaticGlobe(rootDir);
+
+				const filePath = path.join(fileURLToPath(dir), STATIC_GLOBE_CONFIG.outputPath);
+				await mkdir(path.dirname(filePath), { recursive: true });
+				await writeFile(filePath, image);
+
+				logger.info(`Wrote ${STATIC_GLOBE_CONFIG.outputPath} (${Math.round(image.length / 1024)} KB)`);
+			}
+		}
+	};
+}
+
+export { STATIC_GLOBE_CONFIG };
@@ -0,0 +1,205 @@
+/**
+ * CABLE DATA API
+ *
+ * Serves the submarine cable GeoJSON from the Worker:
+ * - Reads the current snapshot from the CABLE_DATA R2 bucket
+ * - Optional `?bbox=minLng,minLat,maxLng,maxLat` keeps cables that touch the box
+ * - Optional `?fields=id,name` trims feature properties to the listed keys
+ * - Sends ETag and Cache-Control headers, answers If-None-Match with 304
+ *   and keeps responses in the edge cache
+ *
+ * Seed the bucket with `npm run seed:cables` (local) or `npm run upload:cables` (remote).
+ */
+import type { APIRoute } from "astro";
+import type { Runtime } from "@astrojs/cloudflare";
+
+export const prerender = false;
+
+const CABLE_API_CONFIG = {
+	// R2 object written by scripts/seedCableBucket.js
+	objectKey: "cables/current.json",
+
+	// Browsers revalidate every few minutes; the edge keeps serving stale copies while it refreshes
+	cacheControl: "public, max-age=300, stale-while-revalidate=86400",
+
+	fieldPattern: /^[a-z_]+$/i,
+};
+
+type Position = number[];
+type CableFeature = {
+	type: "Feature";
+	properties: Record<string, unknown>;
+	geometry: { type: "LineString"; coordinates: Position[] } | { type: "MultiLineString"; coordinates: Position[][] };
+};
+type CableCollection = {
+	type: "FeatureCollection";
+	metadata?: Record<string, unknown>;
+	features: CableFeature[];
+};
+// The edge cache is typed with the Workers runtime Response, which differs from the DOM one
+type EdgeCacheResponse = Parameters<Runtime["runtime"]["caches"]["default"]["put"]>[1];
+type BoundingBox = [minLng: number, minLat: number, maxLng: number, maxLat: number];
+
+class QueryError extends Error {}
+
+/**
+ * Parse `?bbox=`; boxes whose minLng is greater than maxLng wrap across the antimeridian
+ */
+function parseBoundingBox(value: string | null): BoundingBox | null {
+	if (value === null) return null;
+
+	const parts = value.split(",").map(Number);
+	if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) {
+		throw new QueryError("bbox must be four comma-separated numbers: minLng,minLat,maxLng,maxLat");
+	}
+
+	const [minLng, minLat, maxLng, maxLat] = parts;
+	if (minLat > maxLat || [minLng, maxLng].some((lng) => Math.abs(lng) > 180) || [minLat, maxLat].some((lat) => Math.abs(lat) > 90)) {
+		throw new QueryError("bbox is out of range");
+	}
+
+	return [minLng, minLat, maxLng, maxLat];
+}
+
+/**
+ * Parse `?fields=` into a sorted, de-duplicated list of property names
+ */
+function parseFields(value: string | null): string[] | null {
+	if (value === null) return null;
+
+	const fields = [...new Set(value.split(",").map((field) => field.trim()).filter(Boolean))].sort();
+	if (fields.length === 0 || fields.some((field) => !CABLE_API_CONFIG.fieldPattern.test(field))) {
+		throw new QueryError("fields must be a comma-separated list of property names");
+	}
+
+	return fields;
+}
+
+function isInBoundingBox([lng, lat]: Position, [minLng, minLat, maxLng, maxLat]: BoundingBox): boolean {
+	if (lat < minLat || lat > maxLat) return false;
+	return minLng <= maxLng ? lng >= minLng && lng <= maxLng : lng >= minLng || lng <= maxLng;
+}
+
+function featureLines(feature: CableFeature): Position[][] {
+	return feature.geometry.type === "LineString" ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+}
+
+/**
+ * Apply bbox and fields filters to the collection
+ */
+function filterCollection(collection: CableCollection, bbox: BoundingBox | null, fields: string[] | null): CableCollection {
+	let features = collection.features;
+
+	if (bbox) {
+		features = features.filter((feature) =>
+			featureLines(feature).some((line) => line.some((position) => isInBoundingBox(position, bbox))),
+		);
+	}
+
+	if (fields) {
+		features = features.map((feature) => ({
+			...feature,
+			properties: Object.fromEntries(fields.filter((field) => field in feature.properties).map((field) => [field, feature.properties[field]])),
+		}));
+	}
+
+	return {
+		...collection,
+		...(collection.metadata ? { metadata: { ...collection.metadata, featureCount: features.length } } : {}),
+		features,
+	};
+}
+
+/**
+ * Derive a weak ETag for a filtered view of the stored object
+ */
+async function filteredEtag(objectEtag: string, normalizedQuery: string): Promise<string> {
+	const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(normalizedQuery));
+	const queryHash = [...new Uint8Array(digest)]
+		.slice(0, 8)
+		.map((byte) => byte.toString(16).padStart(2, "0"))
+		.join("");
+	return `W/"${objectEtag}-${queryHash}"`;
+}
+
+function jsonError(status: number, message: string): Response {
+	return new Response(JSON.stringify({ error: message }), {
+		status,
+		headers: { "Content-Type": "application/json", "Cache-Control": "no-store" },
+	});
+}
+
+/**
+ * Answer conditional requests without sending the body again
+ */
+function notModifiedOr(request: Request, response: Response): Response {
+	const etag = response.headers.get("ETag");
+	const ifNoneMatch = request.headers.get("If-None-Match");
+
+	if (etag && ifNoneMatch && ifNoneMatch.split(",").some((tag) => tag.trim() === etag || tag.trim() === "*")) {
+		return new Response(null, {
+			status: 304,
+			headers: { ETag: etag, "Cache-Control": response.headers.get("Cache-Control") ?? CABLE_API_CONFIG.cacheControl },
+		});
+	}
+
+	return response;
+}
+
+export const GET: APIRoute = async ({ request, url, locals }) => {
+	const { env, caches, ctx } = locals.runtime;
+
+	let bbox: BoundingBox | null;
+	let fields: string[] | null;
+	try {
+		bbox = parseBoundingBox(url.searchParams.get("bbox"));
+		fields = parseFields(url.searchParams.get("fields"));
+	} catch (error) {
+		if (error instanceof QueryError) return jsonError(400, error.message);
+		throw error;
+	}
+
+	// Normalized cache key so equivalent queries share one cache entry
+	const normalizedQuery = new URLSearchParams([
+		...(bbox ? [["bbox", bbox.join(",")]] : []),
+		...(fields ? [["fields", fields.join(",")]] : []),
+	]).toString();
+	const cacheKey = `${url.origin}${url.pathname}${normalizedQuery ? `?${normalizedQuery}` : ""}`;
+
+	const cached = await caches.default.match(cacheKey);
+	if (cached) {
+		return notModifiedOr(request, cached as unknown as Response);
+	}
+
+	if (!env.CABLE_DATA) {
+		return jsonError(503, "CABLE_DATA bucket binding is not configured");
+	}
+
+	const object = await env.CABLE_DATA.get(CABLE_API_CONFIG.objectKey);
+	if (!object) {
+		return jsonError(404, `No cable data at ${CABLE_API_CONFIG.objectKey}; run npm run seed:cables`);
+	}
+
+	let body: string;
+	let etag: string;
+	if (bbox || fields) {
+		const collection = await object.json<CableCollection>();
+		body = JSON.stringify(filterCollection(collection, bbox, fields));
+		etag = await filteredEtag(object.etag, normalizedQuery);
+	} else {
+		body = await object.text();
+		etag = object.httpEtag;
+	}
+
+	const response = new Response(body, {
+		headers: {
+			"Content-Type": "application/json",
+			"Cache-Control": CABLE_API_CONFIG.cacheControl,
+			ETag: etag,
+		},
+	});
+
+	ctx.waitUntil(caches.default.put(cacheKey, response.clone() as unknown as EdgeCacheResponse));
+
+	return notModifiedOr(request, response);
+};
@@ -3,10 +3,13 @@
  * 
  * Manages scroll-responsive background color transitions
  * - Smoothly interpolates between three colors based on scroll position
+ * - Each color is keyed to a scroll timeline anchor (scrollTimeline.js)
  * - Updates background color in real-time as user scrolls
- * - Integrates with the main scroll coordination system
  */
 
+import { subscribeScrollTimeline } from './scrollTimeline.js';
+import { queueLayoutWrite } from './layoutSnapshot.js';
+
 /**
  * Configuration for background transitions
  */
@@ -18,8 +21,9 @@ const BACKGROUND_CONFIG = {
 		{ r: 62, g: 116, b: 255 }   // #3E74FF (light blue)
 	],
 	
-	// Scroll positions where each color should be fully visible (0 to 1)
-	colorStops: [0, 0.4, 1],
+	// Scroll timeline anchors where each color should be fully visible
+	// ('panels-start' is declared on the first content panel in the homepage MDX)
+	colorStops: ['page-start', 'panels-start', 'page-end'],
 	
 	// Performance settings
 	enableLogging: false,
@@ -28,6 +32,11 @@ const BACKGROUND_CONFIG = {
 	easingFunction: 'ease-out'
 };
 
+/**
+ * Unsubscribe from the scroll timeline while running
+ */
+let unsubscribeColorStops = null;
+
 /**
  * Linear interpolation between two values
  */
@@ -54,27 +63,12 @@ function rgbToString(color) {
 }
 
 /**
- * Calculate background color based on scroll progress
+ * Calculate background color within a segment of the color stops
+ * @param {number} segmentIndex - Color stop the segment starts at
+ * @param {number} segmentProgress - Progress towards the next color stop (0-1)
  */
-function calculateBackgroundColor(scrollProgress) {
-	const { colors, colorStops } = BACKGROUND_CONFIG;
-	
-	// Clamp scroll progress between 0 and 1
-	const progress = Math.max(0, Math.min(1, scrollProgress));
-	
-	// Find which color segment we're in
-	let segmentIndex = 0;
-	for (let i = 0; i < colorStops.length - 1; i++) {
-		if (progress >= colorStops[i] && progress <= colorStops[i + 1]) {
-			segmentIndex = i;
-			break;
-		}
-	}
-	
-	// Calculate local progress within the current segment
-	const segmentStart = colorStops[segmentIndex];
-	const segmentEnd = colorStops[segmentIndex + 1];
-	const segmentProgress = (progress - segmentStart) / (segmentEnd - segmentStart);
+function calculateBackgroundColor(segmentIndex, segmentProgress) {
+	const { colors } = BACKGROUND_CONFIG;
 	
 	// Interpolate between the two colors
 	const startColor = colors[segmentIndex];
@@ -86,10 +80,22 @@ function calculateBackgroundColor(scrollProgress) {
 
 /**
  * Update the background color based on scroll position
+ * @param {Object} segment - Timeline segment of the color stops from subscribeScrollTimeline()
  */
-function updateBackgroundTransition(scrollProgress) {
-	const backgroundColor = calculateBackgroundColor(scrollProgress);
+function updateBackgroundTransition({ index, progress }) {
+	const backgroundColor = calculateBackgroundColor(index, progress);
+	queueLayoutWrite(() => applyBackgroundColor(backgroundColor));
 	
+	if (BACKGROUND_CONFIG.enableLogging) {
+		console.log(`Background updated: ${backgroundColor} (segment ${index}, progress: ${progress.toFixed(3)})`);
+	}
+}
+
+/**
+ * Apply a background color to the page
+ * @param {string} backgroundColor - CSS rgb() color
+ */
+function applyBackgroundColor(backgroundColor) {
 	// Apply to the master background element with minimal transparency to show globe
 	const backgroundElement = document.querySelector('.master-background');
 	if (backgroundElement) {
@@ -112,10 +118,6 @@ function updateBackgroundTransition(scrollProgress) {
 	} else {
 		document.body.style.backgroundColor = 'transparent';
 	}
-	
-	if (BACKGROUND_CONFIG.enableLogging) {
-		console.log(`Background updated: ${backgroundColor} (progress: ${scrollProgress.toFixed(3)})`);
-	}
 }
 
 /**
@@ -126,19 +128,29 @@ function initializeBackgroundTransition() {
 		console.log('🎨 Initializing dynamic background transitions...');
 	}
 	
-	// Set initial background color
-	updateBackgroundTransition(0);
+	// Follow the color stops; the first update sets the initial color
+	unsubscribeColorStops?.();
+	unsubscribeColorStops = subscribeScrollTimeline(BACKGROUND_CONFIG.colorStops, updateBackgroundTransition);
 	
 	if (BACKGROUND_CONFIG.enableLogging) {
 		console.log('✅ Background transition system ready');
 	}
 }
 
+/**
+ * Stop following the scroll timeline
+ */
+function cleanupBackgroundTransition() {
+	unsubscribeColorStops?.();
+	unsubscribeColorStops = null;
+}
+
 /**
  * Export functions for use in main coordinator
  */
 export {
 	initializeBackgroundTransition,
 	updateBackgroundTransition,
+	cleanupBackgroundTransition,
 	BACKGROUND_CONFIG
 };
@@ -0,0 +1,123 @@
+/**
+ * CABLE CACHE
+ *
+ * Persistent IndexedDB cache for processed cable paths, used by globeBackground.js:
+ * - One entry per level of detail, holding the processed paths, the cable
+ *   properties, and the source ETag, URL and dataset version
+ * - Repeat visits render from the cache; globeBackground.js then revalidates
+ *   against the network in the background
+ * - Any IndexedDB failure (private mode, quota, blocked upgrade) counts as a
+ *   cache miss, so the globe falls back to the network
+ * - Bypassed when GLOBE_CONFIG.useCableCache is false
+ */
+
+/**
+ * Configuration for the cable cache
+ */
+const CACHE_CONFIG = {
+	databaseName: 'cloudflare-atlas',
+	databaseVersion: 1,
+	storeName: 'cable-levels',
+
+	// Bump when the processed path format changes; older entries are ignored
+	schemaVersion: 1,
+
+	// Debug
+	enableLogging: false
+};
+
+let databasePromise = null;
+
+/**
+ * Open the cache database (once per page load)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openCacheDatabase() {
+	if (!databasePromise) {
+		databasePromise = new Promise((resolve, reject) => {
+			if (!('indexedDB' in window)) {
+				reject(new Error('IndexedDB is not available'));
+				return;
+			}
+
+			const request = indexedDB.open(CACHE_CONFIG.databaseName, CACHE_CONFIG.databaseVersion);
+			request.onupgradeneeded = () => {
+				if (!request.result.objectStoreNames.contains(CACHE_CONFIG.storeName)) {
+					request.result.createObjectStore(CACHE_CONFIG.storeName);
+				}
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => reject(new Error('Cable cache upgrade blocked by another tab'));
+		}).catch(error => {
+			databasePromise = null; // Allow a later retry
+			throw error;
+		});
+	}
+
+	return databasePromise;
+}
+
+/**
+ * Run one request against the store
+ */
+async function runStoreRequest(mode, createRequest) {
+	const database = await openCacheDatabase();
+	return new Promise((resolve, reject) => {
+		const transaction = database.transaction(CACHE_CONFIG.storeName, mode);
+		const request = createRequest(transaction.objectStore(CACHE_CONFIG.storeName));
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error);
+		transaction.onabort = () => reject(transaction.error);
+	});
+}
+
+/**
+ * Read the cached cables for a level of detail
+ * @param {number} tolerance - LOD tolerance (0 = full detail)
+ * @returns {Promise<Object|null>} {etag, version, url, paths, info, storedAt}, or null on a miss
+ */
+async function readCachedCables(tolerance) {
+	try {
+		const entry = await runStoreRequest('readonly', store => store.get(tolerance));
+		if (!entry || entry.schemaVersion !== CACHE_CONFIG.schemaVersion) return null;
+
+		if (CACHE_CONFIG.enableLogging) {
+			console.log(`💾 Cable cache hit for LOD ${tolerance} (${entry.paths.length} paths, stored ${new Date(entry.storedAt).toISOString()})`);
+		}
+		return entry;
+	} catch (error) {
+		console.warn('⚠️  Cable cache unavailable:', error.message);
+		return null;
+	}
+}
+
+/**
+ * Store the cables for a level of detail (failures are logged and ignored)
+ * @param {number} tolerance - LOD tolerance (0 = full detail)
+ * @param {Object} entry - {etag, version, url, paths, info}
+ */
+async function writeCachedCables(tolerance, entry) {
+	try {
+		await runStoreRequest('readwrite', store => store.put({
+			...entry,
+			schemaVersion: CACHE_CONFIG.schemaVersion,
+			storedAt: Date.now()
+		}, tolerance));
+
+		if (CACHE_CONFIG.enableLogging) {
+			console.log(`💾 Cached LOD ${tolerance} (${entry.paths.length} paths)`);
+		}
+	} catch (error) {
+		console.warn('⚠️  Could not write cable cache:', error.message);
+	}
+}
+
+/**
+ * Export functions for use in globe background
+ */
+export {
+	readCachedCables,
+	writeCachedCables,
+	CACHE_CONFIG
+};
@@ -0,0 +1,331 @@
+/**
+ * CABLE COLORS
+ *
+ * Color-by modes for the globe's cables, with a legend (CableLegend.astro):
+ * - Cable: the dataset's own colors
+ * - Owner: one color per owner, shared by cables with several owners (consortium)
+ * - Decade: ready-for-service decade, oldest to newest
+ * - Length: length bucket, shortest to longest
+ * - Region: the World Bank region with most of the cable's landing stations
+ * - Hovering or focusing a legend entry highlights the matching cables
+ *   (for regions: every cable that lands there)
+ * - The chosen mode is saved in localStorage
+ */
+
+import { setGlobeCableColors, highlightGlobeCables, getGlobeCables, onGlobeCablesChanged } from './globeBackground.js';
+
+/**
+ * Configuration for cable colors
+ */
+const COLOR_CONFIG = {
+	// Elements (rendered by CableLegend.astro)
+	legendSelector: '#cable-legend',
+
+	// Persistence
+	storageKey: 'cloudflare-atlas:cable-color-mode',
+	defaultMode: 'dataset',
+
+	// Modes, in menu order
+	modes: {
+		dataset: 'Cable',
+		owner: 'Owner',
+		decade: 'Ready for service',
+		length: 'Length',
+		region: 'Region'
+	},
+
+	// Palettes
+	categoricalPalette: ['#f6821f', '#4e9af1', '#53c68c', '#e5547a', '#b07cf2', '#f2c94c', '#3fc1c9', '#ff8a65', '#9ccc65', '#ba68c8'],
+	sequentialPalette: ['#3b4cc0', '#5a78e4', '#7b9ff9', '#9ebeff', '#c0d4f5', '#f2cbb7', '#f7ac8e', '#ee8468', '#d65244', '#b40426'],
+	unknownColor: '#8a8a8a',
+
+	// Owner mode
+	maxOwnerEntries: 8, // Remaining owners are grouped as "Other owners"
+	consortiumLabel: 'Consortium',
+
+	// Length mode (upper bounds in km)
+	lengthBuckets: [
+		{ max: 1000, label: 'Under 1,000 km' },
+		{ max: 5000, label: '1,000 – 5,000 km' },
+		{ max: 10000, label: '5,000 – 10,000 km' },
+		{ max: Infinity, label: '10,000 km and over' }
+	],
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Color state
+ */
+let colorState = {
+	isInitialized: false,
+	mode: COLOR_CONFIG.defaultMode,
+	legend: null,
+	select: null,
+	entryList: null,
+	entries: [],
+	unsubscribeCablesChanged: null
+};
+
+/**
+ * Read the saved mode (storage may be unavailable)
+ */
+function loadSavedMode() {
+	try {
+		const saved = localStorage.getItem(COLOR_CONFIG.storageKey);
+		return saved && saved in COLOR_CONFIG.modes ? saved : COLOR_CONFIG.defaultMode;
+	} catch {
+		return COLOR_CONFIG.defaultMode;
+	}
+}
+
+function saveMode(mode) {
+	try {
+		localStorage.setItem(COLOR_CONFIG.storageKey, mode);
+	} catch {
+		// Not persisted; the mode still applies for this visit
+	}
+}
+
+/**
+ * Spread a sequential palette over a number of ordered entries
+ */
+function sequentialColor(index, count) {
+	const palette = COLOR_CONFIG.sequentialPalette;
+	const position = count > 1 ? index / (count - 1) : 0.5;
+	return palette[Math.round(position * (palette.length - 1))];
+}
+
+/**
+ * Group cables into legend entries
+ * @param {Array<Object>} cables - Cable properties from getGlobeCables()
+ * @param {function(Object): (string|null)} classify - Entry key of a cable (null = unknown)
+ * @returns {Map<string, Set<string>>} Cable ids per key
+ */
+function groupCables(cables, classify) {
+	const groups = new Map();
+	for (const cable of cables) {
+		const key = classify(cable);
+		if (key === null) continue;
+		if (!groups.has(key)) groups.set(key, new Set());
+		groups.get(key).add(cable.id);
+	}
+	return groups;
+}
+
+/**
+ * Build the legend entries for a mode
+ * @param {string} mode - Key of COLOR_CONFIG.modes
+ * @param {Array<Object>} cables - Cable properties from getGlobeCables()
+ * @returns {Array<{label: string, color: string, cableIds: Set<string>, highlightIds: Set<string>}>}
+ */
+function buildLegendEntries(mode, cables) {
+	let entries = [];
+
+	if (mode === 'owner') {
+		const groups = groupCables(cables, ({ owners = [] }) => {
+			if (owners.length === 0) return null;
+			return owners.length === 1 ? owners[0] : COLOR_CONFIG.consortiumLabel;
+		});
+		const ranked = [...groups].sort(([aKey, a], [bKey, b]) => b.size - a.size || aKey.localeCompare(bKey));
+		const shown = ranked.slice(0, COLOR_CONFIG.maxOwnerEntries);
+		const rest = ranked.slice(COLOR_CONFIG.maxOwnerEntries);
+
+		entries = shown.map(([label, cableIds], index) => ({
+			label,
+			color: COLOR_CONFIG.categoricalPalette[index % COLOR_CONFIG.categoricalPalette.length],
+			cableIds
+		}));
+		if (rest.length > 0) {
+			entries.push({
+				label: 'Other owners',
+				color: COLOR_CONFIG.categoricalPalette[shown.length % COLOR_CONFIG.categoricalPalette.length],
+				cableIds: new Set(rest.flatMap(([, cableIds]) => [...cableIds]))
+			});
+		}
+	} else if (mode === 'decade') {
+		const groups = groupCables(cables, ({ rfs_year }) => Number.isInteger(rfs_year) ? String(Math.floor(rfs_year / 10) * 10) : null);
+		const decades = [...groups.keys()].sort();
+		entries = decades.map((decade, index) => ({
+			label: `${decade}s`,
+			color: sequentialColor(index, decades.length),
+			cableIds: groups.get(decade)
+		}));
+	} else if (mode === 'length') {
+		const { lengthBuckets } = COLOR_CONFIG;
+		const groups = groupCables(cables, ({ length_km }) => length_km
+			? lengthBuckets.find(({ max }) => length_km < max).label
+			: null);
+		entries = lengthBuckets
+			.map(({ label }, index) => ({ label, color: sequentialColor(index, lengthBuckets.length), cableIds: groups.get(label) }))
+			.filter(({ cableIds }) => cableIds);
+	} else if (mode === 'region') {
+		const groups = groupCables(cables, ({ regions = [] }) => regions[0] ?? null);
+		const regions = [...groups.keys()].sort();
+		entries = regions.map((region, index) => ({
+			label: region,
+			color: COLOR_CONFIG.categoricalPalette[index % COLOR_CONFIG.categoricalPalette.length],
+			cableIds: groups.get(region),
+			// Highlight every cable that lands in the region, not only those colored for it
+			highlightIds: new Set(cables.filter(({ regions = [] }) => regions.includes(region)).map(({ id }) => id))
+		}));
+	}
+
+	if (mode !== 'dataset') {
+		const classified = new Set(entries.flatMap(({ cableIds }) => [...cableIds]));
+		const unknown = new Set(cables.map(({ id }) => id).filter(id => !classified.has(id)));
+		if (unknown.size > 0) {
+			entries.push({ label: 'Unknown', color: COLOR_CONFIG.unknownColor, cableIds: unknown });
+		}
+	}
+
+	return entries.map(entry => ({ ...entry, highlightIds: entry.highlightIds ?? entry.cableIds }));
+}
+
+/**
+ * Render the legend entries
+ */
+function renderLegend() {
+	const { entryList, entries } = colorState;
+	if (!entryList) return;
+
+	if (entries.length === 0) {
+		const item = document.createElement('li');
+		item.className = 'cable-legend-note';
+		item.textContent = 'Colors from the cable dataset';
+		entryList.replaceChildren(item);
+		return;
+	}
+
+	entryList.replaceChildren(...entries.map(({ label, color, cableIds }, index) => {
+		const item = document.createElement('li');
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'cable-legend-entry';
+		button.dataset.entry = String(index); // Index into colorState.entries, for the list's handlers
+
+		const swatch = document.createElement('span');
+		swatch.className = 'cable-legend-swatch';
+		swatch.style.background = color;
+
+		const text = document.createElement('span');
+		text.className = 'cable-legend-label';
+		text.textContent = label;
+
+		const count = document.createElement('span');
+		count.className = 'cable-legend-count';
+		count.textContent = String(cableIds.size);
+
+		button.append(swatch, text, count);
+		item.appendChild(button);
+		return item;
+	}));
+}
+
+/**
+ * Highlight the cables of a hovered or focused legend entry
+ * Listens on the entry list (mouseenter in the capture phase), so entries need no listeners of their own
+ */
+function handleEntryHighlight(event) {
+	if (!event.target.matches?.('.cable-legend-entry')) return;
+	highlightGlobeCables(colorState.entries[Number(event.target.dataset.entry)]?.highlightIds ?? null);
+}
+
+function handleEntryClear(event) {
+	if (!event.target.matches?.('.cable-legend-entry')) return;
+	highlightGlobeCables(null);
+}
+
+function handleModeChange() {
+	setCableColorMode(colorState.select.value);
+}
+
+/**
+ * Switch color mode
+ * @param {string} mode - Key of COLOR_CONFIG.modes
+ */
+function setCableColorMode(mode) {
+	if (!(mode in COLOR_CONFIG.modes)) return;
+
+	colorState.mode = mode;
+	saveMode(mode);
+	if (colorState.select) colorState.select.value = mode;
+
+	colorState.entries = buildLegendEntries(mode, getGlobeCables());
+
+	const colorById = new Map();
+	colorState.entries.forEach(({ color, cableIds }) => cableIds.forEach(id => colorById.set(id, color)));
+	setGlobeCableColors(mode === 'dataset' ? null : colorById);
+	highlightGlobeCables(null);
+	renderLegend();
+
+	if (COLOR_CONFIG.enableLogging) {
+		console.log(`🎨 Cable colors: ${COLOR_CONFIG.modes[mode]} (${colorState.entries.length} legend entries)`);
+	}
+}
+
+/**
+ * Initialize cable colors
+ * Call this function when the page loads
+ */
+function initializeCableColors() {
+	colorState.legend = document.querySelector(COLOR_CONFIG.legendSelector);
+	if (!colorState.legend) return; // The page has no legend
+
+	colorState.select = colorState.legend.querySelector('.cable-legend-mode');
+	colorState.entryList = colorState.legend.querySelector('.cable-legend-entries');
+
+	colorState.select.replaceChildren(...Object.entries(COLOR_CONFIG.modes).map(([mode, label]) => {
+		const option = document.createElement('option');
+		option.value = mode;
+		option.textContent = label;
+		return option;
+	}));
+
+	colorState.mode = loadSavedMode();
+	colorState.select.value = colorState.mode;
+	colorState.select.addEventListener('change', handleModeChange);
+	colorState.entryList.addEventListener('mouseenter', handleEntryHighlight, true);
+	colorState.entryList.addEventListener('focusin', handleEntryHighlight);
+	colorState.entryList.addEventListener('mouseleave', handleEntryClear, true);
+	colorState.entryList.addEventListener('focusout', handleEntryClear);
+
+	// Entries depend on the cable data; rebuilt when a background refresh changes it
+	colorState.unsubscribeCablesChanged = onGlobeCablesChanged(() => setCableColorMode(colorState.mode));
+
+	colorState.isInitialized = true;
+}
+
+/**
+ * Release the legend; the globe keeps the current colors
+ * Call this function before the page is replaced (client-side navigation)
+ */
+function destroyCableColors() {
+	if (!colorState.isInitialized) return;
+
+	colorState.select.removeEventListener('change', handleModeChange);
+	colorState.entryList.removeEventListener('mouseenter', handleEntryHighlight, true);
+	colorState.entryList.removeEventListener('focusin', handleEntryHighlight);
+	colorState.entryList.removeEventListener('mouseleave', handleEntryClear, true);
+	colorState.entryList.removeEventListener('focusout', handleEntryClear);
+	colorState.unsubscribeCablesChanged?.();
+	highlightGlobeCables(null); // A hovered entry never gets its mouseleave
+
+	colorState.isInitialized = false;
+	colorState.legend = null;
+	colorState.select = null;
+	colorState.entryList = null;
+	colorState.entries = [];
+	colorState.unsubscribeCablesChanged = null;
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeCableColors,
+	destroyCableColors,
+	setCableColorMode,
+	COLOR_CONFIG
+};
@@ -0,0 +1,292 @@
+/**
+ * CABLE TIMELINE
+ *
+ * Build-out timeline for the submarine cable network (CableTimeline.astro):
+ * - Scrolling through the timeline section moves through the years; the
+ *   panel stays pinned in the viewport meanwhile
+ * - The scrubber and play button drive the same year
+ * - The globe only draws cables in service by the current year, and new
+ *   cables draw in as their year is reached
+ * - Year counter with cables added that year, cables in service and network length
+ * - Outside the section the globe shows every cable again
+ */
+
+import { setGlobeTimelineYear, getCableYearTotals, onGlobeCablesChanged } from './globeBackground.js';
+import { getLayoutSnapshot, queueLayoutWrite } from './layoutSnapshot.js';
+
+/**
+ * Configuration for the timeline
+ */
+const TIMELINE_CONFIG = {
+	sectionSelector: '.cable-timeline',
+
+	// Pinning
+	pinViewportPosition: 0.15, // Panel top sits at this fraction of the viewport while pinned
+
+	// Playback
+	playYearDuration: 600, // ms per year
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Timeline state
+ */
+let timelineState = {
+	isInitialized: false,
+	section: null,
+	panel: null,
+	yearLabel: null,
+	totalElements: null,
+	scrubber: null,
+	playButton: null,
+	totals: null, // From getCableYearTotals()
+	year: null,
+	lastScrollYear: null, // Scroll only takes over again when it moves to another year
+	isActive: false,
+	playTimer: null,
+	unsubscribeCablesChanged: null
+};
+
+/**
+ * Format a number for display
+ */
+function formatNumber(value) {
+	return Math.round(value).toLocaleString('en-US');
+}
+
+/**
+ * Show a year in the panel and on the globe
+ */
+function setYear(year) {
+	const state = timelineState;
+	if (!state.totals || year === state.year) return;
+
+	state.year = year;
+	const totals = state.totals.years.get(year);
+
+	state.yearLabel.textContent = String(year);
+	state.scrubber.value = String(year);
+	state.totalElements.added.textContent = formatNumber(totals.added);
+	state.totalElements.inService.textContent = formatNumber(totals.inService);
+	state.totalElements.inServiceKm.textContent = `${formatNumber(totals.inServiceKm)} km`;
+
+	if (state.isActive) {
+		setGlobeTimelineYear(year);
+	}
+
+	if (TIMELINE_CONFIG.enableLogging) {
+		console.log(`📅 Timeline ${year}: +${totals.added}, ${totals.inService} in service`);
+	}
+}
+
+/**
+ * Stop playback
+ */
+function stopPlayback() {
+	const state = timelineState;
+	if (state.playTimer) {
+		clearInterval(state.playTimer);
+		state.playTimer = null;
+	}
+	state.playButton?.setAttribute('aria-pressed', 'false');
+	if (state.playButton) state.playButton.textContent = 'Play';
+}
+
+/**
+ * Play the build-out from the first year (or resume from the current one)
+ */
+function startPlayback() {
+	const state = timelineState;
+	if (!state.totals) return;
+
+	const { minYear, maxYear } = state.totals;
+	if (state.year === null || state.year >= maxYear) {
+		setYear(minYear);
+	}
+
+	state.playButton.setAttribute('aria-pressed', 'true');
+	state.playButton.textContent = 'Pause';
+	state.playTimer = setInterval(() => {
+		if (state.year >= maxYear) {
+			stopPlayback();
+			return;
+		}
+		setYear(state.year + 1);
+	}, TIMELINE_CONFIG.playYearDuration);
+}
+
+/**
+ * Set up the scrubber range whenever the cable data is loaded or refreshed
+ */
+function handleCablesChanged() {
+	const state = timelineState;
+	const previousYear = state.year;
+	stopPlayback(); // Playback captured the old year range
+	state.totals = getCableYearTotals();
+	state.year = null; // Redraw the totals even if the year stays the same
+
+	if (!state.totals) {
+		state.scrubber.disabled = true;
+		console.warn('⚠️ No ready-for-service years in cable data; timeline disabled');
+		return;
+	}
+
+	const { minYear, maxYear } = state.totals;
+	state.scrubber.min = String(minYear);
+	state.scrubber.max = String(maxYear);
+	state.scrubber.disabled = false;
+
+	const year = previousYear ?? state.lastScrollYear ?? maxYear;
+	setYear(Math.min(Math.max(year, minYear), maxYear));
+}
+
+/**
+ * Pin the panel while the section scrolls past
+ * @param {Object} rect - Section rect from the layout snapshot
+ * @param {Object} snapshot - Layout snapshot of this frame
+ * @returns {number} Progress through the section (0-1)
+ */
+function updatePinning(rect, snapshot) {
+	const { panel } = timelineState;
+	const panelSize = snapshot.size(panel);
+	const pinTop = snapshot.viewportHeight * TIMELINE_CONFIG.pinViewportPosition;
+	const travel = Math.max(1, rect.height - panelSize.height);
+	const progress = Math.min(1, Math.max(0, (pinTop - rect.top) / travel));
+
+	const isPinned = progress > 0 && progress < 1;
+	const pinnedWidth = isPinned ? Math.min(snapshot.size(panel.parentElement).clientWidth, panelSize.width) : 0;
+
+	queueLayoutWrite(() => {
+		panel.classList.toggle('is-pinned', isPinned);
+		panel.classList.toggle('is-past', progress >= 1);
+
+		if (isPinned) {
+			panel.style.top = `${pinTop}px`;
+			panel.style.left = `${rect.left}px`;
+			panel.style.width = `${pinnedWidth}px`;
+		} else {
+			panel.style.top = '';
+			panel.style.left = '';
+			panel.style.width = '';
+		}
+	});
+
+	return progress;
+}
+
+/**
+ * Update the timeline on scroll
+ * Call this function on scroll events
+ * @param {Object} [snapshot] - Layout snapshot of this frame (layoutSnapshot.js)
+ */
+function updateCableTimeline(snapshot = getLayoutSnapshot()) {
+	const state = timelineState;
+	if (!state.isInitialized) return;
+
+	const rect = snapshot.rect(state.section);
+	const progress = updatePinning(rect, snapshot);
+
+	// The globe follows the timeline only while the section is on screen
+	const isActive = rect.top < snapshot.viewportHeight && rect.bottom > 0;
+	if (isActive !== state.isActive) {
+		state.isActive = isActive;
+		setGlobeTimelineYear(isActive ? state.year : null);
+		if (!isActive) stopPlayback();
+	}
+
+	if (!state.totals) return;
+
+	const { minYear, maxYear } = state.totals;
+	const scrollYear = Math.round(minYear + (maxYear - minYear) * progress);
+	if (scrollYear !== state.lastScrollYear) {
+		state.lastScrollYear = scrollYear;
+		stopPlayback();
+		setYear(scrollYear);
+	}
+}
+
+/**
+ * Scrubber input: take over from scroll and playback
+ */
+function handleScrubberInput() {
+	stopPlayback();
+	setYear(Number(timelineState.scrubber.value));
+}
+
+/**
+ * Play button click
+ */
+function handlePlayClick() {
+	if (timelineState.playTimer) {
+		stopPlayback();
+	} else {
+		startPlayback();
+	}
+}
+
+/**
+ * Initialize the cable timeline
+ * Call this function when the page loads
+ */
+function initializeCableTimeline() {
+	const state = timelineState;
+	state.section = document.querySelector(TIMELINE_CONFIG.sectionSelector);
+	if (!state.section) return; // The page has no timeline section
+
+	state.panel = state.section.querySelector('.cable-timeline-panel');
+	state.yearLabel = state.section.querySelector('.cable-timeline-year');
+	state.scrubber = state.section.querySelector('.cable-timeline-scrubber');
+	state.playButton = state.section.querySelector('.cable-timeline-play');
+	state.totalElements = Object.fromEntries(
+		[...state.section.querySelectorAll('[data-total]')].map(element => [element.dataset.total, element])
+	);
+
+	state.scrubber.addEventListener('input', handleScrubberInput);
+	state.playButton.addEventListener('click', handlePlayClick);
+
+	state.unsubscribeCablesChanged = onGlobeCablesChanged(handleCablesChanged);
+
+	state.isInitialized = true;
+}
+
+/**
+ * Stop playback and show every cable on the globe again
+ * Call this function before the page is replaced (client-side navigation)
+ */
+function destroyCableTimeline() {
+	const state = timelineState;
+	if (!state.isInitialized) return;
+
+	stopPlayback();
+	state.scrubber.removeEventListener('input', handleScrubberInput);
+	state.playButton.removeEventListener('click', handlePlayClick);
+	state.unsubscribeCablesChanged?.();
+	if (state.isActive) {
+		setGlobeTimelineYear(null);
+	}
+
+	state.isInitialized = false;
+	state.section = null;
+	state.panel = null;
+	state.yearLabel = null;
+	state.totalElements = null;
+	state.scrubber = null;
+	state.playButton = null;
+	state.totals = null;
+	state.year = null;
+	state.lastScrollYear = null;
+	state.isActive = false;
+	state.unsubscribeCablesChanged = null;
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeCableTimeline,
+	updateCableTimeline,
+	destroyCableTimeline,
+	TIMELINE_CONFIG
+};
@@ -55,6 +55,11 @@ const SCROLLBAR_CONFIG = {
 	enableLogging: false // Set to true to enable debug logging
 };
 
+/**
+ * Pending setup timers (cleared on destroy)
+ */
+let initTimers = [];
+
 /**
  * Get all sections and their H1 elements for major marks
  * @returns {Array} Array of section data with H1 titles and scroll positions
@@ -357,16 +362,16 @@ export function initializeScrollbar() {
 	// Initialize custom scrollbar silently
 	
 	// Add a small delay to ensure DOM is ready
-	setTimeout(() => {
+	initTimers.push(setTimeout(() => {
 		createScrollbarMarkings();
 		
 		// Debug the created marks
-		setTimeout(() => {
+		initTimers.push(setTimeout(() => {
 			debugClickableMarks();
-		}, 100);
+		}, 100));
 		
 		// Custom scrollbar initialized
-	}, SCROLLBAR_CONFIG.initDelay);
+	}, SCROLLBAR_CONFIG.initDelay));
 }
 
 /**
@@ -378,5 +383,22 @@ export function updateScrollbar(scrollProgress) {
 	updateScrollIndicator(scrollProgress);
 }
 
+/**
+ * Rebuild the markings for the new layout
+ * Call this function after the window is resized
+ */
+export function resizeScrollbar() {
+	createScrollbarMarkings();
+}
+
+/**
+ * Cancel pending setup (the markings go with the page)
+ * Call this function before the page is replaced (client-side navigation)
+ */
+export function destroyScrollbar() {
+	initTimers.forEach(clearTimeout);
+	initTimers = [];
+}
+
 // Export configuration for external access if needed
 export { SCROLLBAR_CONFIG };
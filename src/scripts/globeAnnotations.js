@@ -0,0 +1,179 @@
+/**
+ * GLOBE ANNOTATIONS
+ *
+ * Markers and arcs authored in MDX, drawn on the globe while their section is in view:
+ * - <GlobeMarker lat lng label /> and <GlobeArc from to /> render hidden
+ *   elements with data-globe-annotation attributes
+ * - Each annotation belongs to the section (content panel) that contains it
+ * - An IntersectionObserver tracks which sections are in the middle of the
+ *   viewport; the annotations of those sections are handed to the globe
+ *   (drawn by globeBackground.js)
+ */
+
+import { setGlobeAnnotations } from './globeBackground.js';
+
+/**
+ * Configuration for globe annotations
+ */
+const ANNOTATION_CONFIG = {
+	// Elements (rendered by GlobeMarker.astro and GlobeArc.astro)
+	annotationSelector: '[data-globe-annotation]',
+	sectionSelector: 'section',
+
+	// A section is in view while it overlaps the middle of the viewport (IntersectionObserver rootMargin)
+	viewportMargin: '-25% 0px -25% 0px',
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Annotation state
+ */
+let annotationState = {
+	isInitialized: false,
+	observer: null,
+	annotationsBySection: new Map(), // Section element -> {markers, arcs}
+	visibleSections: new Set()
+};
+
+/**
+ * Read a coordinate attribute, or NaN if it is missing
+ */
+function readNumber(element, name) {
+	const value = element.dataset[name];
+	return value === undefined ? NaN : Number(value);
+}
+
+function isValidPosition(lat, lng) {
+	return Number.isFinite(lat) && Math.abs(lat) <= 90 && Number.isFinite(lng) && Math.abs(lng) <= 180;
+}
+
+/**
+ * Read an annotation element
+ * @param {HTMLElement} element - Element with data-globe-annotation
+ * @returns {Object|null} {type: 'marker'|'arc', annotation}, or null if it is invalid
+ */
+function readAnnotation(element) {
+	const { globeAnnotation: type, label = null, color = null } = element.dataset;
+
+	if (type === 'marker') {
+		const lat = readNumber(element, 'lat');
+		const lng = readNumber(element, 'lng');
+		if (isValidPosition(lat, lng)) {
+			return { type, annotation: { lat, lng, label, color } };
+		}
+	} else if (type === 'arc') {
+		const startLat = readNumber(element, 'startLat');
+		const startLng = readNumber(element, 'startLng');
+		const endLat = readNumber(element, 'endLat');
+		const endLng = readNumber(element, 'endLng');
+		if (isValidPosition(startLat, startLng) && isValidPosition(endLat, endLng)) {
+			return { type, annotation: { startLat, startLng, endLat, endLng, label, color } };
+		}
+	}
+
+	console.warn('⚠️ Ignoring invalid globe annotation:', element);
+	return null;
+}
+
+/**
+ * Hand the annotations of the sections in view to the globe
+ */
+function applyVisibleAnnotations() {
+	const markers = [];
+	const arcs = [];
+	annotationState.visibleSections.forEach(section => {
+		const sectionAnnotations = annotationState.annotationsBySection.get(section);
+		markers.push(...sectionAnnotations.markers);
+		arcs.push(...sectionAnnotations.arcs);
+	});
+
+	setGlobeAnnotations({ markers, arcs });
+
+	if (ANNOTATION_CONFIG.enableLogging) {
+		console.log(`📍 Globe annotations: ${markers.length} markers, ${arcs.length} arcs`);
+	}
+}
+
+/**
+ * Track sections entering and leaving the middle of the viewport
+ */
+function handleIntersections(entries) {
+	entries.forEach(({ target, isIntersecting }) => {
+		if (isIntersecting) {
+			annotationState.visibleSections.add(target);
+		} else {
+			annotationState.visibleSections.delete(target);
+		}
+	});
+	applyVisibleAnnotations();
+}
+
+/**
+ * Initialize globe annotations
+ * Call this function when the page loads
+ */
+function initializeGlobeAnnotations() {
+	if (annotationState.isInitialized) return;
+
+	document.querySelectorAll(ANNOTATION_CONFIG.annotationSelector).forEach(element => {
+		const section = element.closest(ANNOTATION_CONFIG.sectionSelector);
+		if (!section) {
+			console.warn('⚠️ Globe annotation outside a section, place it inside a content panel:', element);
+			return;
+		}
+
+		const read = readAnnotation(element);
+		if (!read) return;
+
+		if (!annotationState.annotationsBySection.has(section)) {
+			annotationState.annotationsBySection.set(section, { markers: [], arcs: [] });
+		}
+		annotationState.annotationsBySection.get(section)[read.type === 'marker' ? 'markers' : 'arcs'].push(read.annotation);
+	});
+
+	const sections = [...annotationState.annotationsBySection.keys()];
+	if (sections.length === 0) return; // The page has no annotations
+
+	if ('IntersectionObserver' in window) {
+		annotationState.observer = new IntersectionObserver(handleIntersections, {
+			rootMargin: ANNOTATION_CONFIG.viewportMargin
+		});
+		sections.forEach(section => annotationState.observer.observe(section));
+	} else {
+		// Without the observer every annotation stays on the globe
+		sections.forEach(section => annotationState.visibleSections.add(section));
+		applyVisibleAnnotations();
+	}
+
+	annotationState.isInitialized = true;
+
+	if (ANNOTATION_CONFIG.enableLogging) {
+		console.log(`📍 Globe annotations in ${sections.length} sections`);
+	}
+}
+
+/**
+ * Take the page's annotations off the globe
+ * Call this function before the page is replaced (client-side navigation)
+ */
+function destroyGlobeAnnotations() {
+	if (!annotationState.isInitialized) return;
+
+	annotationState.observer?.disconnect();
+	annotationState.observer = null;
+	annotationState.annotationsBySection.clear();
+	annotationState.visibleSections.clear();
+	setGlobeAnnotations({});
+	annotationState.isInitialized = false;
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeGlobeAnnotations,
+	destroyGlobeAnnotations,
+	ANNOTATION_CONFIG
+};
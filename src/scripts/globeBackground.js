@@ -5,295 +5,1849 @@
  * - Uses globe.gl library for WebGL globe rendering
  * - Loads and displays submarine cable data
  * - Integrates with existing background transition system
- * - Responsive to scroll position for camera and lighting effects
+ * - Responsive to scroll position for camera and lighting effects (zoom keyed to scroll timeline anchors, scrollTimeline.js)
+ * - Optional interactive mode (drag, zoom, click a cable or landing station to inspect it)
+ * - Cables, landing stations, data centers and country outlines are layers that can be toggled at runtime
+ * - Hovering a country shows its cable landings and PoPs; clicking it filters the cables to it
+ * - Measure mode (globeMeasure.js) takes clicks as measurement ends and draws the arc between them
+ * - Markers and arcs authored in MDX (globeAnnotations.js) are drawn while their section is in view
+ * - Follows the scroll-driven tour of panels with a geographic focus (globeTour.js)
+ * - Self-hosted textures, upgraded to a device-appropriate tier when idle (globeTextures.js)
+ * - Static pre-rendered globe image for devices without (capable) WebGL or
+ *   with reduced motion, scaled along the same zoom curve (globeCapabilities.js)
+ * - Frame-rate governor that trades quality for smoothness and pauses
+ *   rendering while the tab is hidden (globeGovernor.js)
+ * - Swaps between simplified cable geometries (built by cableData.js) by camera altitude
+ * - Optional build-out timeline: only cables in service by a given year are drawn (cableTimeline.js)
+ * - Processed cables are cached in IndexedDB and revalidated in the background (cableCache.js)
+ * - Persists across client-side navigations (transition:persist on its container) and
+ *   flies to each new page's camera instead of being recreated
  */
 
+import { interpolateGreatCircle } from './globeTour.js';
+import { getTextureUrls, selectTextureTier, upgradeTextures, TEXTURE_CONFIG } from './globeTextures.js';
+import { detectGlobeCapability } from './globeCapabilities.js';
+import { startFrameGovernor, stopFrameGovernor } from './globeGovernor.js';
+import { startSunLighting, upgradeSunLighting, stopSunLighting } from './globeLighting.js';
+import { readCachedCables, writeCachedCables } from './cableCache.js';
+import { subscribeScrollTimeline } from './scrollTimeline.js';
+
 // Dynamic import of Globe.gl for better compatibility
 let Globe = null;
 
 /**
- * Configuration for globe rendering
+ * Configuration for globe rendering
+ */
+const GLOBE_CONFIG = {
+	// Visual settings (texture files and tiers live in globeTextures.js)
+	textureTier: 'auto', // 'auto' picks a tier for this device, or force 'low' | 'medium' | 'high'
+	lighting: 'static', // 'static' = dark texture; 'sun' = day/night from the real sun position (globeLighting.js)
+	
+	// Animation settings
+	pathStroke: 1.5, // Thicker lines for better visibility
+	selectedPathStroke: 4, // Stroke of the cable picked in interactive mode
+	dimmedPathColor: 'rgba(255, 255, 255, 0.08)', // Cables outside a legend highlight
+	pathDashLength: 0.1,
+	pathDashGap: 0.008,
+	pathDashAnimateTime: 15000, // Slower animation for better performance
+	
+	// Camera settings
+	initialAltitude: 3.5, // Start farther away (smaller globe)
+	scrollAltitudeRange: [0.3, 3.5], // Min (big) and max (small) altitude based on scroll
+	zoomCurveExponent: 3, // Higher values = faster initial zoom (exponential curve)
+	zoomAnchors: ['page-start', 'page-end'], // Scroll timeline anchors the zoom runs between
+	cameraFov: 50, // Vertical field of view of the globe.gl camera (degrees)
+	pageFlightDuration: 1500, // Camera flight (ms) to the next page's camera after a client-side navigation
+	
+	// Container (index.astro renders it with transition:persist, so it survives client-side navigation)
+	containerId: 'globe-background',
+	persistName: 'globe', // Must match transition:persist on the container
+	
+	// Static fallback (rendered at build time by src/integrations/staticGlobe.js)
+	staticGlobeUrl: '/textures/globe/static-globe.webp',
+	staticGlobeFraction: 0.85, // Must match STATIC_GLOBE_CONFIG.globeFraction
+	staticBodyClass: 'globe-static', // Lets other components hide live-globe controls
+	
+	// Interactive mode
+	interactiveZIndex: 900, // Above content panels, below the scrollbar and logo
+	interactiveReturnDuration: 1000, // Camera transition (ms) back to scroll control
+	
+	// Performance settings
+	enableLogging: true, // Temporarily enable for production debugging
+	
+	// Quality tiers, best first; the frame-rate governor steps down one tier at a time
+	qualityTiers: [
+		{ name: 'full', animateDashes: true, maxPixelRatio: 2, pathStrokeScale: 1, pathResolution: 2, atmosphere: true },
+		{ name: 'static-dashes', animateDashes: false, maxPixelRatio: 2, pathStrokeScale: 1, pathResolution: 2, atmosphere: true },
+		{ name: 'low-resolution', animateDashes: false, maxPixelRatio: 1, pathStrokeScale: 1, pathResolution: 2, atmosphere: true },
+		{ name: 'thin-paths', animateDashes: false, maxPixelRatio: 1, pathStrokeScale: 0.5, pathResolution: 4, atmosphere: true },
+		{ name: 'minimal', animateDashes: false, maxPixelRatio: 1, pathStrokeScale: 0.5, pathResolution: 4, atmosphere: false }
+	],
+	qualityTier: 'full', // Current tier; kept up to date by the governor
+	lockQualityTier: false, // Pin qualityTier (rendering still pauses while hidden)
+	showQualityReadout: false, // Debug readout with tier and frame time
+	
+	// Auto-rotation (time-based; scroll only sets the target speed)
+	baseRotateSpeed: 6, // Degrees per second at the top of the page
+	maxRotateSpeed: 60, // Degrees per second when fully scrolled
+	rotateSpeedEasing: 0.6, // Seconds to close most (63%) of the gap to a new target speed
+	interactiveRotateSpeed: 6, // Degrees per second in interactive mode
+	pauseRotationOnHover: true, // In interactive mode, ease to a stop while the mouse is over the globe
+	
+	// Landing stations layer
+	showLandingPoints: true, // Shown by default (toggle at runtime with setGlobeLayerVisible)
+	landingPointColor: '#ffffff',
+	selectedLandingPointColor: '#ffd54f', // Station picked in interactive mode
+	selectedLandingPointRadiusScale: 2,
+	landingPointBaseRadius: 0.15, // Radius (degrees) of a station with a single cable
+	landingPointRadiusPerCable: 0.08, // Extra radius for each additional cable
+	landingPointAltitude: 0.005,
+	landingPointLabelMinCables: 2, // Only label stations where at least this many cables land
+	landingPointLabelSize: 0.6,
+	
+	// Cloudflare data center (PoP) layer, fed by the datacenters content collection
+	showDatacenters: true, // Shown by default (toggle at runtime with setGlobeLayerVisible)
+	datacenterDataElementId: 'globe-datacenters', // JSON rendered by DatacenterData.astro
+	datacenterColor: '#f6821f',
+	datacenterHexResolution: 3, // H3 resolution (0-15); higher = smaller hexagons
+	datacenterHexAltitude: 0.02,
+	datacenterHexMargin: 0.2,
+	
+	// Country outlines layer (Natural Earth 1:110m, bundled by cableData.js)
+	showCountries: false, // Hidden by default (toggle at runtime with setGlobeLayerVisible)
+	countryAltitude: 0.002, // Just above the surface, under the cables
+	countryCapColor: 'rgba(255, 255, 255, 0.03)',
+	hoveredCountryCapColor: 'rgba(246, 130, 31, 0.35)',
+	selectedCountryCapColor: 'rgba(255, 213, 79, 0.25)', // Country the cables are filtered to
+	countrySideColor: 'rgba(0, 0, 0, 0)',
+	countryStrokeColor: 'rgba(255, 255, 255, 0.25)',
+	
+	// Measurement drawn by measure mode (globeMeasure.js)
+	measureColor: '#00e5ff',
+	measureArcStroke: 0.6,
+	measureArcAltitudeScale: 0.3, // Arc height relative to its length
+	measureRingMaxRadius: 3, // Degrees
+	
+	// Annotations authored in MDX (GlobeMarker, GlobeArc; globeAnnotations.js)
+	annotationColor: '#ffffff', // Markers without a color prop
+	annotationMarkerAltitude: 0.01,
+	annotationArcColor: '#f6821f', // Arcs without a color prop
+	annotationArcStroke: 0.8,
+	annotationArcDashLength: 0.4, // Fraction of the arc
+	annotationArcDashGap: 0.2,
+	annotationArcDashAnimateTime: 2000, // ms for a dash to travel the arc
+	
+	// Build-out timeline
+	timelineDrawDuration: 800, // ms for a cable to draw in when its year is reached
+	
+	// Cable level of detail, coarsest first; tolerances must match CABLE_DATA_CONFIG.lodTolerances.
+	// Below the lowest minAltitude the full-detail cables are shown.
+	cableLodLevels: [
+		{ tolerance: 0.5, minAltitude: 2.5 },
+		{ tolerance: 0.15, minAltitude: 1.4 },
+		{ tolerance: 0.03, minAltitude: 0.7 }
+	],
+	cableLodHysteresis: 0.1, // Altitude margin before swapping back, to avoid flicker at a boundary
+	
+	// Submarine cable data, both same-origin
+	cableApiUrl: '/api/cables', // Worker route backed by R2 (src/pages/api/cables.ts)
+	cableManifestUrl: '/data/cables/manifest.json', // Bundled snapshot fallback (src/integrations/cableData.js)
+	useCableCache: true // false = always fetch, never read or write IndexedDB (debugging)
+};
+
+let globe = null;
+let globeContainer = null;
+let isInitialized = false;
+let lastScrollProgress = -1; // Cache to avoid unnecessary updates
+let rotationFrameId = null; // requestAnimationFrame handle of the rotation loop
+let rotationListenerTargets = null; // {container, controls} the rotation loop listens to, until it stops
+let lastRotationFrameTime = null;
+let rotationSpeed = 0; // Current (eased) rotation speed in degrees per second
+let cameraNeedsUpdate = false; // Scroll or tour moved the camera target since the last frame
+let cameraTransitionEnd = 0; // The loop leaves the camera alone until an animated transition ends
+let pageFlightPending = false; // Fly to the camera of the next frame (a new page was entered)
+let hoverPointer = null; // Mouse position over the interactive globe, for pausing rotation
+let interactiveRotationHeld = false; // Interactive rotation stops once the user moves the camera or picks something
+let cablesLoaded = false; // Track if cables have been loaded
+let landingPointsLoaded = false; // Track if landing stations have been loaded
+let countriesLoaded = false; // Track if country outlines have been loaded
+let cableManifestPromise = null; // Shared manifest request for all snapshot loaders
+let interactiveMode = false; // Pointer interaction on, scroll camera paused
+let latestScrollProgress = 0; // Last zoom progress seen, even while paused
+let unsubscribeZoom = null; // Zoom subscription to the scroll timeline
+let latestTourFocus = null; // Last tour camera seen, even while paused
+let freeRotationLng = 0; // Longitude of the free-spinning camera outside the tour
+let selectedCableId = null;
+let selectedLandingPointId = null;
+let selectedCountryId = null; // Cables are filtered to this country (null = no filter)
+let hoveredCountryId = null;
+let cableClickHandler = null;
+let landingPointClickHandler = null;
+let countryClickHandler = null;
+let measureClickHandler = null; // Set while measure mode takes the clicks
+let measurementPoints = []; // Ends of the drawn measurement
+let annotations = { markers: [], arcs: [] }; // Annotations of the sections in view
+let landingPointsData = []; // Processed stations, kept while the layer is hidden
+let labelledLandingPoints = [];
+let datacenterData = [];
+let countriesData = []; // Processed country outlines, kept while the layer is hidden
+const layerVisibility = {
+	cables: true,
+	landingPoints: GLOBE_CONFIG.showLandingPoints,
+	datacenters: GLOBE_CONFIG.showDatacenters,
+	countries: GLOBE_CONFIG.showCountries
+};
+let globeReadyHandlers = [];
+let landingPointsLoadedHandlers = [];
+let countriesLoadedHandlers = [];
+const stateChangeHandlers = []; // Notified of interactive mode, camera, selection and layer changes
+let cableColorOverrides = null; // Cable id -> color from the active color mode (null = dataset colors)
+let highlightedCableIds = null; // Cables left undimmed by a legend hover (null = no highlight)
+const cableInfoById = new Map(); // Feature-level cable properties, shared by all segments
+const landingPointsById = new Map();
+const countriesById = new Map();
+let initializationInProgress = false; // Prevent duplicate initializations
+const cableLevels = new Map(); // LOD tolerance (0 = full detail) -> Promise of {paths, info}
+const unavailableCableLods = new Set(); // Tolerances that failed to load; not retried
+let currentCableLod = null;
+let currentCablePaths = []; // Paths of the current LOD, before the timeline filter
+let timelineYear = null; // Show cables in service by this year (null = all cables)
+let cableYearTotals = null; // Per-year totals, computed once per data load
+let cablesLoadedHandlers = [];
+const cablesChangedHandlers = []; // Notified on every cable data load, including background refreshes
+let pendingCableLod = null;
+let staticGlobeImage = null; // Set when the static fallback is shown instead of the live globe
+let globeGeneration = 0; // Bumped by destroyGlobe() so pending async work can tell it is stale
+
+/**
+ * Fetch cable data from the Worker API
+ * @param {Object|null} [cached] - Cached copy to revalidate (sent as If-None-Match)
+ * @returns {Promise<Object|null>} {data, etag, version, url}, or null if the cached copy is current
+ */
+async function fetchCableDataFromApi(cached = null) {
+	const url = GLOBE_CONFIG.cableApiUrl;
+	const cachedEtag = cached?.url === url ? cached.etag : null;
+	const response = await fetch(url, cachedEtag ? { headers: { 'If-None-Match': cachedEtag } } : {});
+	if (response.status === 304) return null;
+	if (!response.ok) {
+		throw new Error(`Cable API request failed: HTTP ${response.status}`);
+	}
+
+	const etag = response.headers.get('ETag');
+	if (cachedEtag && etag === cachedEtag) return null; // Answered from the HTTP cache
+
+	// The bucket holds a build snapshot (scripts/seedCableBucket.js), which carries its dataset version
+	const data = await response.json();
+	return { data, etag, version: data.metadata?.version ?? null, url };
+}
+
+/**
+ * Fetch the snapshot manifest (once per page load)
+ */
+function fetchCableManifest() {
+	if (!cableManifestPromise) {
+		cableManifestPromise = fetch(GLOBE_CONFIG.cableManifestUrl, { cache: 'no-cache' })
+			.then(response => {
+				if (!response.ok) {
+					throw new Error(`Cable manifest request failed: HTTP ${response.status}`);
+				}
+				return response.json();
+			})
+			.catch(error => {
+				cableManifestPromise = null; // Allow a later retry
+				throw error;
+			});
+	}
+
+	return cableManifestPromise;
+}
+
+/**
+ * Fetch a content-hashed snapshot file listed in the manifest
+ * The URL changes with the content, so a cached copy from the same URL is current
+ * @returns {Promise<Object|null>} {data, etag, version, url}, or null if the cached copy is current
+ */
+async function fetchSnapshotFile(url, version, cached) {
+	if (cached?.url === url) return null;
+
+	const response = await fetch(url);
+	if (!response.ok) {
+		throw new Error(`Cable snapshot request failed: HTTP ${response.status}`);
+	}
+
+	return { data: await response.json(), etag: response.headers.get('ETag'), version, url };
+}
+
+/**
+ * Fetch the bundled submarine cable snapshot
+ * Reads the manifest first to find the current content-hashed snapshot URL
+ * @param {Object|null} [cached] - Cached copy to revalidate
+ */
+async function fetchCableSnapshot(cached = null) {
+	const manifest = await fetchCableManifest();
+	if (!manifest.cables?.url) {
+		throw new Error('Cable manifest does not reference a snapshot');
+	}
+
+	if (GLOBE_CONFIG.enableLogging) {
+		console.log(`🌊 Checking cable snapshot ${manifest.version} (${manifest.cables.featureCount} cables)...`);
+	}
+	if (manifest.fixture) {
+		console.warn('⚠️ Cable snapshot was built from the development fixture, not the real cable dataset');
+	}
+
+	return await fetchSnapshotFile(manifest.cables.url, manifest.version, cached);
+}
+
+/**
+ * Fetch submarine cable data
+ * Prefers the Worker API and falls back to the bundled snapshot. The simplified
+ * LODs always come from the build's manifest, so the API is only used while it
+ * serves the same dataset version; otherwise zooming would swap between two
+ * different sets of cables.
+ * @param {Object|null} [cached] - Cached copy to revalidate
+ */
+async function fetchCableData(cached = null) {
+	try {
+		const manifest = await fetchCableManifest().catch(() => null); // No manifest, no LODs to match
+		const result = await fetchCableDataFromApi(cached);
+		const version = result ? result.version : cached.version;
+		if (manifest && version !== manifest.version) {
+			throw new Error(`API serves dataset ${version}, the build has ${manifest.version}`);
+		}
+		return result;
+	} catch (apiError) {
+		if (GLOBE_CONFIG.enableLogging) {
+			console.log('⚠️  Cable API unavailable, using bundled snapshot:', apiError.message);
+		}
+		return await fetchCableSnapshot(cached);
+	}
+}
+
+/**
+ * Fetch the cables for a level of detail
+ * @param {number} tolerance - LOD tolerance from GLOBE_CONFIG.cableLodLevels, or 0 for full detail
+ * @param {Object|null} [cached] - Cached copy to revalidate
+ * @returns {Promise<Object|null>} {data, etag, version, url}, or null if the cached copy is current
+ */
+async function fetchCableLevel(tolerance, cached = null) {
+	if (tolerance === 0) return await fetchCableData(cached);
+
+	const manifest = await fetchCableManifest();
+	const level = manifest.cables?.lods?.find(lod => lod.tolerance === tolerance);
+	if (!level) {
+		throw new Error(`Cable manifest has no LOD with tolerance ${tolerance}`);
+	}
+
+	return await fetchSnapshotFile(level.url, manifest.version, cached);
+}
+
+/**
+ * Process cable data into paths format (matching globe.gl example)
+ */
+function processCableData(cablesGeo) {
+	let cablePaths = [];
+	
+	if (GLOBE_CONFIG.enableLogging) {
+		console.log(`🔄 Processing cable data: ${cablesGeo?.features?.length ?? 0} features`);
+	}
+	
+	if (!cablesGeo) {
+		console.error('❌ No cable data provided to processCableData');
+		return [];
+	}
+	
+	if (!cablesGeo.features || !Array.isArray(cablesGeo.features)) {
+		console.error('❌ Cable data missing features array:', cablesGeo);
+		return [];
+	}
+	
+	if (cablesGeo && cablesGeo.features) {
+		cablesGeo.features.forEach(({ geometry, properties }, index) => {
+			if (geometry && geometry.coordinates) {
+				// Handle different geometry types
+				if (geometry.type === 'LineString') {
+					// Single line string
+					cablePaths.push({ 
+						coords: geometry.coordinates, 
+						properties: {
+							id: properties?.id,
+							name: properties?.name || `Cable ${index + 1}`,
+							color: properties?.color || `hsl(${(index * 137.508) % 360}, 70%, 50%)`, // Generate colors
+							rfsYear: properties?.rfs_year ?? null
+						}
+					});
+				} else if (geometry.type === 'MultiLineString') {
+					// Multiple line strings
+					geometry.coordinates.forEach((coords, segmentIndex) => {
+						if (coords && coords.length > 1) {
+							cablePaths.push({ 
+								coords, 
+								properties: {
+									id: properties?.id,
+									name: `${properties?.name || 'Cable'} Segment ${segmentIndex + 1}`,
+									color: properties?.color || `hsl(${(index * 137.508) % 360}, 70%, 50%)`,
+									rfsYear: properties?.rfs_year ?? null
+								}
+							});
+						}
+					});
+				}
+			}
+		});
+	}
+	
+	console.log(`✨ Processed ${cablePaths.length} cable paths`);
+	return cablePaths;
+}
+
+/**
+ * Feature-level cable properties, as stored with a level
+ */
+function extractCableInfo(cablesGeo) {
+	return (cablesGeo?.features || [])
+		.map(({ properties }) => properties)
+		.filter(properties => properties?.id);
+}
+
+/**
+ * Remember feature-level cable properties for the details card
+ * @param {Array<Object>} cableInfo - From extractCableInfo()
+ */
+function indexCableInfo(cableInfo) {
+	cableInfoById.clear();
+	cableInfo.forEach(properties => cableInfoById.set(properties.id, properties));
+}
+
+/**
+ * Collect everything known about a cable for display
+ * @param {string} cableId - Cable id from the dataset
+ * @returns {Object|null} Cable details with resolved landing points
+ */
+function getCableDetails(cableId) {
+	const info = cableInfoById.get(cableId);
+	if (!info) return null;
+
+	return {
+		id: info.id,
+		name: info.name,
+		color: cableColorOverrides?.get(info.id) || info.color || null,
+		lengthKm: info.length_km ?? null,
+		rfsYear: info.rfs_year ?? null,
+		owners: info.owners || [],
+		landingPoints: (info.landing_points || []).map(id => {
+			const landingPoint = landingPointsById.get(id);
+			return {
+				id,
+				name: landingPoint?.name || id,
+				country: landingPoint?.country || null
+			};
+		})
+	};
+}
+
+/**
+ * Cables to draw: none while the layer is hidden, otherwise those landing in the
+ * selected country (if any) and in service by the timeline year (all cables when
+ * the timeline is off)
+ */
+function visibleCablePaths(paths) {
+	if (!layerVisibility.cables) return [];
+
+	const countryCables = selectedCountryId && countriesById.get(selectedCountryId)?.cableIds;
+	return paths.filter(({ properties }) =>
+		(!countryCables || countryCables.has(properties.id)) &&
+		(timelineYear === null || (properties.rfsYear !== null && properties.rfsYear <= timelineYear)));
+}
+
+/**
+ * Per-year build-out totals for the timeline
+ * @returns {Object|null} {minYear, maxYear, undated, years: Map(year -> {added, addedKm, inService, inServiceKm})},
+ *   or null until the cables have loaded
+ */
+function getCableYearTotals() {
+	if (!cablesLoaded) return null;
+	if (cableYearTotals) return cableYearTotals;
+
+	const dated = [...cableInfoById.values()].filter(({ rfs_year }) => Number.isInteger(rfs_year));
+	if (dated.length === 0) return null;
+
+	const years = dated.map(({ rfs_year }) => rfs_year);
+	const minYear = Math.min(...years);
+	const maxYear = Math.max(...years);
+	const totals = new Map();
+	let inService = 0;
+	let inServiceKm = 0;
+
+	for (let year = minYear; year <= maxYear; year++) {
+		const added = dated.filter(({ rfs_year }) => rfs_year === year);
+		const addedKm = added.reduce((total, { length_km }) => total + (length_km ?? 0), 0);
+		inService += added.length;
+		inServiceKm += addedKm;
+		totals.set(year, { added: added.length, addedKm, inService, inServiceKm });
+	}
+
+	cableYearTotals = { minYear, maxYear, undated: cableInfoById.size - dated.length, years: totals };
+	return cableYearTotals;
+}
+
+/**
+ * Show only the cables in service by a year; new cables draw in
+ * @param {number|null} year - Timeline year, or null to show every cable
+ */
+function setGlobeTimelineYear(year) {
+	if (year === timelineYear) return;
+	timelineYear = year;
+
+	if (globe && cablesLoaded) {
+		globe
+			.pathTransitionDuration(GLOBE_CONFIG.timelineDrawDuration)
+			.pathsData(visibleCablePaths(currentCablePaths));
+	}
+}
+
+/**
+ * Register a callback for when the live globe has been created (called at once if it already is)
+ * Never called when the static fallback is shown
+ * @param {function(): void} handler
+ * @returns {Function} Unregister (page modules call it when they are destroyed)
+ */
+function onGlobeReady(handler) {
+	if (globe && isInitialized) {
+		handler();
+	} else {
+		globeReadyHandlers.push(handler);
+	}
+	return () => { globeReadyHandlers = globeReadyHandlers.filter(pending => pending !== handler); };
+}
+
+/**
+ * Register a callback for when landing stations are ready (called at once if they already are)
+ * @param {function(): void} handler
+ * @returns {Function} Unregister
+ */
+function onGlobeLandingPointsLoaded(handler) {
+	if (landingPointsLoaded) {
+		handler();
+	} else {
+		landingPointsLoadedHandlers.push(handler);
+	}
+	return () => { landingPointsLoadedHandlers = landingPointsLoadedHandlers.filter(pending => pending !== handler); };
+}
+
+/**
+ * Register a callback for when country outlines are ready (called at once if they already are)
+ * @param {function(): void} handler
+ * @returns {Function} Unregister
+ */
+function onGlobeCountriesLoaded(handler) {
+	if (countriesLoaded) {
+		handler();
+	} else {
+		countriesLoadedHandlers.push(handler);
+	}
+	return () => { countriesLoadedHandlers = countriesLoadedHandlers.filter(pending => pending !== handler); };
+}
+
+/**
+ * Register a callback for changes to the shareable globe state
+ * @param {function(string): void} handler - Receives 'interactive', 'camera', 'selection' or 'layers'
+ * @returns {Function} Unregister
+ */
+function onGlobeStateChange(handler) {
+	stateChangeHandlers.push(handler);
+	return () => {
+		const index = stateChangeHandlers.indexOf(handler);
+		if (index !== -1) stateChangeHandlers.splice(index, 1);
+	};
+}
+
+function notifyGlobeStateChange(reason) {
+	stateChangeHandlers.forEach(handler => handler(reason));
+}
+
+/**
+ * Register a callback for when cable data is ready (called at once if it already is)
+ * @param {function(): void} handler
+ * @returns {Function} Unregister
+ */
+function onGlobeCablesLoaded(handler) {
+	if (cablesLoaded) {
+		handler();
+	} else {
+		cablesLoadedHandlers.push(handler);
+	}
+	return () => { cablesLoadedHandlers = cablesLoadedHandlers.filter(pending => pending !== handler); };
+}
+
+/**
+ * Register a callback for whenever the cable data is loaded or replaced
+ * Called at once if cables are loaded, again after the initial load, and after a
+ * background revalidation swaps in changed data; derived views rebuild from it
+ * @param {function(): void} handler
+ * @returns {Function} Unregister
+ */
+function onGlobeCablesChanged(handler) {
+	cablesChangedHandlers.push(handler);
+	if (cablesLoaded) handler();
+	return () => {
+		const index = cablesChangedHandlers.indexOf(handler);
+		if (index !== -1) cablesChangedHandlers.splice(index, 1);
+	};
+}
+
+function notifyGlobeCablesChanged() {
+	cablesChangedHandlers.forEach(handler => handler());
+}
+
+/**
+ * Fetch the bundled landing station snapshot
+ */
+async function fetchLandingPoints() {
+	const manifest = await fetchCableManifest();
+	if (!manifest.landingPoints?.url) {
+		throw new Error('Cable manifest does not reference landing points');
+	}
+
+	const response = await fetch(manifest.landingPoints.url);
+	if (!response.ok) {
+		throw new Error(`Landing point snapshot request failed: HTTP ${response.status}`);
+	}
+
+	return await response.json();
+}
+
+/**
+ * Process landing station data into points format
+ * Each station is sized by the number of cables that land there
+ */
+function processLandingPoints(landingPointsGeo) {
+	if (!landingPointsGeo || !Array.isArray(landingPointsGeo.features)) {
+		console.error('❌ Landing point data missing features array:', landingPointsGeo);
+		return [];
+	}
+
+	return landingPointsGeo.features
+		.filter(({ geometry }) => geometry && geometry.type === 'Point')
+		.map(({ geometry, properties }) => {
+			const cables = properties?.cables || [];
+			return {
+				id: properties.id,
+				name: properties.name,
+				country: properties.country || null,
+				lng: geometry.coordinates[0],
+				lat: geometry.coordinates[1],
+				cables,
+				cableCount: cables.length,
+				radius: GLOBE_CONFIG.landingPointBaseRadius +
+					Math.max(0, cables.length - 1) * GLOBE_CONFIG.landingPointRadiusPerCable
+			};
+		});
+}
+
+/**
+ * Fetch the bundled country outlines
+ */
+async function fetchCountries() {
+	const manifest = await fetchCableManifest();
+	if (!manifest.countries?.url) {
+		throw new Error('Cable manifest does not reference countries');
+	}
+
+	const response = await fetch(manifest.countries.url);
+	if (!response.ok) {
+		throw new Error(`Country snapshot request failed: HTTP ${response.status}`);
+	}
+
+	return await response.json();
+}
+
+/**
+ * Bounding box of a Polygon or MultiPolygon, as [minLng, minLat, maxLng, maxLat]
+ */
+function geometryBounds(geometry) {
+	const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+	const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+	polygons.flat(2).forEach(([lng, lat]) => {
+		bounds[0] = Math.min(bounds[0], lng);
+		bounds[1] = Math.min(bounds[1], lat);
+		bounds[2] = Math.max(bounds[2], lng);
+		bounds[3] = Math.max(bounds[3], lat);
+	});
+	return bounds;
+}
+
+/**
+ * Whether a point lies inside a Polygon or MultiPolygon (even-odd rule, so holes count as outside)
+ */
+function geometryContains(geometry, lng, lat) {
+	const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+	let inside = false;
+	for (const ring of polygons.flat()) {
+		for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+			const [lngI, latI] = ring[i];
+			const [lngJ, latJ] = ring[j];
+			if ((latI > lat) !== (latJ > lat) && lng < lngJ + (lat - latJ) / (latI - latJ) * (lngI - lngJ)) {
+				inside = !inside;
+			}
+		}
+	}
+	return inside;
+}
+
+/**
+ * Process country outlines for the polygons layer
+ * Each country counts the data centers inside its outline
+ */
+function processCountries(countriesGeo, datacenters) {
+	if (!countriesGeo || !Array.isArray(countriesGeo.features)) {
+		console.error('❌ Country data missing features array:', countriesGeo);
+		return [];
+	}
+
+	return countriesGeo.features
+		.filter(({ geometry }) => geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon'))
+		.map(({ geometry, properties }) => {
+			const [minLng, minLat, maxLng, maxLat] = geometryBounds(geometry);
+			const datacenterCount = datacenters.filter(({ lat, lng }) =>
+				lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat &&
+				geometryContains(geometry, lng, lat)).length;
+			const cables = properties.cables || [];
+
+			return {
+				id: properties.id,
+				name: properties.name,
+				geometry,
+				cables,
+				cableIds: new Set(cables),
+				landingPointCount: properties.landingPoints || 0,
+				datacenterCount
+			};
+		});
+}
+
+/**
+ * Read data center locations rendered into the page from the datacenters collection
+ */
+function readDatacenters() {
+	const dataElement = document.getElementById(GLOBE_CONFIG.datacenterDataElementId);
+	if (!dataElement) return [];
+
+	try {
+		const datacenters = JSON.parse(dataElement.textContent || '[]');
+		return Array.isArray(datacenters) ? datacenters : [];
+	} catch (error) {
+		console.error('❌ Failed to parse data center data:', error);
+		return [];
+	}
+}
+
+/**
+ * Escape text for use inside globe.gl HTML labels
+ */
+function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, char => ({
+		'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+	})[char]);
+}
+
+/**
+ * Build the hover label for a hex bin of data centers
+ */
+function formatDatacenterLabel({ points }) {
+	return points
+		.map(({ city, iata, region, services = [] }) =>
+			`<div><b>${escapeHtml(city)}</b> (${escapeHtml(iata)}) · ${escapeHtml(region)}` +
+			`${services.length ? `<br><small>${escapeHtml(services.join(', '))}</small>` : ''}</div>`)
+		.join('');
+}
+
+/**
+ * Format a count with its noun, e.g. "1 cable" or "3 cables"
+ */
+function formatCount(count, singular, plural = `${singular}s`) {
+	return `${count} ${count === 1 ? singular : plural}`;
+}
+
+/**
+ * Build the hover label for a country
+ */
+function formatCountryLabel(country) {
+	return `<div><b>${escapeHtml(country.name)}</b><br>` +
+		`${formatCount(country.cables.length, 'cable')} land · ${formatCount(country.datacenterCount, 'PoP')}</div>`;
+}
+
+/**
+ * Create and configure the globe
+ */
+function createGlobe() {
+	if (!globeContainer) return null;
+
+	// Start on the smallest textures; loadTexturesAsync() swaps in sharper ones
+	const textures = getTextureUrls(TEXTURE_CONFIG.tiers[0]);
+
+	const newGlobe = new Globe(globeContainer)
+		.globeImageUrl(textures.globeImageUrl)
+		.bumpImageUrl(textures.bumpImageUrl)
+		.backgroundImageUrl(textures.backgroundImageUrl)
+		.showGlobe(true)
+		.showAtmosphere(true)
+		.atmosphereColor('#4080ff')
+		.atmosphereAltitude(0.15)
+		.onPathClick((path, event, coords) => handleCableClick(path.properties.id, coords))
+		.onPointClick(point => handleLandingPointClick(point.id))
+		.onPolygonClick((country, event, coords) => handleCountryClick(country.id, coords))
+		.onPolygonHover(country => hoverGlobeCountry(country?.id ?? null))
+		.onHexClick((hex, event, coords) => handleDatacenterClick(hex, coords))
+		.onGlobeClick(coords => handleMeasureClick(coords))
+		.arcColor('color')
+		.arcStroke('stroke')
+		.arcLabel('label')
+		.arcDashLength('dashLength')
+		.arcDashGap('dashGap')
+		.arcDashAnimateTime('dashAnimateTime')
+		.arcAltitudeAutoScale(GLOBE_CONFIG.measureArcAltitudeScale)
+		.ringColor(() => GLOBE_CONFIG.measureColor)
+		.ringMaxRadius(GLOBE_CONFIG.measureRingMaxRadius)
+		.htmlAltitude(GLOBE_CONFIG.annotationMarkerAltitude)
+		.htmlElement(createAnnotationMarker)
+		.onZoom(({ altitude }) => updateCableLod(altitude)); // User zoom in interactive mode
+
+	// Set initial camera position (start with small globe)
+	newGlobe.pointOfView({ altitude: GLOBE_CONFIG.initialAltitude }, 0);
+
+	return newGlobe;
+}
+
+/**
+ * Apply the current interactive mode to the globe container, controls and camera
+ */
+function applyInteractiveMode() {
+	if (!globe || !globeContainer) return;
+
+	globeContainer.style.pointerEvents = interactiveMode ? 'auto' : 'none';
+	globeContainer.style.zIndex = interactiveMode ? String(GLOBE_CONFIG.interactiveZIndex) : '-2';
+
+	globe.enablePointerInteraction(interactiveMode);
+	const controls = globe.controls();
+	controls.enableRotate = interactiveMode;
+	controls.enableZoom = interactiveMode;
+	controls.enablePan = false;
+
+	if (interactiveMode) {
+		interactiveRotationHeld = false;
+	} else {
+		selectGlobeCable(null);
+		selectGlobeLandingPoint(null);
+		selectGlobeCountry(null);
+		hoverGlobeCountry(null);
+
+		// Hand the camera back to scroll control; the rotation loop resumes once it arrives
+		lastScrollProgress = -1;
+		cameraTransitionEnd = performance.now() + GLOBE_CONFIG.interactiveReturnDuration;
+		cameraNeedsUpdate = true;
+		globe.pointOfView(
+			calculateCameraTarget(latestScrollProgress, latestTourFocus),
+			GLOBE_CONFIG.interactiveReturnDuration
+		);
+	}
+}
+
+/**
+ * Turn interactive mode on or off
+ * Interactive mode enables pointer events, drag rotation and zoom, and pauses
+ * the scroll-driven camera until it is turned off again
+ * @param {boolean} enabled - Whether the globe should be interactive
+ */
+function setGlobeInteractive(enabled) {
+	interactiveMode = Boolean(enabled);
+
+	// Applied now if the globe exists, otherwise once it is created
+	applyInteractiveMode();
+	notifyGlobeStateChange('interactive');
+
+	if (GLOBE_CONFIG.enableLogging) {
+		console.log(`🖱️  Globe interactive mode ${interactiveMode ? 'on' : 'off'}`);
+	}
+}
+
+/**
+ * Whether interactive mode is on
+ */
+function isGlobeInteractive() {
+	return interactiveMode;
+}
+
+/**
+ * Current camera point of view
+ * @returns {{lat: number, lng: number, altitude: number}|null} null without a live globe
+ */
+function getGlobeView() {
+	return globe && isInitialized ? globe.pointOfView() : null;
+}
+
+/**
+ * Move the camera in interactive mode (the scroll camera overrides it otherwise)
+ * @param {{lat: number, lng: number, altitude: number}} view - Camera point of view
+ * @param {number} [duration] - Transition duration in ms
+ */
+function setGlobeView(view, duration = 0) {
+	if (!globe || !isInitialized) return;
+
+	interactiveRotationHeld = true;
+	cameraTransitionEnd = performance.now() + duration;
+	globe.pointOfView(view, duration);
+	updateCableLod(view.altitude);
+}
+
+/**
+ * Highlight a cable (or clear the highlight with null)
+ * @param {string|null} cableId - Cable id to highlight
+ */
+function selectGlobeCable(cableId) {
+	if (cableId === selectedCableId) return;
+	selectedCableId = cableId;
+
+	if (globe && cablesLoaded) {
+		globe.pathStroke(cablePathStroke);
+	}
+	notifyGlobeStateChange('selection');
+}
+
+/**
+ * Highlight a landing station (or clear the highlight with null)
+ * @param {string|null} landingPointId - Landing station id to highlight
+ */
+function selectGlobeLandingPoint(landingPointId) {
+	if (landingPointId === selectedLandingPointId) return;
+	selectedLandingPointId = landingPointId;
+
+	if (globe && landingPointsLoaded) {
+		globe.pointColor(landingPointColor).pointRadius(landingPointRadius);
+	}
+	notifyGlobeStateChange('selection');
+}
+
+/**
+ * Filter the cables to those landing in a country (or clear the filter with null)
+ * @param {string|null} countryId - Country id from the country snapshot
+ */
+function selectGlobeCountry(countryId) {
+	if (countryId === selectedCountryId) return;
+	selectedCountryId = countryId;
+
+	if (globe && countriesLoaded) {
+		globe.polygonCapColor(countryCapColor);
+	}
+	if (globe && cablesLoaded) {
+		globe.pathTransitionDuration(0).pathsData(visibleCablePaths(currentCablePaths));
+	}
+	notifyGlobeStateChange('selection');
+}
+
+/**
+ * Highlight the country under the pointer
+ */
+function hoverGlobeCountry(countryId) {
+	if (countryId === hoveredCountryId) return;
+	hoveredCountryId = countryId;
+
+	if (globe && countriesLoaded) {
+		globe.polygonCapColor(countryCapColor);
+	}
+}
+
+/**
+ * Currently selected cable, landing station and country filter
+ * @returns {{cableId: string|null, landingPointId: string|null, countryId: string|null}}
+ */
+function getGlobeSelection() {
+	return { cableId: selectedCableId, landingPointId: selectedLandingPointId, countryId: selectedCountryId };
+}
+
+function countryCapColor(country) {
+	if (country.id === hoveredCountryId) return GLOBE_CONFIG.hoveredCountryCapColor;
+	if (country.id === selectedCountryId) return GLOBE_CONFIG.selectedCountryCapColor;
+	return GLOBE_CONFIG.countryCapColor;
+}
+
+function landingPointColor(point) {
+	return point.id === selectedLandingPointId ? GLOBE_CONFIG.selectedLandingPointColor : GLOBE_CONFIG.landingPointColor;
+}
+
+function landingPointRadius(point) {
+	return point.id === selectedLandingPointId ? point.radius * GLOBE_CONFIG.selectedLandingPointRadiusScale : point.radius;
+}
+
+/**
+ * Show the landing station layer as currently toggled
+ */
+function applyLandingPointLayer(globeInstance) {
+	const visible = layerVisibility.landingPoints;
+	globeInstance
+		.pointsData(visible ? landingPointsData : [])
+		.labelsData(visible ? labelledLandingPoints : []);
+}
+
+/**
+ * Show the data center layer as currently toggled
+ */
+function applyDatacenterLayer(globeInstance) {
+	globeInstance.hexBinPointsData(layerVisibility.datacenters ? datacenterData : []);
+}
+
+/**
+ * Show the country layer as currently toggled
+ */
+function applyCountryLayer(globeInstance) {
+	globeInstance.polygonsData(layerVisibility.countries ? countriesData : []);
+}
+
+/**
+ * Show or hide a layer
+ * @param {string} layer - 'cables', 'landingPoints', 'datacenters' or 'countries'
+ * @param {boolean} visible - Whether the layer is drawn
+ */
+function setGlobeLayerVisible(layer, visible) {
+	if (!(layer in layerVisibility) || layerVisibility[layer] === Boolean(visible)) return;
+	layerVisibility[layer] = Boolean(visible);
+
+	if (globe && isInitialized) {
+		if (layer === 'cables' && cablesLoaded) {
+			globe.pathTransitionDuration(0).pathsData(visibleCablePaths(currentCablePaths));
+		} else if (layer === 'landingPoints') {
+			applyLandingPointLayer(globe);
+		} else if (layer === 'datacenters') {
+			applyDatacenterLayer(globe);
+		} else if (layer === 'countries') {
+			applyCountryLayer(globe);
+		}
+	}
+	notifyGlobeStateChange('layers');
+}
+
+/**
+ * Visibility of every layer
+ * @returns {{cables: boolean, landingPoints: boolean, datacenters: boolean, countries: boolean}}
+ */
+function getGlobeLayers() {
+	return { ...layerVisibility };
+}
+
+/**
+ * Color for a cable path, honouring the color mode and the legend highlight
+ */
+function cablePathColor(path) {
+	const { id, color } = path.properties;
+	if (highlightedCableIds && !highlightedCableIds.has(id)) {
+		return GLOBE_CONFIG.dimmedPathColor;
+	}
+	return cableColorOverrides?.get(id) || color;
+}
+
+/**
+ * Recolor the cables (e.g. for a color mode)
+ * @param {Map<string, string>|null} colorById - Color per cable id, or null for the dataset colors
+ */
+function setGlobeCableColors(colorById) {
+	cableColorOverrides = colorById;
+
+	if (globe && cablesLoaded) {
+		globe.pathColor(cablePathColor);
+	}
+}
+
+/**
+ * Dim every cable except a set (or clear the highlight with null)
+ * @param {Set<string>|null} cableIds - Cable ids to keep at full color
+ */
+function highlightGlobeCables(cableIds) {
+	highlightedCableIds = cableIds;
+
+	if (globe && cablesLoaded) {
+		globe.pathColor(cablePathColor);
+	}
+}
+
+/**
+ * Feature-level properties of every loaded cable
+ * @returns {Array<Object>} {id, name, color, length_km, rfs_year, owners, regions, ...}
+ */
+function getGlobeCables() {
+	return [...cableInfoById.values()];
+}
+
+/**
+ * Current quality tier settings
+ */
+function getQualityTier() {
+	return GLOBE_CONFIG.qualityTiers.find(({ name }) => name === GLOBE_CONFIG.qualityTier) ?? GLOBE_CONFIG.qualityTiers[0];
+}
+
+/**
+ * Stroke for a cable path, honouring the selection and the quality tier
+ */
+function cablePathStroke(path) {
+	const stroke = path.properties.id === selectedCableId ? GLOBE_CONFIG.selectedPathStroke : GLOBE_CONFIG.pathStroke;
+	return stroke * getQualityTier().pathStrokeScale;
+}
+
+/**
+ * Apply the current quality tier to the globe
+ */
+function applyQualityTier(globeInstance) {
+	const tier = getQualityTier();
+
+	globeInstance
+		.pathDashAnimateTime(tier.animateDashes ? GLOBE_CONFIG.pathDashAnimateTime : 0)
+		.pathResolution(tier.pathResolution)
+		.pathStroke(cablePathStroke)
+		.showAtmosphere(tier.atmosphere);
+
+	globeInstance.renderer().setPixelRatio(Math.min(window.devicePixelRatio || 1, tier.maxPixelRatio));
+}
+
+/**
+ * Register the callback for cable clicks in interactive mode
+ * @param {function(Object|null): void} handler - Receives the cable details
+ */
+function onGlobeCableClick(handler) {
+	cableClickHandler = handler;
+}
+
+/**
+ * Select a clicked cable and report its details
+ */
+function handleCableClick(cableId, coords) {
+	if (handleMeasureClick(coords)) return;
+	if (!interactiveMode || !cableId) return;
+
+	interactiveRotationHeld = true;
+	selectGlobeLandingPoint(null);
+	selectGlobeCable(cableId);
+	if (cableClickHandler) {
+		cableClickHandler(getCableDetails(cableId));
+	}
+}
+
+/**
+ * Collect everything known about a landing station for display
+ * @param {string} landingPointId - Landing station id from the dataset
+ * @returns {Object|null} Station details with resolved cables
+ */
+function getLandingPointDetails(landingPointId) {
+	const point = landingPointsById.get(landingPointId);
+	if (!point) return null;
+
+	return {
+		id: point.id,
+		name: point.name,
+		country: point.country,
+		cables: point.cables.map(id => ({ id, name: cableInfoById.get(id)?.name || id }))
+	};
+}
+
+/**
+ * Register the callback for landing station clicks in interactive mode
+ * @param {function(Object|null): void} handler - Receives the station details
+ */
+function onGlobeLandingPointClick(handler) {
+	landingPointClickHandler = handler;
+}
+
+/**
+ * Select a clicked landing station and report its details
+ */
+function handleLandingPointClick(landingPointId) {
+	const landingPoint = landingPointsById.get(landingPointId);
+	if (landingPoint && handleMeasureClick({ lat: landingPoint.lat, lng: landingPoint.lng, landingPoint })) return;
+	if (!interactiveMode || !landingPointId) return;
+
+	interactiveRotationHeld = true;
+	selectGlobeCable(null);
+	selectGlobeLandingPoint(landingPointId);
+	if (landingPointClickHandler) {
+		landingPointClickHandler(getLandingPointDetails(landingPointId));
+	}
+}
+
+/**
+ * Collect everything known about a country for display
+ * @param {string} countryId - Country id from the country snapshot
+ * @returns {Object|null} Country details with resolved cables
+ */
+function getCountryDetails(countryId) {
+	const country = countriesById.get(countryId);
+	if (!country) return null;
+
+	return {
+		id: country.id,
+		name: country.name,
+		landingPointCount: country.landingPointCount,
+		datacenterCount: country.datacenterCount,
+		cables: country.cables.map(id => ({ id, name: cableInfoById.get(id)?.name || id }))
+	};
+}
+
+/**
+ * Register the callback for country clicks in interactive mode
+ * @param {function(Object|null): void} handler - Receives the country details, or null when the filter is cleared
+ */
+function onGlobeCountryClick(handler) {
+	countryClickHandler = handler;
+}
+
+/**
+ * Filter the cables to a clicked country, or clear the filter when it is clicked again
+ */
+function handleCountryClick(countryId, coords) {
+	if (handleMeasureClick(coords)) return;
+	if (!interactiveMode || !countryId) return;
+
+	interactiveRotationHeld = true;
+	const nextCountryId = countryId === selectedCountryId ? null : countryId;
+	selectGlobeCountry(nextCountryId);
+	if (countryClickHandler) {
+		countryClickHandler(nextCountryId ? getCountryDetails(nextCountryId) : null);
+	}
+}
+
+/**
+ * Register the callback for measure mode, which then takes every click in interactive mode
+ * @param {function(Object): void|null} handler - Receives {lat, lng, landingPoint?, datacenter?}; null ends measure mode
+ */
+function onGlobeMeasureClick(handler) {
+	measureClickHandler = handler;
+}
+
+/**
+ * Hand a click to measure mode
+ * @param {Object} pick - {lat, lng}, plus the landingPoint or datacenter clicked
+ * @returns {boolean} Whether measure mode took the click
+ */
+function handleMeasureClick(pick) {
+	if (!interactiveMode || !measureClickHandler || !pick) return false;
+
+	interactiveRotationHeld = true;
+	measureClickHandler(pick);
+	return true;
+}
+
+/**
+ * Measure from the data center in a clicked hex bin nearest to the click
+ */
+function handleDatacenterClick(hex, coords) {
+	const nearest = (hex.points || []).reduce((best, datacenter) => {
+		const distance = Math.hypot(datacenter.lat - coords.lat, datacenter.lng - coords.lng);
+		return !best || distance < best.distance ? { datacenter, distance } : best;
+	}, null);
+	if (!nearest) return;
+
+	const { datacenter } = nearest;
+	handleMeasureClick({ lat: datacenter.lat, lng: datacenter.lng, datacenter });
+}
+
+/**
+ * Draw a measurement: rings at its ends and the great-circle arc between them
+ * @param {Array<{lat: number, lng: number}>} points - No ends, one end, or both ends
+ */
+function setGlobeMeasurement(points) {
+	measurementPoints = points;
+
+	if (globe && isInitialized) {
+		applyArcLayers(globe);
+	}
+}
+
+/**
+ * Show annotation markers and arcs (replacing the previous ones)
+ * @param {Object} visibleAnnotations - {markers: [{lat, lng, label, color}], arcs: [{startLat, startLng, endLat, endLng, label, color}]}
+ */
+function setGlobeAnnotations({ markers = [], arcs = [] }) {
+	annotations = { markers, arcs };
+
+	if (globe && isInitialized) {
+		applyArcLayers(globe);
+		globe.htmlElementsData(annotations.markers);
+	}
+}
+
+/**
+ * Build the HTML element globe.gl places for an annotation marker
+ */
+function createAnnotationMarker({ label, color }) {
+	const marker = document.createElement('div');
+	marker.className = 'globe-annotation-marker';
+	marker.style.setProperty('--annotation-color', color || GLOBE_CONFIG.annotationColor);
+
+	const dot = document.createElement('span');
+	dot.className = 'globe-annotation-dot';
+	marker.appendChild(dot);
+
+	if (label) {
+		const text = document.createElement('span');
+		text.className = 'globe-annotation-label';
+		text.textContent = label;
+		marker.appendChild(text);
+	}
+	return marker;
+}
+
+/**
+ * Draw the annotation arcs and the measurement, which share the arcs layer
+ */
+function applyArcLayers(globeInstance) {
+	const annotationArcs = annotations.arcs.map(arc => ({
+		...arc,
+		label: arc.label ? escapeHtml(arc.label) : '',
+		color: arc.color || GLOBE_CONFIG.annotationArcColor,
+		stroke: GLOBE_CONFIG.annotationArcStroke,
+		dashLength: GLOBE_CONFIG.annotationArcDashLength,
+		dashGap: GLOBE_CONFIG.annotationArcDashGap,
+		dashAnimateTime: GLOBE_CONFIG.annotationArcDashAnimateTime
+	}));
+
+	const [start, end] = measurementPoints;
+	const measurementArcs = start && end
+		? [{
+			startLat: start.lat,
+			startLng: start.lng,
+			endLat: end.lat,
+			endLng: end.lng,
+			label: '',
+			color: GLOBE_CONFIG.measureColor,
+			stroke: GLOBE_CONFIG.measureArcStroke,
+			dashLength: 1,
+			dashGap: 0,
+			dashAnimateTime: 0
+		}]
+		: [];
+
+	globeInstance
+		.ringsData(measurementPoints)
+		.arcsData([...annotationArcs, ...measurementArcs]);
+}
+
+/**
+ * Every loaded landing station
+ * @returns {Array<Object>} {id, name, country, lat, lng, cables, ...}
+ */
+function getGlobeLandingPoints() {
+	return [...landingPointsData];
+}
+
+/**
+ * Every data center in the page data
+ * @returns {Array<Object>} {city, iata, lat, lng, region, services}
+ */
+function getGlobeDatacenters() {
+	return [...datacenterData];
+}
+
+/**
+ * Full-detail geometry of a cable
+ * @param {string} cableId - Cable id from the dataset
+ * @returns {Promise<Array<Array<number[]>>>} The cable's line strings as [lng, lat] positions
+ */
+async function getCableRoute(cableId) {
+	const { paths } = await loadCableLodLevel(0);
+	return paths.filter(({ properties }) => properties.id === cableId).map(({ coords }) => coords);
+}
+
+/**
+ * Map scroll progress to camera altitude
+ * @param {number} scrollProgress - Progress between GLOBE_CONFIG.zoomAnchors (0-1)
+ * @returns {number} Camera altitude
+ */
+function calculateScrollAltitude(scrollProgress) {
+	// Apply exponential curve for faster initial zoom
+	// Higher exponent means more dramatic zoom at the beginning
+	const curvedProgress = Math.pow(scrollProgress, 1 / GLOBE_CONFIG.zoomCurveExponent);
+	
+	// Invert progress so globe gets bigger (lower altitude) as we scroll down
+	const invertedProgress = 1 - curvedProgress;
+	
+	// Adjust camera altitude based on scroll (lower altitude = bigger globe)
+	const minAltitude = GLOBE_CONFIG.scrollAltitudeRange[0]; // 0.3 (big globe)
+	const maxAltitude = GLOBE_CONFIG.scrollAltitudeRange[1]; // 3.5 (small globe)
+	return minAltitude + (maxAltitude - minAltitude) * invertedProgress;
+}
+
+/**
+ * Scale of the static globe image for a camera altitude
+ * Matches the apparent size of the live globe seen through the globe.gl camera
+ * @param {number} altitude - Camera altitude in globe radii
+ * @returns {number} Globe radius as a fraction of half the viewport height
+ */
+function calculateStaticGlobeScale(altitude) {
+	const angularRadius = Math.asin(1 / (1 + altitude));
+	return Math.tan(angularRadius) / Math.tan(GLOBE_CONFIG.cameraFov * Math.PI / 360);
+}
+
+/**
+ * Put a globe container in the page after the master background
+ */
+function insertGlobeContainer(container) {
+	const masterBg = document.querySelector('.master-background');
+	if (masterBg) {
+		masterBg.parentNode.insertBefore(container, masterBg.nextSibling);
+	} else {
+		document.body.appendChild(container);
+	}
+}
+
+/**
+ * Set up the globe container: the page's persisted placeholder, or a new element
+ * @returns {HTMLElement} Container, in the page
+ */
+function mountGlobeContainer() {
+	const container = document.getElementById(GLOBE_CONFIG.containerId) || document.createElement('div');
+	container.id = GLOBE_CONFIG.containerId;
+	container.setAttribute('data-astro-transition-persist', GLOBE_CONFIG.persistName);
+	container.style.cssText = `
+		position: fixed;
+		top: 0;
+		left: 0;
+		width: 100vw;
+		height: 100vh;
+		z-index: -2;
+		pointer-events: none;
+		overflow: hidden;
+	`;
+
+	if (!container.isConnected) {
+		insertGlobeContainer(container);
+	}
+	return container;
+}
+
+/**
+ * Empty the container and leave it as a bare placeholder for the next globe
+ */
+function unmountGlobeContainer(container) {
+	container.replaceChildren();
+	container.removeAttribute('style');
+}
+
+/**
+ * Show the pre-rendered globe image instead of the WebGL globe
+ * @param {string} reason - Why the live globe is not used (for logging)
+ */
+function showStaticGlobe(reason) {
+	if (staticGlobeImage) return;
+
+	globeContainer = mountGlobeContainer();
+
+	// Sized so the globe itself spans the viewport height at scale 1
+	const imageSize = `${100 / GLOBE_CONFIG.staticGlobeFraction}vh`;
+	staticGlobeImage = document.createElement('img');
+	staticGlobeImage.src = GLOBE_CONFIG.staticGlobeUrl;
+	staticGlobeImage.alt = '';
+	staticGlobeImage.decoding = 'async';
+	staticGlobeImage.style.cssText = `
+		position: absolute;
+		top: 50%;
+		left: 50%;
+		width: ${imageSize};
+		height: ${imageSize};
+		max-width: none;
+		transform-origin: center;
+		will-change: transform;
+	`;
+	globeContainer.appendChild(staticGlobeImage);
+
+	document.body.classList.add(GLOBE_CONFIG.staticBodyClass);
+	updateStaticGlobe(latestScrollProgress);
+
+	if (GLOBE_CONFIG.enableLogging) {
+		console.log(`🖼️  Showing static globe (${reason})`);
+	}
+}
+
+/**
+ * Follow the scroll zoom curve with a CSS transform
+ */
+function updateStaticGlobe(scrollProgress) {
+	const scale = calculateStaticGlobeScale(calculateScrollAltitude(scrollProgress));
+	staticGlobeImage.style.transform = `translate(-50%, -50%) scale(${scale.toFixed(4)})`;
+}
+
+/**
+ * Calculate the camera for the current scroll position
+ * Blends the free-spinning, scroll-zoomed camera with the tour focus by its weight
+ * @param {number} scrollProgress - Progress between GLOBE_CONFIG.zoomAnchors (0-1)
+ * @param {Object|null} tourFocus - Tour camera from updateGlobeTour()
+ * @returns {{lat: number, lng: number, altitude: number}} Camera point of view
+ */
+function calculateCameraTarget(scrollProgress, tourFocus) {
+	const free = { lat: 0, lng: freeRotationLng, altitude: calculateScrollAltitude(scrollProgress) };
+
+	if (!tourFocus || tourFocus.weight <= 0) return free;
+
+	const { lat, lng } = interpolateGreatCircle(free, tourFocus, tourFocus.weight);
+	return {
+		lat,
+		lng,
+		altitude: free.altitude + (tourFocus.altitude - free.altitude) * tourFocus.weight
+	};
+}
+
+/**
+ * LOD tolerance for a camera altitude (0 = full detail)
+ */
+function cableLodForAltitude(altitude) {
+	return GLOBE_CONFIG.cableLodLevels.find(({ minAltitude }) => altitude >= minAltitude)?.tolerance ?? 0;
+}
+
+/**
+ * Fetch and process the cables for a LOD, and store them in the cache
+ * @param {number} tolerance - LOD tolerance (0 = full detail)
+ * @param {Object|null} [cached] - Cached copy to revalidate
+ * @returns {Promise<Object|null>} {paths, info}, or null if the cached copy is current
+ */
+async function fetchProcessedCableLevel(tolerance, cached = null) {
+	const result = await fetchCableLevel(tolerance, cached);
+	if (!result) return null;
+
+	const level = { paths: processCableData(result.data), info: extractCableInfo(result.data) };
+	if (GLOBE_CONFIG.useCableCache) {
+		writeCachedCables(tolerance, { etag: result.etag, version: result.version, url: result.url, ...level });
+	}
+	return level;
+}
+
+/**
+ * Check a cached level against the network; if it changed, store it and
+ * update the globe when that level is on screen
+ */
+function revalidateCableLevel(tolerance, cached) {
+	fetchProcessedCableLevel(tolerance, cached)
+		.then(level => {
+			if (!level) {
+				if (GLOBE_CONFIG.enableLogging) {
+					console.log(`💾 Cached cables for LOD ${tolerance} are current`);
+				}
+				return;
+			}
+
+			cableLevels.set(tolerance, Promise.resolve(level));
+
+			if (globe && cablesLoaded && currentCableLod === tolerance) {
+				indexCableInfo(level.info);
+				cableYearTotals = null;
+				currentCablePaths = level.paths;
+				globe
+					.pathTransitionDuration(0)
+					.pathsData(visibleCablePaths(level.paths));
+				notifyGlobeCablesChanged();
+			}
+
+			if (GLOBE_CONFIG.enableLogging) {
+				console.log(`🔄 Cable data changed, refreshed LOD ${tolerance} (${level.paths.length} paths)`);
+			}
+		})
+		.catch(error => {
+			console.warn('⚠️  Cable revalidation failed, keeping cached cables:', error.message);
+		});
+}
+
+/**
+ * Cables for a LOD: from the IndexedDB cache when present (then revalidated in
+ * the background), otherwise from the network
+ */
+async function loadCableLevel(tolerance) {
+	const cached = GLOBE_CONFIG.useCableCache ? await readCachedCables(tolerance) : null;
+	if (!cached) return await fetchProcessedCableLevel(tolerance);
+
+	revalidateCableLevel(tolerance, cached);
+	return { paths: cached.paths, info: cached.info };
+}
+
+/**
+ * Processed cables for a LOD, loaded once
+ * @returns {Promise<{paths: Array<Object>, info: Array<Object>}>}
+ */
+function loadCableLodLevel(tolerance) {
+	if (!cableLevels.has(tolerance)) {
+		cableLevels.set(tolerance, loadCableLevel(tolerance));
+	}
+	return cableLevels.get(tolerance);
+}
+
+/**
+ * Swap the cable geometry to match the camera altitude
+ * @param {number} altitude - Camera altitude
+ */
+function updateCableLod(altitude) {
+	if (!globe || !cablesLoaded) return;
+
+	let target = cableLodForAltitude(altitude);
+	if (target === currentCableLod) return;
+
+	// Only swap once the altitude is clearly past the boundary
+	const margin = target > currentCableLod ? -GLOBE_CONFIG.cableLodHysteresis : GLOBE_CONFIG.cableLodHysteresis;
+	if (cableLodForAltitude(altitude + margin) !== target) return;
+
+	if (unavailableCableLods.has(target)) return;
+	if (target === pendingCableLod) return;
+	pendingCableLod = target;
+
+	const globeInstance = globe;
+	loadCableLodLevel(target)
+		.then(({ paths }) => {
+			if (globe !== globeInstance || pendingCableLod !== target) return;
+
+			currentCablePaths = paths;
+			globeInstance
+				.pathTransitionDuration(0) // Swap in place instead of redrawing
+				.pathsData(visibleCablePaths(paths));
+			currentCableLod = target;
+
+			if (GLOBE_CONFIG.enableLogging) {
+				console.log(`🔍 Cable LOD: ${target === 0 ? 'full detail' : `tolerance ${target}°`} (${paths.length} paths)`);
+			}
+		})
+		.catch(error => {
+			unavailableCableLods.add(target);
+			console.warn(`⚠️  Cable LOD ${target} unavailable, keeping current detail:`, error.message);
+		})
+		.finally(() => {
+			if (pendingCableLod === target) pendingCableLod = null;
+		});
+}
+
+/**
+ * Whether the mouse is over the globe itself (it always sits in the middle of the viewport)
+ */
+function isPointerOverGlobe(altitude) {
+	if (!hoverPointer) return false;
+
+	const radius = calculateStaticGlobeScale(altitude) * window.innerHeight / 2; // Same projection as the live globe
+	return Math.hypot(hoverPointer.x - window.innerWidth / 2, hoverPointer.y - window.innerHeight / 2) <= radius;
+}
+
+/**
+ * Rotation speed the loop eases towards (degrees per second)
+ */
+function targetRotationSpeed(altitude) {
+	if (!interactiveMode) {
+		return GLOBE_CONFIG.baseRotateSpeed +
+			(GLOBE_CONFIG.maxRotateSpeed - GLOBE_CONFIG.baseRotateSpeed) * latestScrollProgress;
+	}
+
+	if (interactiveRotationHeld) return 0;
+	if (GLOBE_CONFIG.pauseRotationOnHover && isPointerOverGlobe(altitude)) return 0;
+	return GLOBE_CONFIG.interactiveRotateSpeed;
+}
+
+/**
+ * One frame of the rotation loop: ease the speed, spin, and apply the camera once
+ */
+function rotationFrame(now) {
+	rotationFrameId = requestAnimationFrame(rotationFrame);
+
+	// Cap the step so a backgrounded tab does not jump on return
+	const deltaSeconds = Math.min(now - (lastRotationFrameTime ?? now), 100) / 1000;
+	lastRotationFrameTime = now;
+
+	// Animated transitions play out undisturbed
+	if (!globe || now < cameraTransitionEnd) return;
+
+	// Interactive mode: spin the user's view in place; the scroll camera stays paused
+	const view = interactiveMode ? globe.pointOfView() : null;
+
+	const easing = 1 - Math.exp(-deltaSeconds / GLOBE_CONFIG.rotateSpeedEasing);
+	rotationSpeed += (targetRotationSpeed(view?.altitude) - rotationSpeed) * easing;
+	const step = Math.abs(rotationSpeed) > 0.01 ? rotationSpeed * deltaSeconds : 0;
+
+	if (view) {
+		if (step !== 0) {
+			globe.pointOfView({ ...view, lng: view.lng + step }, 0);
+		}
+		return;
+	}
+
+	if (step !== 0) {
+		freeRotationLng = (freeRotationLng + step) % 360;
+		cameraNeedsUpdate = true;
+	}
+
+	if (!cameraNeedsUpdate) return;
+	cameraNeedsUpdate = false;
+
+	// Altitude, rotation and tour focus in a single immediate update
+	const target = calculateCameraTarget(latestScrollProgress, latestTourFocus);
+	globe.pointOfView(target, 0);
+	updateCableLod(target.altitude);
+}
+
+/**
+ * Start the rotation loop (also applies scroll and tour camera changes)
+ */
+function startRotationLoop() {
+	if (rotationFrameId !== null) return;
+
+	lastRotationFrameTime = null;
+	cameraNeedsUpdate = true;
+
+	// The container only receives pointer events in interactive mode. It is
+	// persisted across page swaps, so the listeners are removed again on stop.
+	const controls = globe.controls();
+	globeContainer.addEventListener('pointermove', handleRotationPointerMove);
+	globeContainer.addEventListener('pointerleave', handleRotationPointerLeave);
+	controls.addEventListener('start', handleRotationControlsStart);
+	controls.addEventListener('end', handleRotationControlsEnd);
+	rotationListenerTargets = { container: globeContainer, controls };
+
+	rotationFrameId = requestAnimationFrame(rotationFrame);
+}
+
+/**
+ * Stop the rotation loop and remove its container and controls listeners
  */
-const GLOBE_CONFIG = {
-	// Visual settings
-	globeImageUrl: 'https://cdn.jsdelivr.net/npm/three-globe/example/img/earth-dark.jpg',
-	bumpImageUrl: 'https://cdn.jsdelivr.net/npm/three-globe/example/img/earth-topology.png',
-	backgroundImageUrl: 'https://cdn.jsdelivr.net/npm/three-globe/example/img/night-sky.png',
-	
-	// Animation settings
-	pathDashLength: 0.1,
-	pathDashGap: 0.008,
-	pathDashAnimateTime: 15000, // Slower animation for better performance
-	
-	// Camera settings
-	initialAltitude: 3.5, // Start farther away (smaller globe)
-	scrollAltitudeRange: [0.3, 3.5], // Min (big) and max (small) altitude based on scroll
-	zoomCurveExponent: 3, // Higher values = faster initial zoom (exponential curve)
-	
-	// Performance settings
-	enableLogging: true, // Temporarily enable for production debugging
-	baseRotateSpeed: 0.1, // Base rotation speed in degrees per frame
-	maxRotateSpeed: 1.0, // Maximum rotation speed when fully scrolled
-	
-	// Submarine cable API (using proxy to avoid CORS issues)
-	cableApiUrl: 'https://www.submarinecablemap.com/api/v3/cable/cable-geo.json',
-	// Multiple proxy fallbacks
-	proxyUrls: [
-		'https://http-proxy.vastur.com?url=', // Same as original globe.gl example
-		'https://cors-anywhere.herokuapp.com/', // Popular CORS proxy
-		'https://api.allorigins.win/get?url=', // Our previous attempt
-		'https://corsproxy.io/?url=' // Another fallback
-	]
-};
+function stopRotationLoop() {
+	if (rotationListenerTargets) {
+		const { container, controls } = rotationListenerTargets;
+		container.removeEventListener('pointermove', handleRotationPointerMove);
+		container.removeEventListener('pointerleave', handleRotationPointerLeave);
+		controls.removeEventListener('start', handleRotationControlsStart);
+		controls.removeEventListener('end', handleRotationControlsEnd);
+		rotationListenerTargets = null;
+	}
 
-let globe = null;
-let globeContainer = null;
-let isInitialized = false;
-let cableData = null;
-let lastScrollProgress = -1; // Cache to avoid unnecessary updates
-let cablesLoaded = false; // Track if cables have been loaded
-let initializationInProgress = false; // Prevent duplicate initializations
+	if (rotationFrameId === null) return;
+
+	cancelAnimationFrame(rotationFrameId);
+	rotationFrameId = null;
+	hoverPointer = null;
+}
+
+function handleRotationPointerMove(event) {
+	hoverPointer = event.pointerType === 'mouse' ? { x: event.clientX, y: event.clientY } : null;
+}
+
+function handleRotationPointerLeave() {
+	hoverPointer = null;
+}
+
+// Dragging or zooming stops the interactive rotation; the new view is shareable
+function handleRotationControlsStart() {
+	interactiveRotationHeld = true;
+}
+
+function handleRotationControlsEnd() {
+	if (interactiveMode) notifyGlobeStateChange('camera');
+}
 
 /**
- * Fetch submarine cable data with multiple proxy fallbacks
+ * Follow the zoom range of the scroll timeline
+ * The camera itself moves in the rotation loop, once per frame
+ * @param {Object} segment - Timeline segment of GLOBE_CONFIG.zoomAnchors from subscribeScrollTimeline()
  */
-async function fetchCableData() {
-	try {
-		console.log('🌊 Fetching submarine cable data...');
-		
-		// Try direct access first
-		try {
-			console.log('Trying direct API access...');
-			const response = await fetch(GLOBE_CONFIG.cableApiUrl);
-			if (response.ok) {
-				console.log('✅ Direct API access successful');
-				return await response.json();
-			}
-			throw new Error(`Direct access failed: HTTP ${response.status}`);
-		} catch (directError) {
-			console.log('❌ Direct fetch failed:', directError.message);
-		}
-		
-		// Try each proxy in sequence
-		for (let i = 0; i < GLOBE_CONFIG.proxyUrls.length; i++) {
-			const proxyUrl = GLOBE_CONFIG.proxyUrls[i];
-			try {
-				console.log(`Trying proxy ${i + 1}/${GLOBE_CONFIG.proxyUrls.length}: ${proxyUrl}`);
-				
-				let fullUrl;
-				let response;
-				
-				if (proxyUrl.includes('allorigins.win')) {
-					// AllOrigins format
-					fullUrl = `${proxyUrl}${encodeURIComponent(GLOBE_CONFIG.cableApiUrl)}`;
-					response = await fetch(fullUrl);
-					if (response.ok) {
-						const proxyData = await response.json();
-						console.log('✅ Proxy successful via AllOrigins');
-						return JSON.parse(proxyData.contents);
-					}
-				} else {
-					// Simple proxy format
-					fullUrl = `${proxyUrl}${GLOBE_CONFIG.cableApiUrl}`;
-					response = await fetch(fullUrl);
-					if (response.ok) {
-						console.log(`✅ Proxy successful via ${proxyUrl}`);
-						return await response.json();
-					}
-				}
-				
-				throw new Error(`HTTP ${response.status}`);
-				
-			} catch (proxyError) {
-				console.log(`❌ Proxy ${i + 1} failed:`, proxyError.message);
-				// Continue to next proxy
-			}
-		}
-		
-		throw new Error('All proxy attempts failed');
-		
-	} catch (error) {
-		console.error('❌ Failed to fetch submarine cable data:', error);
-		console.log('🎯 Using fallback mock cable data...');
-		// Return comprehensive mock data for testing
-		const mockData = {
-			type: "FeatureCollection",
-			features: [
-				{
-					type: "Feature",
-					geometry: {
-						type: "LineString",
-						coordinates: [[-74, 40], [-60, 45], [-40, 50], [-20, 52], [-0.1, 51.5]] // New York to London
-					},
-					properties: {
-						name: 'TransAtlantic Cable',
-						color: '#00aaff'
-					}
-				},
-				{
-					type: "Feature",
-					geometry: {
-						type: "LineString",
-						coordinates: [[-118, 34], [-140, 25], [-160, 20], [-180, 25], [160, 30], [139, 35]] // LA to Tokyo
-					},
-					properties: {
-						name: 'TransPacific Cable',
-						color: '#ff6600'
-					}
-				},
-				{
-					type: "Feature",
-					geometry: {
-						type: "LineString",
-						coordinates: [[0, 52], [10, 54], [20, 55], [30, 60]] // Europe to Scandinavia
-					},
-					properties: {
-						name: 'European Cable',
-						color: '#00ff88'
-					}
-				},
-				{
-					type: "Feature",
-					geometry: {
-						type: "LineString",
-						coordinates: [[139, 35], [130, 25], [120, 15], [110, 5], [103, 1]] // Japan to Singapore
-					},
-					properties: {
-						name: 'Asia Cable',
-						color: '#ffaa00'
-					}
-				},
-				{
-					type: "Feature",
-					geometry: {
-						type: "LineString",
-						coordinates: [[-74, 40], [-80, 30], [-85, 20], [-90, 10], [-85, -10], [-70, -30]] // US to South America
-					},
-					properties: {
-						name: 'Americas Cable',
-						color: '#aa00ff'
-					}
-				}
-			]
-		};
-		
-		console.log(`📊 Mock data created with ${mockData.features.length} cable features`);
-		return mockData;
+function handleZoomProgress({ progress: scrollProgress }) {
+	latestScrollProgress = scrollProgress;
+
+	if (staticGlobeImage) {
+		updateStaticGlobe(scrollProgress);
+		return;
 	}
+
+	// Skip update if scroll progress hasn't changed significantly
+	if (Math.abs(scrollProgress - lastScrollProgress) < 0.001) return;
+	lastScrollProgress = scrollProgress;
+	cameraNeedsUpdate = true;
 }
 
 /**
- * Process cable data into paths format (matching globe.gl example)
+ * Fit the globe to the window after the layout changes
+ * globe.gl takes the window size once, when the globe is created
  */
-function processCableData(cablesGeo) {
-	let cablePaths = [];
-	
-	console.log('🔄 Processing cable data:', cablesGeo);
-	
-	if (!cablesGeo) {
-		console.error('❌ No cable data provided to processCableData');
-		return [];
-	}
-	
-	if (!cablesGeo.features || !Array.isArray(cablesGeo.features)) {
-		console.error('❌ Cable data missing features array:', cablesGeo);
-		return [];
+function resizeGlobe() {
+	if (staticGlobeImage) {
+		updateStaticGlobe(latestScrollProgress);
+		return;
 	}
-	
-	if (cablesGeo && cablesGeo.features) {
-		cablesGeo.features.forEach(({ geometry, properties }, index) => {
-			if (geometry && geometry.coordinates) {
-				// Handle different geometry types
-				if (geometry.type === 'LineString') {
-					// Single line string
-					cablePaths.push({ 
-						coords: geometry.coordinates, 
-						properties: {
-							name: properties?.name || `Cable ${index + 1}`,
-							color: properties?.color || `hsl(${(index * 137.508) % 360}, 70%, 50%)` // Generate colors
-						}
-					});
-				} else if (geometry.type === 'MultiLineString') {
-					// Multiple line strings
-					geometry.coordinates.forEach((coords, segmentIndex) => {
-						if (coords && coords.length > 1) {
-							cablePaths.push({ 
-								coords, 
-								properties: {
-									name: `${properties?.name || 'Cable'} Segment ${segmentIndex + 1}`,
-									color: properties?.color || `hsl(${(index * 137.508) % 360}, 70%, 50%)`
-								}
-							});
-						}
-					});
-				}
-			}
-		});
+	if (!globe) return;
+
+	globe.width(window.innerWidth).height(window.innerHeight);
+}
+
+/**
+ * Update globe for the panel tour
+ * Called on scroll after the scroll timeline has updated the zoom
+ * @param {Object|null} [tourFocus] - Tour camera from updateGlobeTour()
+ */
+function updateGlobeScroll(tourFocus = null) {
+	latestTourFocus = tourFocus;
+
+	if (pageFlightPending) {
+		flyToPageCamera();
 	}
-	
-	console.log(`✨ Processed ${cablePaths.length} cable paths`);
-	return cablePaths;
 }
 
 /**
- * Create and configure the globe
+ * Hold the camera while the page is replaced (client-side navigation)
+ * The old page's scroll position and tour no longer apply, and the new page's
+ * are not known until its first frame.
  */
-function createGlobe() {
-	if (!globeContainer) return null;
+function holdGlobeForNavigation() {
+	cameraTransitionEnd = Infinity;
+}
 
-	const newGlobe = new Globe(globeContainer)
-		.globeImageUrl(GLOBE_CONFIG.globeImageUrl)
-		.bumpImageUrl(GLOBE_CONFIG.bumpImageUrl)
-		.backgroundImageUrl(GLOBE_CONFIG.backgroundImageUrl)
-		.showGlobe(true)
-		.showAtmosphere(true)
-		.atmosphereColor('#4080ff')
-		.atmosphereAltitude(0.15);
+/**
+ * Keep the globe on the page entered by a client-side navigation
+ * The container persists with transition:persist; a page without the placeholder
+ * gets it moved in. The camera flies to the new page on its first frame.
+ */
+function enterGlobePage() {
+	if (globeContainer && !globeContainer.isConnected) {
+		insertGlobeContainer(globeContainer);
+	}
 
-	// Set initial camera position (start with small globe)
-	newGlobe.pointOfView({ altitude: GLOBE_CONFIG.initialAltitude }, 0);
+	// The new page's <body> has none of the old one's classes
+	if (staticGlobeImage) {
+		document.body.classList.add(GLOBE_CONFIG.staticBodyClass);
+	}
 
-	return newGlobe;
+	pageFlightPending = true;
 }
 
 /**
- * Update globe based on scroll progress
+ * Fly from the held camera to the new page's scroll and tour camera
  */
-function updateGlobeScroll(scrollProgress) {
-	if (!globe || !isInitialized) return;
+function flyToPageCamera() {
+	pageFlightPending = false;
 
-	// Skip update if scroll progress hasn't changed significantly
-	if (Math.abs(scrollProgress - lastScrollProgress) < 0.001) return;
-	lastScrollProgress = scrollProgress;
+	// A deep link may already have taken the camera, and without a live globe there is nothing to fly
+	if (!globe || !isInitialized || interactiveMode || cameraTransitionEnd !== Infinity) {
+		if (cameraTransitionEnd === Infinity) cameraTransitionEnd = 0;
+		return;
+	}
 
-	// Apply exponential curve for faster initial zoom
-	// Higher exponent means more dramatic zoom at the beginning
-	const curvedProgress = Math.pow(scrollProgress, 1 / GLOBE_CONFIG.zoomCurveExponent);
-	
-	// Invert progress so globe gets bigger (lower altitude) as we scroll down
-	const invertedProgress = 1 - curvedProgress;
-	
-	// Adjust camera altitude based on scroll (lower altitude = bigger globe)
-	const minAltitude = GLOBE_CONFIG.scrollAltitudeRange[0]; // 0.3 (big globe)
-	const maxAltitude = GLOBE_CONFIG.scrollAltitudeRange[1]; // 3.5 (small globe)
-	const altitude = minAltitude + (maxAltitude - minAltitude) * invertedProgress;
-	
-	// Immediate camera update for fluid 60fps response
-	globe.pointOfView({ altitude }, 0); // No transition delay for smooth scrolling
+	const target = calculateCameraTarget(latestScrollProgress, latestTourFocus);
+	cameraTransitionEnd = performance.now() + GLOBE_CONFIG.pageFlightDuration;
+	lastScrollProgress = latestScrollProgress;
+	globe.pointOfView(target, GLOBE_CONFIG.pageFlightDuration);
+	updateCableLod(target.altitude);
 
-	// Calculate rotation speed based on scroll progress (faster as we scroll)
-	const rotationSpeed = GLOBE_CONFIG.baseRotateSpeed + 
-		(GLOBE_CONFIG.maxRotateSpeed - GLOBE_CONFIG.baseRotateSpeed) * scrollProgress;
-	
-	// Auto-rotate globe with increasing speed (immediate update)
-	const currentPov = globe.pointOfView();
-	globe.pointOfView({
-		altitude: altitude, // Apply both altitude and rotation in single call
-		lng: (currentPov.lng + rotationSpeed) % 360
-	}, 0);
+	if (GLOBE_CONFIG.enableLogging) {
+		console.log(`🛫 Flying globe to ${target.lat.toFixed(1)}, ${target.lng.toFixed(1)} at altitude ${target.altitude.toFixed(2)}`);
+	}
+}
+
+/**
+ * Upgrade the globe textures once the page is idle (non-blocking)
+ */
+async function loadTexturesAsync(globeInstance) {
+	const targetTier = GLOBE_CONFIG.textureTier === 'auto' ? selectTextureTier() : GLOBE_CONFIG.textureTier;
+
+	const tier = await upgradeTextures(globeInstance, targetTier, () => globe === globeInstance);
+	if (globe === globeInstance) {
+		upgradeSunLighting(tier);
+	}
 
 	if (GLOBE_CONFIG.enableLogging) {
-		console.log(`Globe updated: altitude ${altitude.toFixed(2)}, rotation speed ${rotationSpeed.toFixed(2)}, scroll ${scrollProgress.toFixed(3)}, curved ${curvedProgress.toFixed(3)}`);
+		console.log(`🖼️  Globe textures: ${tier} tier`);
 	}
 }
 
@@ -314,11 +1868,26 @@ async function loadCableDataAsync(globeInstance) {
 			console.log('🌊 Loading submarine cable data...');
 		}
 
-		cableData = await fetchCableData();
-		console.log('🔄 Fetched cable data:', cableData);
+		// Start with the level of detail for the current camera altitude
+		let lod = cableLodForAltitude(globeInstance.pointOfView().altitude);
+		let level;
+		try {
+			level = await loadCableLodLevel(lod);
+		} catch (lodError) {
+			if (lod === 0) throw lodError;
+			unavailableCableLods.add(lod);
+			lod = 0;
+			level = await loadCableLodLevel(lod);
+		}
+		if (globe !== globeInstance) return; // Destroyed while loading
+		console.log('🔄 Loaded cable data:', level.info.length, 'cables');
+		indexCableInfo(level.info);
 		
-		const cablePaths = processCableData(cableData);
-		console.log('🔄 Processed cable paths:', cablePaths);
+		const cablePaths = level.paths;
+		currentCableLod = lod;
+		if (GLOBE_CONFIG.enableLogging) {
+			console.log(`🔄 Processed cable paths: ${cablePaths.length}`);
+		}
 
 		if (cablePaths.length === 0) {
 			console.warn('⚠️  No cable paths to display');
@@ -327,21 +1896,25 @@ async function loadCableDataAsync(globeInstance) {
 
 		// Configure cable paths with enhanced visibility
 		console.log('🎯 Applying cable paths to globe...');
+		currentCablePaths = cablePaths;
+		cableYearTotals = null;
 		globeInstance
-			.pathsData(cablePaths)
+			.pathsData(visibleCablePaths(cablePaths))
 			.pathPoints('coords')
 			.pathPointLat(p => p[1])
 			.pathPointLng(p => p[0])
-			.pathColor(path => path.properties.color)
-			.pathLabel(path => path.properties.name)
-			.pathStroke(1.5) // Thicker lines for better visibility
+			.pathColor(cablePathColor)
+			.pathLabel(path => escapeHtml(path.properties.name))
+			.pathStroke(cablePathStroke)
 			.pathDashLength(GLOBE_CONFIG.pathDashLength)
 			.pathDashGap(GLOBE_CONFIG.pathDashGap)
-			.pathDashAnimateTime(GLOBE_CONFIG.pathDashAnimateTime)
 			.pathTransitionDuration(1000) // Smooth path appearance
 			.pathDashInitialGap(() => Math.random()); // Randomize initial dash positions
 
 		cablesLoaded = true; // Mark as loaded
+		cablesLoadedHandlers.forEach(handler => handler());
+		cablesLoadedHandlers = [];
+		notifyGlobeCablesChanged();
 
 		if (GLOBE_CONFIG.enableLogging) {
 			console.log(`✅ Cable data loaded and configured: ${cablePaths.length} paths`);
@@ -352,6 +1925,125 @@ async function loadCableDataAsync(globeInstance) {
 	}
 }
 
+/**
+ * Load landing stations asynchronously (non-blocking)
+ */
+async function loadLandingPointsAsync(globeInstance) {
+	if (landingPointsLoaded) return;
+
+	try {
+		const landingPoints = processLandingPoints(await fetchLandingPoints());
+		if (globe !== globeInstance) return; // Destroyed while loading
+
+		if (landingPoints.length === 0) {
+			console.warn('⚠️  No landing points to display');
+			return;
+		}
+
+		landingPointsById.clear();
+		landingPoints.forEach(point => landingPointsById.set(point.id, point));
+
+		const labelledPoints = landingPoints.filter(
+			point => point.cableCount >= GLOBE_CONFIG.landingPointLabelMinCables
+		);
+		landingPointsData = landingPoints;
+		labelledLandingPoints = labelledPoints;
+
+		applyLandingPointLayer(globeInstance);
+		globeInstance
+			.pointLat('lat')
+			.pointLng('lng')
+			.pointColor(landingPointColor)
+			.pointAltitude(GLOBE_CONFIG.landingPointAltitude)
+			.pointRadius(landingPointRadius)
+			.pointLabel(point => `${escapeHtml(point.name)} (${point.cableCount} ${point.cableCount === 1 ? 'cable' : 'cables'})`)
+			.labelLat('lat')
+			.labelLng('lng')
+			.labelText('name')
+			.labelSize(GLOBE_CONFIG.landingPointLabelSize)
+			.labelDotRadius(0)
+			.labelColor(() => GLOBE_CONFIG.landingPointColor)
+			.labelResolution(2);
+
+		landingPointsLoaded = true;
+		landingPointsLoadedHandlers.forEach(handler => handler());
+		landingPointsLoadedHandlers = [];
+
+		if (GLOBE_CONFIG.enableLogging) {
+			console.log(`✅ Landing points loaded: ${landingPoints.length} stations, ${labelledPoints.length} labelled`);
+		}
+
+	} catch (error) {
+		console.warn('⚠️  Landing point loading failed, globe will work without stations:', error.message);
+	}
+}
+
+/**
+ * Load country outlines asynchronously (non-blocking)
+ * Call after loadDatacenters() so each country can count its data centers
+ */
+async function loadCountriesAsync(globeInstance) {
+	if (countriesLoaded) return;
+
+	try {
+		const countries = processCountries(await fetchCountries(), datacenterData);
+		if (globe !== globeInstance) return; // Destroyed while loading
+
+		countriesById.clear();
+		countries.forEach(country => countriesById.set(country.id, country));
+		countriesData = countries;
+
+		applyCountryLayer(globeInstance);
+		globeInstance
+			.polygonAltitude(GLOBE_CONFIG.countryAltitude)
+			.polygonCapColor(countryCapColor)
+			.polygonSideColor(() => GLOBE_CONFIG.countrySideColor)
+			.polygonStrokeColor(() => GLOBE_CONFIG.countryStrokeColor)
+			.polygonLabel(formatCountryLabel)
+			.polygonsTransitionDuration(0);
+
+		countriesLoaded = true;
+		countriesLoadedHandlers.forEach(handler => handler());
+		countriesLoadedHandlers = [];
+
+		if (GLOBE_CONFIG.enableLogging) {
+			console.log(`✅ Countries loaded: ${countries.length} outlines`);
+		}
+
+	} catch (error) {
+		console.warn('⚠️  Country loading failed, globe will work without country outlines:', error.message);
+	}
+}
+
+/**
+ * Show Cloudflare data centers as hex bins
+ */
+function loadDatacenters(globeInstance) {
+	const datacenters = readDatacenters();
+	if (datacenters.length === 0) {
+		if (GLOBE_CONFIG.enableLogging) {
+			console.log('ℹ️  No data centers found in page data');
+		}
+		return;
+	}
+
+	datacenterData = datacenters;
+	applyDatacenterLayer(globeInstance);
+	globeInstance
+		.hexBinPointLat('lat')
+		.hexBinPointLng('lng')
+		.hexBinResolution(GLOBE_CONFIG.datacenterHexResolution)
+		.hexAltitude(GLOBE_CONFIG.datacenterHexAltitude)
+		.hexMargin(GLOBE_CONFIG.datacenterHexMargin)
+		.hexTopColor(() => GLOBE_CONFIG.datacenterColor)
+		.hexSideColor(() => GLOBE_CONFIG.datacenterColor)
+		.hexLabel(formatDatacenterLabel);
+
+	if (GLOBE_CONFIG.enableLogging) {
+		console.log(`✅ Data centers loaded: ${datacenters.length} locations`);
+	}
+}
+
 /**
  * Initialize globe background
  */
@@ -365,6 +2057,19 @@ async function initializeGlobeBackground() {
 	}
 
 	initializationInProgress = true;
+	const generation = globeGeneration;
+
+	if (!unsubscribeZoom) {
+		unsubscribeZoom = subscribeScrollTimeline(GLOBE_CONFIG.zoomAnchors, handleZoomProgress);
+	}
+
+	// Devices without capable WebGL, or asking for reduced motion, get the static image
+	const capability = detectGlobeCapability();
+	if (capability.useStaticGlobe) {
+		showStaticGlobe(capability.reason);
+		initializationInProgress = false;
+		return;
+	}
 
 	if (GLOBE_CONFIG.enableLogging) {
 		console.log('🌍 Initializing interactive globe background...');
@@ -406,27 +2111,12 @@ async function initializeGlobeBackground() {
 				throw new Error('Globe.gl failed to initialize');
 			}
 		}
+
+		// Destroyed while globe.gl was loading
+		if (generation !== globeGeneration) return;
+
 		// Create globe container
-		globeContainer = document.createElement('div');
-		globeContainer.id = 'globe-background';
-		globeContainer.style.cssText = `
-			position: fixed;
-			top: 0;
-			left: 0;
-			width: 100vw;
-			height: 100vh;
-			z-index: -2;
-			pointer-events: none;
-			overflow: hidden;
-		`;
-
-		// Insert after master-background
-		const masterBg = document.querySelector('.master-background');
-		if (masterBg) {
-			masterBg.parentNode.insertBefore(globeContainer, masterBg.nextSibling);
-		} else {
-			document.body.appendChild(globeContainer);
-		}
+		globeContainer = mountGlobeContainer();
 
 		// Create globe
 		globe = createGlobe();
@@ -442,39 +2132,180 @@ async function initializeGlobeBackground() {
 			console.log('✅ Globe initialized successfully (loading cables separately...)');
 		}
 
-		// Load cable data in background (non-blocking)
+		// Apply an interactive mode requested before the globe existed
+		applyInteractiveMode();
+		startRotationLoop();
+
+		// Start at the configured quality and let the governor adjust it
+		applyQualityTier(globe);
+		startFrameGovernor(globe, {
+			tierNames: GLOBE_CONFIG.qualityTiers.map(({ name }) => name),
+			initialTier: GLOBE_CONFIG.qualityTiers.indexOf(getQualityTier()),
+			locked: GLOBE_CONFIG.lockQualityTier,
+			showReadout: GLOBE_CONFIG.showQualityReadout,
+			onTierChange: tierIndex => {
+				GLOBE_CONFIG.qualityTier = GLOBE_CONFIG.qualityTiers[tierIndex].name;
+				applyQualityTier(globe);
+
+				if (GLOBE_CONFIG.enableLogging) {
+					console.log(`⚙️  Globe quality: ${GLOBE_CONFIG.qualityTier}`);
+				}
+			}
+		});
+
+		if (GLOBE_CONFIG.lighting === 'sun') {
+			startSunLighting(globe, TEXTURE_CONFIG.tiers[0]);
+		}
+
+		// Data centers are already in the page
+		loadDatacenters(globe);
+
+		// Measurement and annotations set before the globe existed
+		applyArcLayers(globe);
+		globe.htmlElementsData(annotations.markers);
+
+		// Load cable data, landing stations and countries in background (non-blocking)
 		loadCableDataAsync(globe);
+		loadLandingPointsAsync(globe);
+		loadCountriesAsync(globe);
+
+		// Sharper textures once the page has settled
+		loadTexturesAsync(globe);
+
+		globeReadyHandlers.forEach(handler => handler());
+		globeReadyHandlers = [];
 
 	} catch (error) {
 		console.error('❌ Failed to initialize globe background:', error);
 		
 		// Clean up on error
 		if (globeContainer) {
-			globeContainer.remove();
+			unmountGlobeContainer(globeContainer);
 			globeContainer = null;
 		}
 		globe = null;
 		isInitialized = false;
 		initializationInProgress = false;
 		cablesLoaded = false;
+		landingPointsLoaded = false;
+		countriesLoaded = false;
+
+		// Never leave an empty background
+		showStaticGlobe('globe failed to initialize');
 	}
 }
 
 /**
- * Cleanup globe resources
+ * Dispose the geometries, materials and textures left in a scene
+ */
+function disposeScene(scene) {
+	const disposeTextures = values => Object.values(values).forEach(value => {
+		if (value?.isTexture) value.dispose();
+		if (value?.value?.isTexture) value.value.dispose(); // Shader uniforms
+	});
+
+	scene.traverse(object => {
+		object.geometry?.dispose();
+		const materials = Array.isArray(object.material) ? object.material : [object.material];
+		materials.filter(Boolean).forEach(material => {
+			disposeTextures(material);
+			if (material.uniforms) disposeTextures(material.uniforms);
+			material.dispose();
+		});
+	});
+
+	if (scene.background?.isTexture) scene.background.dispose();
+}
+
+/**
+ * Release the WebGL globe: render loop, layers, GPU resources, controls and context
+ */
+function disposeGlobeInstance(globeInstance) {
+	const scene = globeInstance.scene();
+	const renderer = globeInstance.renderer();
+	const controls = globeInstance.controls();
+
+	// Stops the render loop and empties every data layer
+	globeInstance._destructor();
+
+	// The globe mesh, atmosphere and background are not covered by the destructor
+	disposeScene(scene);
+	controls.dispose();
+	renderer.dispose();
+	renderer.forceContextLoss(); // Browsers cap live WebGL contexts; free this one now
+}
+
+/**
+ * Tear the globe down so initializeGlobeBackground() can run again
+ * Everything on the GPU and in the DOM is released; processed cable levels and
+ * the cable color mode are kept for the next globe
  */
 function destroyGlobe() {
+	globeGeneration++;
+	stopRotationLoop();
+	stopFrameGovernor();
+	stopSunLighting();
+
 	if (globe) {
-		// Globe.gl doesn't have explicit cleanup, but we can remove the container
+		try {
+			disposeGlobeInstance(globe);
+		} catch (error) {
+			console.warn('⚠️  Globe teardown incomplete:', error);
+		}
 		globe = null;
 	}
 	
 	if (globeContainer) {
-		globeContainer.remove();
+		unmountGlobeContainer(globeContainer);
 		globeContainer = null;
 	}
-	
+
+	if (staticGlobeImage) {
+		staticGlobeImage = null;
+		document.body.classList.remove(GLOBE_CONFIG.staticBodyClass);
+	}
+
+	// Reset per-globe state; loads start over on the next initialization
 	isInitialized = false;
+	initializationInProgress = false;
+	cablesLoaded = false;
+	landingPointsLoaded = false;
+	countriesLoaded = false;
+	currentCableLod = null;
+	pendingCableLod = null;
+	selectedCableId = null;
+	selectedLandingPointId = null;
+	selectedCountryId = null;
+	hoveredCountryId = null;
+	measurementPoints = [];
+	highlightedCableIds = null;
+	lastScrollProgress = -1;
+	pageFlightPending = false;
+	cameraTransitionEnd = 0;
+	unsubscribeZoom?.();
+	unsubscribeZoom = null;
+
+	// Release every subscriber; the modules built on the globe are stopped with
+	// it and subscribe again when it is re-initialized
+	globeReadyHandlers = [];
+	landingPointsLoadedHandlers = [];
+	countriesLoadedHandlers = [];
+	cablesLoadedHandlers = [];
+	stateChangeHandlers.length = 0;
+	cablesChangedHandlers.length = 0;
+	cableClickHandler = null;
+	landingPointClickHandler = null;
+	countryClickHandler = null;
+	measureClickHandler = null;
+
+	if (GLOBE_CONFIG.enableLogging) {
+		console.log('🧹 Globe destroyed');
+	}
+}
+
+// Release the old globe when Vite swaps this module during development
+if (import.meta.hot) {
+	import.meta.hot.dispose(destroyGlobe);
 }
 
 /**
@@ -483,6 +2314,42 @@ function destroyGlobe() {
 export {
 	initializeGlobeBackground,
 	updateGlobeScroll,
+	resizeGlobe,
+	holdGlobeForNavigation,
+	enterGlobePage,
 	destroyGlobe,
+	setGlobeInteractive,
+	selectGlobeCable,
+	onGlobeCableClick,
+	onGlobeLandingPointClick,
+	selectGlobeLandingPoint,
+	onGlobeCountryClick,
+	selectGlobeCountry,
+	getGlobeSelection,
+	getCableDetails,
+	getLandingPointDetails,
+	getCountryDetails,
+	onGlobeMeasureClick,
+	setGlobeMeasurement,
+	setGlobeAnnotations,
+	getGlobeLandingPoints,
+	getGlobeDatacenters,
+	getCableRoute,
+	isGlobeInteractive,
+	getGlobeView,
+	setGlobeView,
+	setGlobeLayerVisible,
+	getGlobeLayers,
+	onGlobeReady,
+	onGlobeLandingPointsLoaded,
+	onGlobeCountriesLoaded,
+	onGlobeStateChange,
+	setGlobeTimelineYear,
+	getCableYearTotals,
+	onGlobeCablesLoaded,
+	onGlobeCablesChanged,
+	setGlobeCableColors,
+	highlightGlobeCables,
+	getGlobeCables,
 	GLOBE_CONFIG
 };
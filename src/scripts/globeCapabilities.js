@@ -0,0 +1,113 @@
+/**
+ * GLOBE CAPABILITIES
+ *
+ * Decides whether this device should render the live WebGL globe:
+ * - Probes WebGL once (context creation and max texture size), flagging
+ *   software renderers through failIfMajorPerformanceCaveat
+ * - Treats low-memory, low-core and Save-Data devices as low power
+ * - Honours prefers-reduced-motion
+ *
+ * Devices that fail the check get the static globe image instead (see globeBackground.js).
+ */
+
+/**
+ * Configuration for capability detection
+ */
+const CAPABILITY_CONFIG = {
+	// Low-power thresholds
+	lowPowerMaxDeviceMemory: 1, // GB, from navigator.deviceMemory when available
+	lowPowerMaxCores: 2, // navigator.hardwareConcurrency
+	respectSaveData: true, // navigator.connection.saveData
+
+	// Smallest max texture size the globe can work with (lowest texture tier)
+	minTextureSize: 1024,
+
+	reducedMotionQuery: '(prefers-reduced-motion: reduce)'
+};
+
+let webGLProbe = null; // Probe result, shared by every caller
+
+/**
+ * Create a throwaway WebGL context and read what the globe needs from it
+ * @returns {{supported: boolean, softwareRendering: boolean, maxTextureSize: number}}
+ */
+function probeWebGL() {
+	if (webGLProbe) return webGLProbe;
+
+	webGLProbe = { supported: false, softwareRendering: false, maxTextureSize: 0 };
+
+	try {
+		const canvas = document.createElement('canvas');
+		const getContext = options => canvas.getContext('webgl2', options) || canvas.getContext('webgl', options);
+
+		// A context that refuses major performance caveats means real GPU acceleration
+		let gl = getContext({ failIfMajorPerformanceCaveat: true });
+		if (!gl) {
+			gl = getContext({});
+			webGLProbe.softwareRendering = Boolean(gl);
+		}
+
+		if (gl) {
+			webGLProbe.supported = true;
+			webGLProbe.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+			gl.getExtension('WEBGL_lose_context')?.loseContext();
+		}
+	} catch {
+		// Leave the probe as unsupported
+	}
+
+	return webGLProbe;
+}
+
+/**
+ * Whether the user asked for reduced motion
+ */
+function prefersReducedMotion() {
+	return window.matchMedia?.(CAPABILITY_CONFIG.reducedMotionQuery).matches ?? false;
+}
+
+/**
+ * Whether the device looks too weak for a continuously animated WebGL scene
+ */
+function isLowPowerDevice() {
+	const deviceMemory = navigator.deviceMemory;
+	const cores = navigator.hardwareConcurrency;
+
+	return (deviceMemory !== undefined && deviceMemory <= CAPABILITY_CONFIG.lowPowerMaxDeviceMemory) ||
+		(cores !== undefined && cores <= CAPABILITY_CONFIG.lowPowerMaxCores) ||
+		(CAPABILITY_CONFIG.respectSaveData && navigator.connection?.saveData === true);
+}
+
+/**
+ * Decide between the live globe and the static image
+ * @returns {{useStaticGlobe: boolean, reason: string|null}}
+ */
+function detectGlobeCapability() {
+	if (prefersReducedMotion()) {
+		return { useStaticGlobe: true, reason: 'prefers-reduced-motion' };
+	}
+
+	const webGL = probeWebGL();
+	if (!webGL.supported) {
+		return { useStaticGlobe: true, reason: 'WebGL unavailable' };
+	}
+	if (webGL.maxTextureSize < CAPABILITY_CONFIG.minTextureSize) {
+		return { useStaticGlobe: true, reason: `max texture size ${webGL.maxTextureSize}` };
+	}
+	if (webGL.softwareRendering || isLowPowerDevice()) {
+		return { useStaticGlobe: true, reason: 'low-power device' };
+	}
+
+	return { useStaticGlobe: false, reason: null };
+}
+
+/**
+ * Export functions for use in the globe modules
+ */
+export {
+	detectGlobeCapability,
+	probeWebGL,
+	prefersReducedMotion,
+	isLowPowerDevice,
+	CAPABILITY_CONFIG
+};
@@ -0,0 +1,284 @@
+/**
+ * GLOBE DEEP LINKS
+ *
+ * Shareable links to an explored globe view, kept in the URL hash:
+ * - #globe=lat,lng,altitude&cable=<id>&station=<id>&country=<id>&layers=cables,stations,datacenters,countries
+ * - Written while interactive mode is on: entering it, moving the camera,
+ *   selecting a cable, landing station or country, or toggling a layer pushes a history
+ *   entry, and leaving it drops the hash
+ * - Opening a link restores the view once the globe is ready (the selection
+ *   once its data has loaded)
+ * - Back/forward step through the recorded views
+ */
+
+import {
+	isGlobeInteractive,
+	getGlobeView,
+	setGlobeView,
+	getGlobeSelection,
+	getGlobeLayers,
+	setGlobeLayerVisible,
+	onGlobeReady,
+	onGlobeCablesLoaded,
+	onGlobeLandingPointsLoaded,
+	onGlobeCountriesLoaded,
+	onGlobeStateChange
+} from './globeBackground.js';
+import { setInteractiveMode, showCable, showLandingPoint, showCountry, closeCableCard } from './globeInteraction.js';
+
+/**
+ * Configuration for deep links
+ */
+const DEEP_LINK_CONFIG = {
+	// Layer names in the URL
+	layerNames: {
+		cables: 'cables',
+		landingPoints: 'stations',
+		datacenters: 'datacenters',
+		countries: 'countries'
+	},
+
+	// Precision of the camera in the URL
+	coordinateDecimals: 3,
+	altitudeDecimals: 2,
+
+	// Timing
+	writeDelay: 150, // ms; bursts of changes (select + camera) become one history entry
+	restoreDuration: 1000, // Camera transition (ms) when stepping through history
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Deep link state
+ */
+let deepLinkState = {
+	isInitialized: false,
+	isRestoring: false,
+	view: null, // Camera recorded for the link; the live camera may be mid-transition
+	writeTimer: null,
+	unsubscribers: [] // Globe callbacks to release on destroy
+};
+
+/**
+ * Current hash without the leading #
+ */
+function currentHash() {
+	return window.location.hash.replace(/^#/, '');
+}
+
+/**
+ * Serialize the globe state, or '' when interactive mode is off
+ */
+function serializeGlobeState() {
+	if (!isGlobeInteractive() || !deepLinkState.view) return '';
+
+	const { lat, lng, altitude } = deepLinkState.view;
+	const { coordinateDecimals, altitudeDecimals, layerNames } = DEEP_LINK_CONFIG;
+	const parts = [`globe=${lat.toFixed(coordinateDecimals)},${lng.toFixed(coordinateDecimals)},${altitude.toFixed(altitudeDecimals)}`];
+
+	const { cableId, landingPointId, countryId } = getGlobeSelection();
+	if (cableId) parts.push(`cable=${encodeURIComponent(cableId)}`);
+	if (landingPointId) parts.push(`station=${encodeURIComponent(landingPointId)}`);
+	if (countryId) parts.push(`country=${encodeURIComponent(countryId)}`);
+
+	const layers = getGlobeLayers();
+	const visibleLayers = Object.keys(layerNames).filter(layer => layers[layer]).map(layer => layerNames[layer]);
+	parts.push(`layers=${visibleLayers.join(',')}`);
+
+	return parts.join('&');
+}
+
+/**
+ * Parse a globe hash
+ * @param {string} hash - Hash without the leading #
+ * @returns {Object|null} {view, cableId, landingPointId, countryId, layers}, or null if it holds no valid view
+ */
+function parseGlobeHash(hash) {
+	const params = new URLSearchParams(hash);
+	const [lat, lng, altitude] = (params.get('globe') || '').split(',').map(Number);
+
+	if (!Number.isFinite(lat) || Math.abs(lat) > 90 ||
+		!Number.isFinite(lng) || Math.abs(lng) > 180 ||
+		!Number.isFinite(altitude) || altitude <= 0) {
+		return null;
+	}
+
+	// Without a layers parameter every layer keeps its current visibility
+	const layerParam = params.get('layers');
+	const listedLayers = layerParam === null ? null : layerParam.split(',');
+	const layers = listedLayers && Object.fromEntries(Object.entries(DEEP_LINK_CONFIG.layerNames)
+		.map(([layer, name]) => [layer, listedLayers.includes(name)]));
+
+	return {
+		view: { lat, lng, altitude },
+		cableId: params.get('cable'),
+		landingPointId: params.get('station'),
+		countryId: params.get('country'),
+		layers
+	};
+}
+
+/**
+ * Push a history entry if the state differs from the URL
+ */
+function writeHash() {
+	deepLinkState.writeTimer = null;
+	if (deepLinkState.isRestoring) return;
+
+	const hash = serializeGlobeState();
+	if (hash === currentHash()) return;
+
+	const { pathname, search } = window.location;
+	history.pushState(null, '', hash ? `#${hash}` : `${pathname}${search}`);
+
+	if (DEEP_LINK_CONFIG.enableLogging) {
+		console.log(`🔗 Globe link: ${hash || '(none)'}`);
+	}
+}
+
+/**
+ * Record a state change
+ */
+function handleGlobeStateChange(reason) {
+	if (deepLinkState.isRestoring) return;
+
+	if (reason === 'interactive' || reason === 'camera') {
+		deepLinkState.view = isGlobeInteractive() ? getGlobeView() : null;
+	}
+
+	clearTimeout(deepLinkState.writeTimer);
+	deepLinkState.writeTimer = setTimeout(writeHash, DEEP_LINK_CONFIG.writeDelay);
+}
+
+/**
+ * Restore the selection of a parsed hash once its data has loaded
+ * The resulting changes match the URL, so nothing is pushed. The country filter
+ * comes first, as opening its card replaces a cable or station card.
+ */
+function restoreSelection(state) {
+	// Skipped if the URL moved on while the data loaded
+	const isCurrent = () => {
+		const current = parseGlobeHash(currentHash());
+		return current?.countryId === state.countryId &&
+			current.cableId === state.cableId &&
+			current.landingPointId === state.landingPointId;
+	};
+
+	const restoreCableOrStation = () => {
+		if (state.cableId) {
+			onGlobeCablesLoaded(() => {
+				if (isCurrent() && !showCable(state.cableId)) {
+					console.warn(`⚠️ Deep link cable not found: ${state.cableId}`);
+				}
+			});
+		} else if (state.landingPointId) {
+			onGlobeLandingPointsLoaded(() => {
+				if (isCurrent() && !showLandingPoint(state.landingPointId)) {
+					console.warn(`⚠️ Deep link landing station not found: ${state.landingPointId}`);
+				}
+			});
+		}
+	};
+
+	if (!state.countryId) {
+		restoreCableOrStation();
+		return;
+	}
+
+	onGlobeCountriesLoaded(() => {
+		if (!isCurrent()) return;
+		if (!showCountry(state.countryId)) {
+			console.warn(`⚠️ Deep link country not found: ${state.countryId}`);
+		}
+		restoreCableOrStation();
+	});
+}
+
+/**
+ * Restore the state in the URL hash
+ * @param {number} duration - Camera transition in ms
+ */
+function restoreFromHash(duration) {
+	const state = parseGlobeHash(currentHash());
+
+	deepLinkState.isRestoring = true;
+	try {
+		if (!state) {
+			deepLinkState.view = null;
+			if (isGlobeInteractive()) setInteractiveMode(false);
+			return;
+		}
+
+		if (!isGlobeInteractive()) setInteractiveMode(true);
+		if (state.layers) {
+			Object.entries(state.layers).forEach(([layer, visible]) => setGlobeLayerVisible(layer, visible));
+		}
+
+		deepLinkState.view = state.view;
+		setGlobeView(state.view, duration);
+		closeCableCard();
+	} finally {
+		deepLinkState.isRestoring = false;
+	}
+
+	restoreSelection(state);
+
+	if (DEEP_LINK_CONFIG.enableLogging) {
+		console.log(`🔗 Restored globe view ${state.view.lat}, ${state.view.lng}, ${state.view.altitude}`);
+	}
+}
+
+/**
+ * Back/forward (and edited hashes)
+ */
+function handlePopState() {
+	clearTimeout(deepLinkState.writeTimer);
+	deepLinkState.unsubscribers.push(onGlobeReady(() => restoreFromHash(DEEP_LINK_CONFIG.restoreDuration)));
+}
+
+/**
+ * Initialize globe deep links
+ * Call this function when the page loads, after the globe interaction
+ */
+function initializeGlobeDeepLinks() {
+	if (deepLinkState.isInitialized) return;
+
+	deepLinkState.unsubscribers.push(onGlobeStateChange(handleGlobeStateChange));
+	window.addEventListener('popstate', handlePopState);
+
+	// A shared link opens once the globe exists
+	if (parseGlobeHash(currentHash())) {
+		deepLinkState.unsubscribers.push(onGlobeReady(() => restoreFromHash(0)));
+	}
+
+	deepLinkState.isInitialized = true;
+}
+
+/**
+ * Stop following the URL hash
+ * Call this function before the page is replaced (client-side navigation)
+ */
+function destroyGlobeDeepLinks() {
+	if (!deepLinkState.isInitialized) return;
+
+	clearTimeout(deepLinkState.writeTimer);
+	window.removeEventListener('popstate', handlePopState);
+	deepLinkState.unsubscribers.forEach(unsubscribe => unsubscribe());
+
+	deepLinkState.isInitialized = false;
+	deepLinkState.view = null;
+	deepLinkState.writeTimer = null;
+	deepLinkState.unsubscribers = [];
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeGlobeDeepLinks,
+	destroyGlobeDeepLinks,
+	parseGlobeHash,
+	DEEP_LINK_CONFIG
+};
@@ -0,0 +1,237 @@
+/**
+ * GLOBE FRAME-RATE GOVERNOR
+ *
+ * Keeps the WebGL globe within its frame budget:
+ * - Samples frame times with its own requestAnimationFrame loop
+ * - Steps quality down when frames run over budget, and back up after a
+ *   sustained stretch with headroom (the tiers are defined in GLOBE_CONFIG)
+ * - Pauses the globe render loop while the tab is hidden or the globe is
+ *   off-screen, and resumes it on return
+ * - Optional debug readout with the current tier and frame time
+ */
+
+/**
+ * Configuration for the governor
+ */
+const GOVERNOR_CONFIG = {
+	// Sampling
+	windowFrames: 60, // Frames averaged per decision window
+	frameBudget: 1000 / 50, // ms; stepping down below ~50fps
+	headroomFrameTime: 1000 / 58, // ms; windows at ~58fps or better count as headroom
+	maxFrameGap: 250, // ms; longer gaps (tab switches, breakpoints) are not frames
+
+	// Hysteresis
+	stepDownWindows: 2, // Consecutive slow windows before stepping down
+	stepUpWindows: 8, // Consecutive fast windows before stepping up
+	cooldownWindows: 2, // Windows ignored after a change while the scene rebuilds
+
+	// Debug readout
+	readoutId: 'globe-quality-readout'
+};
+
+/**
+ * Governor state
+ */
+let governorState = null;
+
+/**
+ * Create or update the debug readout
+ */
+function updateReadout(averageFrameTime) {
+	const { readout, tierNames, tierIndex, paused } = governorState;
+	if (!readout) return;
+
+	const frameText = averageFrameTime
+		? `${averageFrameTime.toFixed(1)} ms · ${Math.round(1000 / averageFrameTime)} fps`
+		: '— ms';
+	readout.textContent = `globe ${tierNames[tierIndex]} · ${paused ? 'paused' : frameText}`;
+}
+
+function createReadout() {
+	const readout = document.createElement('div');
+	readout.id = GOVERNOR_CONFIG.readoutId;
+	readout.setAttribute('aria-hidden', 'true');
+	readout.style.cssText = `
+		position: fixed;
+		left: 1rem;
+		bottom: 1rem;
+		z-index: 2000;
+		padding: 0.25rem 0.5rem;
+		border-radius: 4px;
+		background: rgba(0, 0, 0, 0.7);
+		color: #ffffff;
+		font: 12px/1.4 monospace;
+		pointer-events: none;
+	`;
+	document.body.appendChild(readout);
+	return readout;
+}
+
+/**
+ * Move to another quality tier and report it
+ */
+function setTier(tierIndex) {
+	governorState.tierIndex = tierIndex;
+	governorState.slowWindows = 0;
+	governorState.fastWindows = 0;
+	governorState.cooldown = GOVERNOR_CONFIG.cooldownWindows;
+	governorState.onTierChange(tierIndex);
+}
+
+/**
+ * Decide on a quality change at the end of a sampling window
+ */
+function evaluateWindow(averageFrameTime) {
+	const state = governorState;
+
+	if (state.cooldown > 0) {
+		state.cooldown--;
+		return;
+	}
+	if (state.locked) return;
+
+	if (averageFrameTime > GOVERNOR_CONFIG.frameBudget) {
+		state.fastWindows = 0;
+		state.slowWindows++;
+		if (state.slowWindows >= GOVERNOR_CONFIG.stepDownWindows && state.tierIndex < state.tierNames.length - 1) {
+			setTier(state.tierIndex + 1);
+		}
+	} else if (averageFrameTime <= GOVERNOR_CONFIG.headroomFrameTime) {
+		state.slowWindows = 0;
+		state.fastWindows++;
+		if (state.fastWindows >= GOVERNOR_CONFIG.stepUpWindows && state.tierIndex > 0) {
+			setTier(state.tierIndex - 1);
+		}
+	} else {
+		state.slowWindows = 0;
+		state.fastWindows = 0;
+	}
+}
+
+/**
+ * Per-frame sampler
+ */
+function sampleFrame(timestamp) {
+	const state = governorState;
+	if (!state || state.paused) return;
+
+	if (state.lastTimestamp !== null) {
+		const frameTime = timestamp - state.lastTimestamp;
+		if (frameTime < GOVERNOR_CONFIG.maxFrameGap) {
+			state.frameTimeTotal += frameTime;
+			state.frameCount++;
+		}
+	}
+	state.lastTimestamp = timestamp;
+
+	if (state.frameCount >= GOVERNOR_CONFIG.windowFrames) {
+		const averageFrameTime = state.frameTimeTotal / state.frameCount;
+		state.frameTimeTotal = 0;
+		state.frameCount = 0;
+
+		evaluateWindow(averageFrameTime);
+		updateReadout(averageFrameTime);
+	}
+
+	state.frameRequest = requestAnimationFrame(sampleFrame);
+}
+
+/**
+ * Pause or resume the globe render loop and the sampler
+ */
+function updatePaused() {
+	const state = governorState;
+	const shouldPause = document.hidden || !state.isOnScreen;
+	if (shouldPause === state.paused) return;
+
+	state.paused = shouldPause;
+
+	if (shouldPause) {
+		state.globe.pauseAnimation();
+		cancelAnimationFrame(state.frameRequest);
+	} else {
+		state.globe.resumeAnimation();
+		state.lastTimestamp = null; // The pause is not a slow frame
+		state.frameTimeTotal = 0;
+		state.frameCount = 0;
+		state.frameRequest = requestAnimationFrame(sampleFrame);
+	}
+
+	updateReadout(null);
+}
+
+/**
+ * Start governing a globe
+ * @param {Object} globeInstance - globe.gl instance
+ * @param {Object} options
+ * @param {string[]} options.tierNames - Quality tiers, best first
+ * @param {number} options.initialTier - Index of the starting tier
+ * @param {boolean} [options.locked] - Only pause/resume; never change the tier
+ * @param {boolean} [options.showReadout] - Show the debug readout
+ * @param {function(number): void} options.onTierChange - Applies a tier to the globe
+ */
+function startFrameGovernor(globeInstance, { tierNames, initialTier, locked = false, showReadout = false, onTierChange }) {
+	stopFrameGovernor();
+
+	governorState = {
+		globe: globeInstance,
+		tierNames,
+		tierIndex: initialTier,
+		locked,
+		onTierChange,
+		paused: false,
+		isOnScreen: true,
+		lastTimestamp: null,
+		frameTimeTotal: 0,
+		frameCount: 0,
+		slowWindows: 0,
+		fastWindows: 0,
+		cooldown: GOVERNOR_CONFIG.cooldownWindows, // Startup frames include texture and data loading
+		frameRequest: null,
+		readout: showReadout ? createReadout() : null,
+		visibilityHandler: updatePaused,
+		observer: null
+	};
+
+	document.addEventListener('visibilitychange', governorState.visibilityHandler);
+
+	if ('IntersectionObserver' in window) {
+		governorState.observer = new IntersectionObserver(([entry]) => {
+			governorState.isOnScreen = entry.isIntersecting;
+			updatePaused();
+		});
+		governorState.observer.observe(globeInstance.renderer().domElement);
+	}
+
+	updateReadout(null);
+	updatePaused();
+	if (!governorState.paused) {
+		governorState.frameRequest = requestAnimationFrame(sampleFrame);
+	}
+}
+
+/**
+ * Stop governing (the globe is left running)
+ */
+function stopFrameGovernor() {
+	if (!governorState) return;
+
+	cancelAnimationFrame(governorState.frameRequest);
+	document.removeEventListener('visibilitychange', governorState.visibilityHandler);
+	governorState.observer?.disconnect();
+	governorState.readout?.remove();
+	if (governorState.paused) {
+		governorState.globe.resumeAnimation();
+	}
+
+	governorState = null;
+}
+
+/**
+ * Export functions for use in globe background
+ */
+export {
+	startFrameGovernor,
+	stopFrameGovernor,
+	GOVERNOR_CONFIG
+};
@@ -0,0 +1,371 @@
+/**
+ * GLOBE INTERACTION
+ *
+ * Opt-in interactive globe mode driven by the GlobeControls component:
+ * - Toggle button switches the globe between background and explore mode
+ * - Explore mode enables pointer events, drag rotation and zoom on the globe
+ *   and pauses the scroll-driven camera (handled in globeBackground.js)
+ * - Clicking a cable opens a details card with name, length, ready-for-service
+ *   year, owners and landing points; clicking a landing station lists its cables
+ * - Clicking a country filters the cables to those landing there and lists
+ *   them; clicking it again (or closing the card) clears the filter
+ * - Layer toggles show or hide cables, landing stations, data centers and countries
+ * - Escape closes the card, or leaves explore mode when no card is open
+ */
+
+import {
+	setGlobeInteractive,
+	selectGlobeCable,
+	selectGlobeLandingPoint,
+	selectGlobeCountry,
+	onGlobeCableClick,
+	onGlobeLandingPointClick,
+	onGlobeCountryClick,
+	getCableDetails,
+	getLandingPointDetails,
+	getCountryDetails,
+	setGlobeLayerVisible,
+	getGlobeLayers,
+	onGlobeStateChange
+} from './globeBackground.js';
+
+/**
+ * Configuration for globe interaction
+ */
+const INTERACTION_CONFIG = {
+	// Elements (rendered by GlobeControls.astro)
+	toggleSelector: '#globe-interactive-toggle',
+	cardSelector: '#globe-cable-card',
+	layerToggleSelector: '.globe-layer-toggle[data-layer]',
+
+	// Card accents for landing stations and countries (cables use their own color)
+	landingPointCardColor: '#ffd54f', // Matches GLOBE_CONFIG.selectedLandingPointColor
+	countryCardColor: '#f6821f',
+
+	// Body class used to dim page content while exploring
+	bodyActiveClass: 'globe-interactive',
+
+	// Toggle labels
+	enterLabel: 'Explore globe',
+	exitLabel: 'Back to atlas',
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Interaction state
+ */
+let interactionState = {
+	isInitialized: false,
+	isInteractive: false,
+	toggle: null,
+	card: null,
+	closeButton: null,
+	layerToggles: [],
+	unsubscribeStateChange: null
+};
+
+/**
+ * Format a number of kilometres for display
+ */
+function formatLength(lengthKm) {
+	return `${Math.round(lengthKm).toLocaleString('en-US')} km`;
+}
+
+/**
+ * Fill and show the details card
+ * @param {Object} content - {title, color, facts: [term, value][], listTitle, items: string[], emptyText}
+ */
+function renderCard({ title, color, facts, listTitle, items, emptyText }) {
+	const { card } = interactionState;
+	if (!card) return;
+
+	card.querySelector('.globe-cable-card-title').textContent = title;
+	card.style.setProperty('--cable-color', color);
+
+	const factList = card.querySelector('.globe-cable-card-facts');
+	factList.replaceChildren(...facts.flatMap(([term, value]) => {
+		const dt = document.createElement('dt');
+		dt.textContent = term;
+		const dd = document.createElement('dd');
+		dd.textContent = value;
+		return [dt, dd];
+	}));
+
+	card.querySelector('.globe-cable-card-list-title').textContent = listTitle;
+	const list = card.querySelector('.globe-cable-card-landings');
+	list.replaceChildren(...(items.length > 0 ? items : [emptyText]).map(text => {
+		const item = document.createElement('li');
+		item.textContent = text;
+		return item;
+	}));
+
+	card.hidden = false;
+}
+
+/**
+ * Fill the details card for a cable
+ * @param {Object} cable - Cable details from globeBackground.js
+ */
+function renderCableCard(cable) {
+	renderCard({
+		title: cable.name,
+		color: cable.color || '#ffffff',
+		facts: [
+			['Length', cable.lengthKm ? formatLength(cable.lengthKm) : 'Unknown'],
+			['Ready for service', cable.rfsYear ? String(cable.rfsYear) : 'Unknown'],
+			['Owners', cable.owners.length > 0 ? cable.owners.join(', ') : 'Unknown']
+		],
+		listTitle: 'Landing points',
+		items: cable.landingPoints.map(({ name }) => name),
+		emptyText: 'No landing points listed'
+	});
+}
+
+/**
+ * Fill the details card for a landing station
+ * @param {Object} landingPoint - Station details from globeBackground.js
+ */
+function renderLandingPointCard(landingPoint) {
+	renderCard({
+		title: landingPoint.name,
+		color: INTERACTION_CONFIG.landingPointCardColor,
+		facts: [
+			['Country', landingPoint.country || 'Unknown'],
+			['Cables', String(landingPoint.cables.length)]
+		],
+		listTitle: 'Cables',
+		items: landingPoint.cables.map(({ name }) => name),
+		emptyText: 'No cables listed'
+	});
+}
+
+/**
+ * Fill the details card for a country
+ * @param {Object} country - Country details from globeBackground.js
+ */
+function renderCountryCard(country) {
+	renderCard({
+		title: country.name,
+		color: INTERACTION_CONFIG.countryCardColor,
+		facts: [
+			['Cables landing', String(country.cables.length)],
+			['Landing stations', String(country.landingPointCount)],
+			['Cloudflare PoPs', String(country.datacenterCount)]
+		],
+		listTitle: 'Cables shown',
+		items: country.cables.map(({ name }) => name),
+		emptyText: 'No cables land here'
+	});
+}
+
+/**
+ * Select a cable and open its card (e.g. from a deep link)
+ * @param {string} cableId - Cable id from the dataset
+ * @returns {boolean} Whether the cable exists
+ */
+function showCable(cableId) {
+	const cable = getCableDetails(cableId);
+	if (!cable) return false;
+
+	selectGlobeLandingPoint(null);
+	selectGlobeCable(cableId);
+	renderCableCard(cable);
+	return true;
+}
+
+/**
+ * Select a landing station and open its card (e.g. from a deep link)
+ * @param {string} landingPointId - Landing station id from the dataset
+ * @returns {boolean} Whether the station exists
+ */
+function showLandingPoint(landingPointId) {
+	const landingPoint = getLandingPointDetails(landingPointId);
+	if (!landingPoint) return false;
+
+	selectGlobeCable(null);
+	selectGlobeLandingPoint(landingPointId);
+	renderLandingPointCard(landingPoint);
+	return true;
+}
+
+/**
+ * Filter the cables to a country and open its card (e.g. from a deep link)
+ * @param {string} countryId - Country id from the country snapshot
+ * @returns {boolean} Whether the country exists
+ */
+function showCountry(countryId) {
+	const country = getCountryDetails(countryId);
+	if (!country) return false;
+
+	selectGlobeCable(null);
+	selectGlobeLandingPoint(null);
+	selectGlobeCountry(countryId);
+	renderCountryCard(country);
+	return true;
+}
+
+/**
+ * Reflect the layer visibility on the toggle buttons
+ */
+function syncLayerToggles() {
+	const layers = getGlobeLayers();
+	interactionState.layerToggles.forEach(toggle => {
+		toggle.setAttribute('aria-pressed', String(Boolean(layers[toggle.dataset.layer])));
+	});
+}
+
+/**
+ * Hide the details card, clear the highlighted cable or station and the country filter
+ */
+function closeCableCard() {
+	if (interactionState.card) {
+		interactionState.card.hidden = true;
+	}
+	selectGlobeCable(null);
+	selectGlobeLandingPoint(null);
+	selectGlobeCountry(null);
+}
+
+/**
+ * Switch interactive mode on or off
+ * @param {boolean} enabled - Whether the globe should be interactive
+ */
+function setInteractiveMode(enabled) {
+	interactionState.isInteractive = enabled;
+
+	document.body.classList.toggle(INTERACTION_CONFIG.bodyActiveClass, enabled);
+
+	if (interactionState.toggle) {
+		interactionState.toggle.setAttribute('aria-pressed', String(enabled));
+		interactionState.toggle.textContent = enabled ? INTERACTION_CONFIG.exitLabel : INTERACTION_CONFIG.enterLabel;
+	}
+
+	if (!enabled) {
+		closeCableCard();
+	}
+
+	setGlobeInteractive(enabled);
+
+	if (INTERACTION_CONFIG.enableLogging) {
+		console.log(`🖱️  Interactive mode ${enabled ? 'enabled' : 'disabled'}`);
+	}
+}
+
+/**
+ * Toggle button click
+ */
+function handleToggleClick() {
+	setInteractiveMode(!interactionState.isInteractive);
+}
+
+/**
+ * Layer toggle click
+ */
+function handleLayerToggleClick(event) {
+	const toggle = event.currentTarget;
+	setGlobeLayerVisible(toggle.dataset.layer, toggle.getAttribute('aria-pressed') !== 'true');
+}
+
+/**
+ * Keyboard shortcuts while exploring
+ */
+function handleKeydown(event) {
+	if (event.key !== 'Escape' || !interactionState.isInteractive) return;
+
+	if (interactionState.card && !interactionState.card.hidden) {
+		closeCableCard();
+	} else {
+		setInteractiveMode(false);
+	}
+}
+
+/**
+ * Initialize globe interaction
+ * Call this function when the page loads
+ */
+function initializeGlobeInteraction() {
+	interactionState.toggle = document.querySelector(INTERACTION_CONFIG.toggleSelector);
+	interactionState.card = document.querySelector(INTERACTION_CONFIG.cardSelector);
+
+	if (!interactionState.toggle) {
+		console.warn('⚠️ Globe interaction toggle not found');
+		return;
+	}
+
+	interactionState.toggle.addEventListener('click', handleToggleClick);
+
+	interactionState.closeButton = interactionState.card?.querySelector('.globe-cable-card-close') ?? null;
+	interactionState.closeButton?.addEventListener('click', closeCableCard);
+
+	document.addEventListener('keydown', handleKeydown);
+
+	onGlobeCableClick(cable => {
+		if (cable) renderCableCard(cable);
+	});
+	onGlobeLandingPointClick(landingPoint => {
+		if (landingPoint) renderLandingPointCard(landingPoint);
+	});
+	onGlobeCountryClick(country => {
+		if (country) {
+			selectGlobeCable(null);
+			selectGlobeLandingPoint(null);
+			renderCountryCard(country);
+		} else {
+			closeCableCard();
+		}
+	});
+
+	interactionState.layerToggles = [...document.querySelectorAll(INTERACTION_CONFIG.layerToggleSelector)];
+	interactionState.layerToggles.forEach(toggle => toggle.addEventListener('click', handleLayerToggleClick));
+	syncLayerToggles();
+	interactionState.unsubscribeStateChange = onGlobeStateChange(reason => {
+		if (reason === 'layers') syncLayerToggles();
+	});
+
+	interactionState.isInitialized = true;
+}
+
+/**
+ * Leave explore mode and release the globe callbacks
+ * Call this function before the page is replaced (client-side navigation)
+ */
+function destroyGlobeInteraction() {
+	if (!interactionState.isInitialized) return;
+
+	if (interactionState.isInteractive) {
+		setInteractiveMode(false);
+	}
+
+	// The controls may sit in persisted DOM, so a later init must not add a second set
+	interactionState.toggle.removeEventListener('click', handleToggleClick);
+	interactionState.closeButton?.removeEventListener('click', closeCableCard);
+	interactionState.layerToggles.forEach(toggle => toggle.removeEventListener('click', handleLayerToggleClick));
+	document.removeEventListener('keydown', handleKeydown);
+	onGlobeCableClick(null);
+	onGlobeLandingPointClick(null);
+	onGlobeCountryClick(null);
+	interactionState.unsubscribeStateChange?.();
+
+	interactionState.isInitialized = false;
+	interactionState.toggle = null;
+	interactionState.card = null;
+	interactionState.closeButton = null;
+	interactionState.layerToggles = [];
+	interactionState.unsubscribeStateChange = null;
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeGlobeInteraction,
+	destroyGlobeInteraction,
+	setInteractiveMode,
+	showCable,
+	showLandingPoint,
+	showCountry,
+	closeCableCard,
+	INTERACTION_CONFIG
+};
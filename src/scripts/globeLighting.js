@@ -0,0 +1,287 @@
+/**
+ * GLOBE LIGHTING
+ *
+ * Real-time sun lighting for the globe (GLOBE_CONFIG.lighting = 'sun'):
+ * - Computes the subsolar point (where the sun is overhead) from the UTC time
+ * - A shader blends the day and night textures across the terminator, so the
+ *   night side shows city lights
+ * - The sun moves once a minute
+ * - A time offset shifts the clock, globally (timeOffsetHours) or while a panel
+ *   with a timeOffset prop (data-globe-time-offset, in hours) is in the middle
+ *   of the viewport, e.g. to show what "now" looks like half a day later
+ */
+
+import { getTextureUrls, TEXTURE_CONFIG } from './globeTextures.js';
+import { getLayoutSnapshot } from './layoutSnapshot.js';
+
+/**
+ * Configuration for sun lighting
+ */
+const LIGHTING_CONFIG = {
+	// Sun
+	updateInterval: 60 * 1000, // ms between sun position updates
+	timeOffsetHours: 0, // Shift applied outside time-offset panels
+
+	// Shading
+	twilightWidth: 0.12, // Half-width of the day/night blend, in cosine of the sun angle
+	nightLightsBrightness: 1.4, // City lights multiplier on the night side
+
+	// Panels that shift the clock while active
+	panelSelector: '[data-globe-time-offset]',
+	focusViewportPosition: 0.5, // A panel is active while it spans this fraction of the viewport
+
+	// Debug
+	enableLogging: false
+};
+
+const DAY_NIGHT_VERTEX_SHADER = `
+	varying vec3 vWorldNormal;
+	varying vec2 vUv;
+
+	void main() {
+		vWorldNormal = normalize(mat3(modelMatrix) * normal);
+		vUv = uv;
+		gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+	}
+`;
+
+const DAY_NIGHT_FRAGMENT_SHADER = `
+	uniform sampler2D dayTexture;
+	uniform sampler2D nightTexture;
+	uniform vec3 sunDirection;
+	uniform float twilightWidth;
+	uniform float nightLightsBrightness;
+	varying vec3 vWorldNormal;
+	varying vec2 vUv;
+
+	void main() {
+		float sunAngle = dot(normalize(vWorldNormal), sunDirection);
+		float daylight = smoothstep(-twilightWidth, twilightWidth, sunAngle);
+		vec4 dayColor = texture2D(dayTexture, vUv);
+		vec4 nightColor = texture2D(nightTexture, vUv) * nightLightsBrightness;
+		gl_FragColor = vec4(mix(nightColor.rgb, dayColor.rgb, daylight), 1.0);
+	}
+`;
+
+/**
+ * Lighting state (null while sun lighting is off)
+ */
+let lightingState = null;
+
+/**
+ * Subsolar point for a moment in time (low-precision solar ephemeris, well under 1° off)
+ * @param {Date} date - Moment in time
+ * @returns {{lat: number, lng: number}} Where the sun is directly overhead
+ */
+function getSubsolarPoint(date) {
+	const toRadians = Math.PI / 180;
+	const days = date.getTime() / 86400000 - 10957.5; // Days since J2000.0 (2000-01-01 12:00 UTC)
+
+	const meanLongitude = 280.460 + 0.9856474 * days;
+	const meanAnomaly = (357.528 + 0.9856003 * days) * toRadians;
+	const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * toRadians;
+	const obliquity = (23.439 - 0.0000004 * days) * toRadians;
+
+	const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+	const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+	const siderealDegrees = 280.46061837 + 360.98564736629 * days; // Greenwich mean sidereal time
+
+	const lng = ((rightAscension / toRadians - siderealDegrees) % 360 + 540) % 360 - 180;
+	return { lat: declination / toRadians, lng };
+}
+
+/**
+ * Point the shader's sun at the subsolar point for the current (offset) time
+ */
+function updateSunPosition() {
+	const state = lightingState;
+	if (!state?.material) return;
+
+	const date = new Date(Date.now() + state.offsetHours * 3600 * 1000);
+	const { lat, lng } = getSubsolarPoint(date);
+	const { x, y, z } = state.globe.getCoords(lat, lng, 0);
+	state.material.uniforms.sunDirection.value.set(x, y, z).normalize();
+
+	if (LIGHTING_CONFIG.enableLogging) {
+		console.log(`☀️  Sun over ${lat.toFixed(1)}°, ${lng.toFixed(1)}° (${date.toISOString()})`);
+	}
+}
+
+/**
+ * Load the day and night textures of a tier
+ */
+async function loadLightingTextures(tier) {
+	const { THREE } = lightingState;
+	const urls = getTextureUrls(tier, TEXTURE_CONFIG.lightingFiles);
+	const loader = new THREE.TextureLoader();
+	const [day, night] = await Promise.all([loader.loadAsync(urls.dayImageUrl), loader.loadAsync(urls.nightImageUrl)]);
+	return { day, night };
+}
+
+/**
+ * Use the day and night textures of a tier, replacing the current ones
+ */
+async function applyLightingTier(tier) {
+	const state = lightingState;
+	const textures = await loadLightingTextures(tier);
+
+	// Stopped, or another tier requested, while loading
+	if (lightingState !== state || state.tier !== tier) {
+		textures.day.dispose();
+		textures.night.dispose();
+		return;
+	}
+
+	const { uniforms } = state.material;
+	uniforms.dayTexture.value?.dispose();
+	uniforms.nightTexture.value?.dispose();
+	uniforms.dayTexture.value = textures.day;
+	uniforms.nightTexture.value = textures.night;
+}
+
+/**
+ * Switch the globe to sun lighting
+ * @param {Object} globeInstance - Globe to light
+ * @param {string} tier - Texture tier to start on (see TEXTURE_CONFIG.tiers)
+ */
+async function startSunLighting(globeInstance, tier) {
+	stopSunLighting();
+
+	const state = {
+		globe: globeInstance,
+		THREE: null,
+		material: null,
+		tier,
+		offsetHours: LIGHTING_CONFIG.timeOffsetHours,
+		panels: [...document.querySelectorAll(LIGHTING_CONFIG.panelSelector)],
+		timer: null
+	};
+	lightingState = state;
+
+	// Only loaded when sun lighting is on (globe.gl already depends on three)
+	state.THREE = await import('three');
+	if (lightingState !== state) return;
+
+	const { THREE } = state;
+	state.material = new THREE.ShaderMaterial({
+		uniforms: {
+			dayTexture: { value: null },
+			nightTexture: { value: null },
+			sunDirection: { value: new THREE.Vector3(1, 0, 0) },
+			twilightWidth: { value: LIGHTING_CONFIG.twilightWidth },
+			nightLightsBrightness: { value: LIGHTING_CONFIG.nightLightsBrightness }
+		},
+		vertexShader: DAY_NIGHT_VERTEX_SHADER,
+		fragmentShader: DAY_NIGHT_FRAGMENT_SHADER
+	});
+
+	try {
+		// Retried when a sharper tier is requested while the first one loads
+		while (!state.material.uniforms.dayTexture.value) {
+			await applyLightingTier(state.tier);
+			if (lightingState !== state) return;
+		}
+	} catch (error) {
+		console.warn('⚠️ Could not load sun lighting textures, keeping static lighting:', error);
+		if (lightingState === state) stopSunLighting();
+		return;
+	}
+
+	globeInstance.globeMaterial(state.material);
+	updateSunPosition();
+	state.timer = setInterval(updateSunPosition, LIGHTING_CONFIG.updateInterval);
+
+	if (LIGHTING_CONFIG.enableLogging) {
+		console.log(`☀️  Sun lighting on (${state.tier} textures)`);
+	}
+}
+
+/**
+ * Swap in sharper day and night textures
+ * @param {string} tier - Texture tier now used by the globe
+ */
+function upgradeSunLighting(tier) {
+	const state = lightingState;
+	if (!state || state.tier === tier) return;
+
+	state.tier = tier;
+	if (!state.material?.uniforms.dayTexture.value) return; // Still starting; it picks up the new tier
+
+	applyLightingTier(tier).catch(error => {
+		console.warn(`⚠️ Could not load ${tier} sun lighting textures:`, error);
+	});
+}
+
+/**
+ * Shift the sun's clock
+ * @param {number} hours - Offset from the current time
+ */
+function setSunTimeOffset(hours) {
+	const state = lightingState;
+	if (!state || hours === state.offsetHours) return;
+
+	state.offsetHours = hours;
+	updateSunPosition();
+}
+
+/**
+ * Apply the time offset of the panel in the middle of the viewport
+ * Call this function on scroll events
+ * @param {Object} [snapshot] - Layout snapshot of this frame (layoutSnapshot.js)
+ */
+function updateSunTimeOffset(snapshot = getLayoutSnapshot()) {
+	const state = lightingState;
+	if (!state || state.panels.length === 0) return;
+
+	const focusLine = snapshot.viewportHeight * LIGHTING_CONFIG.focusViewportPosition;
+	const activePanel = state.panels.find(panel => {
+		const rect = snapshot.rect(panel);
+		return rect.top <= focusLine && rect.bottom >= focusLine;
+	});
+
+	const offset = activePanel ? Number(activePanel.dataset.globeTimeOffset) : NaN;
+	setSunTimeOffset(Number.isFinite(offset) ? offset : LIGHTING_CONFIG.timeOffsetHours);
+}
+
+/**
+ * Collect the panels with a time offset again, on a page entered by client-side navigation
+ */
+function refreshSunTimePanels() {
+	if (lightingState) {
+		lightingState.panels = [...document.querySelectorAll(LIGHTING_CONFIG.panelSelector)];
+	}
+}
+
+/**
+ * Turn sun lighting off, restore the globe's default material and release the textures
+ */
+function stopSunLighting() {
+	const state = lightingState;
+	if (!state) return;
+
+	lightingState = null;
+	clearInterval(state.timer);
+
+	if (state.material) {
+		if (state.globe.globeMaterial() === state.material) {
+			state.globe.globeMaterial(null);
+		}
+		state.material.uniforms.dayTexture.value?.dispose();
+		state.material.uniforms.nightTexture.value?.dispose();
+		state.material.dispose();
+	}
+}
+
+/**
+ * Export functions for use in globe background and main coordinator
+ */
+export {
+	getSubsolarPoint,
+	startSunLighting,
+	upgradeSunLighting,
+	setSunTimeOffset,
+	updateSunTimeOffset,
+	refreshSunTimePanels,
+	stopSunLighting,
+	LIGHTING_CONFIG
+};
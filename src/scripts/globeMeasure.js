@@ -0,0 +1,476 @@
+/**
+ * GLOBE MEASURE
+ *
+ * Distance and fiber latency between two places, a tool of the interactive globe:
+ * - The Measure button (GlobeControls.astro) turns measure mode on while exploring
+ * - Clicking the globe sets the ends in turn (a third click starts over);
+ *   clicking a landing station or data center snaps to it, and either end can
+ *   also be picked from the lists of PoPs and landing stations
+ * - The great-circle arc is drawn on the globe (globeBackground.js)
+ * - Reports the great-circle distance and the theoretical one-way and
+ *   round-trip latency at the speed of light in fiber
+ * - When both ends are landing stations on the same cable, the route length
+ *   along that cable (and its latency) is traced from the cable geometry
+ */
+
+import {
+	isGlobeInteractive,
+	onGlobeMeasureClick,
+	setGlobeMeasurement,
+	getGlobeLandingPoints,
+	getGlobeDatacenters,
+	getCableDetails,
+	getCableRoute,
+	onGlobeStateChange
+} from './globeBackground.js';
+import { closeCableCard } from './globeInteraction.js';
+
+/**
+ * Configuration for measure mode
+ */
+const MEASURE_CONFIG = {
+	// Elements (rendered by GlobeControls.astro)
+	toggleSelector: '#globe-measure-toggle',
+	panelSelector: '#globe-measure-panel',
+
+	// Body class while measuring (crosshair cursor)
+	bodyActiveClass: 'globe-measuring',
+
+	// Physics
+	earthRadiusKm: 6371.0088, // Mean radius
+	speedOfLightKmPerMs: 299.792458,
+	fiberRefractiveIndex: 1.468, // Typical single-mode fiber; light covers ~204 km per ms
+
+	// Cable routes
+	maxStationOffsetKm: 50, // A station farther than this from the cable geometry is not on it
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Measure state
+ */
+let measureState = {
+	isInitialized: false,
+	isActive: false,
+	toggle: null,
+	panel: null,
+	closeButton: null,
+	selects: [],
+	results: null,
+	ends: [null, null], // Places: {key, name, lat, lng, cables}
+	measurementId: 0, // Bumped per measurement so a late route trace can tell it is stale
+	unsubscribeStateChange: null
+};
+
+/**
+ * Great-circle distance (haversine)
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number} Distance in km
+ */
+function greatCircleKm(from, to) {
+	const toRadians = Math.PI / 180;
+	const dLat = (to.lat - from.lat) * toRadians;
+	const dLng = (to.lng - from.lng) * toRadians;
+	const a = Math.sin(dLat / 2) ** 2 +
+		Math.cos(from.lat * toRadians) * Math.cos(to.lat * toRadians) * Math.sin(dLng / 2) ** 2;
+	return 2 * MEASURE_CONFIG.earthRadiusKm * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * One-way latency over a length of fiber
+ * @param {number} km - Fiber length
+ * @returns {number} Milliseconds
+ */
+function fiberLatencyMs(km) {
+	return km * MEASURE_CONFIG.fiberRefractiveIndex / MEASURE_CONFIG.speedOfLightKmPerMs;
+}
+
+/**
+ * Length of the shortest route between two places along a cable's geometry
+ * Segments join where they share a position; each place snaps to the nearest vertex
+ * @param {Array<Array<number[]>>} lines - The cable's line strings as [lng, lat] positions
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number|null} Route length in km, or null if the geometry does not link the places
+ */
+function traceCableRoute(lines, from, to) {
+	const nodes = new Map();
+	const nodeAt = ([lng, lat]) => {
+		const key = `${(lng === 180 ? -180 : lng).toFixed(4)},${lat.toFixed(4)}`; // Lines split at the antimeridian meet
+		if (!nodes.has(key)) nodes.set(key, { lat, lng, edges: [] });
+		return nodes.get(key);
+	};
+
+	lines.forEach(line => line.slice(1).forEach((position, index) => {
+		const a = nodeAt(line[index]);
+		const b = nodeAt(position);
+		const length = greatCircleKm(a, b);
+		a.edges.push({ node: b, length });
+		b.edges.push({ node: a, length });
+	}));
+
+	const nearestNode = place => {
+		let nearest = null;
+		nodes.forEach(node => {
+			const distance = greatCircleKm(place, node);
+			if (!nearest || distance < nearest.distance) nearest = { node, distance };
+		});
+		return nearest && nearest.distance <= MEASURE_CONFIG.maxStationOffsetKm ? nearest : null;
+	};
+
+	const start = nearestNode(from);
+	const end = nearestNode(to);
+	if (!start || !end) return null;
+
+	// Dijkstra; cables branch little, so scanning the frontier for the closest node stays cheap
+	const distances = new Map([[start.node, 0]]);
+	const frontier = new Set([start.node]);
+	const settled = new Set();
+	while (frontier.size > 0) {
+		let current = null;
+		frontier.forEach(node => {
+			if (!current || distances.get(node) < distances.get(current)) current = node;
+		});
+		frontier.delete(current);
+
+		if (current === end.node) {
+			return start.distance + distances.get(current) + end.distance;
+		}
+
+		settled.add(current);
+		current.edges.forEach(({ node, length }) => {
+			if (settled.has(node)) return;
+			const distance = distances.get(current) + length;
+			if (distance < (distances.get(node) ?? Infinity)) {
+				distances.set(node, distance);
+				frontier.add(node);
+			}
+		});
+	}
+
+	return null;
+}
+
+/**
+ * Format helpers
+ */
+function formatKm(km) {
+	return `${Math.round(km).toLocaleString('en-US')} km`;
+}
+
+function formatMs(ms) {
+	return `${ms.toLocaleString('en-US', { minimumFractionDigits: 1, maximumFractionDigits: 1 })} ms`;
+}
+
+function formatCoordinates({ lat, lng }) {
+	return `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lng).toFixed(2)}°${lng >= 0 ? 'E' : 'W'}`;
+}
+
+/**
+ * Places that can be picked from the lists
+ */
+function datacenterPlace(datacenter) {
+	return {
+		key: `datacenter:${datacenter.iata}`,
+		name: `${datacenter.city} (${datacenter.iata})`,
+		lat: datacenter.lat,
+		lng: datacenter.lng,
+		cables: null
+	};
+}
+
+function landingPointPlace(landingPoint) {
+	return {
+		key: `landingPoint:${landingPoint.id}`,
+		name: landingPoint.name,
+		lat: landingPoint.lat,
+		lng: landingPoint.lng,
+		cables: landingPoint.cables
+	};
+}
+
+/**
+ * Place for a click on the globe
+ * @param {Object} pick - {lat, lng, landingPoint?, datacenter?} from globeBackground.js
+ */
+function pickedPlace({ lat, lng, landingPoint, datacenter }) {
+	if (landingPoint) return landingPointPlace(landingPoint);
+	if (datacenter) return datacenterPlace(datacenter);
+	return { key: 'location', name: formatCoordinates({ lat, lng }), lat, lng, cables: null };
+}
+
+/**
+ * Place for a list option
+ */
+function placeForKey(key) {
+	const [kind, id] = key.split(/:(.*)/);
+	if (kind === 'datacenter') {
+		const datacenter = getGlobeDatacenters().find(({ iata }) => iata === id);
+		return datacenter ? datacenterPlace(datacenter) : null;
+	}
+	if (kind === 'landingPoint') {
+		const landingPoint = getGlobeLandingPoints().find(point => point.id === id);
+		return landingPoint ? landingPointPlace(landingPoint) : null;
+	}
+	return null;
+}
+
+/**
+ * Fill an end's list with PoPs and landing stations
+ */
+function populateSelect(select) {
+	const option = (value, text) => {
+		const element = document.createElement('option');
+		element.value = value;
+		element.textContent = text;
+		return element;
+	};
+	const group = (label, options) => {
+		const element = document.createElement('optgroup');
+		element.label = label;
+		element.append(...options);
+		return element;
+	};
+
+	const datacenters = getGlobeDatacenters()
+		.map(datacenterPlace)
+		.sort((a, b) => a.name.localeCompare(b.name));
+	const landingPoints = getGlobeLandingPoints()
+		.map(landingPointPlace)
+		.sort((a, b) => a.name.localeCompare(b.name));
+
+	select.replaceChildren(
+		option('', 'Click the globe or choose…'),
+		option('location', ''),
+		...(datacenters.length > 0 ? [group('Cloudflare PoPs', datacenters.map(({ key, name }) => option(key, name)))] : []),
+		...(landingPoints.length > 0 ? [group('Landing stations', landingPoints.map(({ key, name }) => option(key, name)))] : [])
+	);
+}
+
+/**
+ * Show the ends in their lists
+ */
+function syncSelects() {
+	measureState.selects.forEach((select, index) => {
+		const end = measureState.ends[index];
+		const locationOption = select.querySelector('option[value="location"]');
+		if (locationOption) {
+			locationOption.hidden = end?.key !== 'location';
+			locationOption.textContent = end?.key === 'location' ? end.name : '';
+		}
+		select.value = end?.key ?? '';
+	});
+}
+
+/**
+ * Render the result rows
+ * @param {Array<[string, string]>} rows - [term, value] pairs
+ */
+function renderResults(rows) {
+	const { results } = measureState;
+	if (!results) return;
+
+	results.replaceChildren(...rows.flatMap(([term, value]) => {
+		const dt = document.createElement('dt');
+		dt.textContent = term;
+		const dd = document.createElement('dd');
+		dd.textContent = value;
+		return [dt, dd];
+	}));
+}
+
+/**
+ * Route along the shortest cable that lands at both ends
+ * @returns {Promise<Object|null>} {km, cableName, sharedCount}, or null if none can be traced
+ */
+async function traceSharedCableRoute(from, to, sharedCables) {
+	const routes = await Promise.all(sharedCables.map(async cableId => {
+		const km = traceCableRoute(await getCableRoute(cableId), from, to);
+		return km === null ? null : { km, cableName: getCableDetails(cableId)?.name || cableId };
+	}));
+
+	const traced = routes.filter(Boolean).sort((a, b) => a.km - b.km);
+	return traced.length > 0 ? { ...traced[0], sharedCount: sharedCables.length } : null;
+}
+
+/**
+ * Redraw the measurement and its results
+ */
+function updateMeasurement() {
+	const measurementId = ++measureState.measurementId;
+	const [from, to] = measureState.ends;
+
+	syncSelects();
+	setGlobeMeasurement(measureState.ends.filter(Boolean));
+
+	if (!from || !to) {
+		renderResults([]);
+		return;
+	}
+
+	const km = greatCircleKm(from, to);
+	const oneWay = fiberLatencyMs(km);
+	const rows = [
+		['Distance', `${formatKm(km)} (great circle)`],
+		['One-way latency', formatMs(oneWay)],
+		['Round trip', formatMs(oneWay * 2)]
+	];
+
+	const sharedCables = from.cables && to.cables
+		? from.cables.filter(cableId => to.cables.includes(cableId))
+		: [];
+
+	if (from.cables && to.cables && sharedCables.length === 0) {
+		rows.push(['Cable route', 'No cable lands at both stations']);
+	} else if (sharedCables.length > 0) {
+		rows.push(['Cable route', 'Tracing…']);
+
+		traceSharedCableRoute(from, to, sharedCables)
+			.then(route => {
+				if (measurementId !== measureState.measurementId) return;
+
+				const routeRows = route
+					? [
+						['Cable route', `${formatKm(route.km)} via ${route.cableName}` +
+							(route.sharedCount > 1 ? ` (shortest of ${route.sharedCount} shared cables)` : '')],
+						['Cable latency', `${formatMs(fiberLatencyMs(route.km))} one-way, ${formatMs(fiberLatencyMs(route.km) * 2)} round trip`]
+					]
+					: [['Cable route', 'Not traceable in the cable geometry']];
+				renderResults([...rows.slice(0, -1), ...routeRows]);
+			})
+			.catch(error => {
+				if (measurementId !== measureState.measurementId) return;
+				console.warn('⚠️ Could not trace the cable route:', error);
+				renderResults([...rows.slice(0, -1), ['Cable route', 'Unavailable']]);
+			});
+	}
+
+	renderResults(rows);
+
+	if (MEASURE_CONFIG.enableLogging) {
+		console.log(`📏 ${from.name} → ${to.name}: ${formatKm(km)}, ${formatMs(oneWay)} one-way`);
+	}
+}
+
+/**
+ * Set the next end from a click on the globe; a click after both ends starts over
+ */
+function handleMeasureClick(pick) {
+	const place = pickedPlace(pick);
+	const { ends } = measureState;
+
+	if (!ends[0] || ends[1]) {
+		measureState.ends = [place, null];
+	} else {
+		measureState.ends = [ends[0], place];
+	}
+	updateMeasurement();
+}
+
+/**
+ * Switch measure mode on or off
+ * @param {boolean} enabled - Whether clicks on the globe measure
+ */
+function setMeasureMode(enabled) {
+	const active = Boolean(enabled) && isGlobeInteractive();
+	if (active === measureState.isActive) return;
+	measureState.isActive = active;
+
+	document.body.classList.toggle(MEASURE_CONFIG.bodyActiveClass, active);
+	measureState.toggle?.setAttribute('aria-pressed', String(active));
+	if (measureState.panel) measureState.panel.hidden = !active;
+
+	measureState.ends = [null, null];
+	if (active) {
+		closeCableCard();
+		measureState.selects.forEach(populateSelect); // Stations may have loaded since the last time
+	}
+	onGlobeMeasureClick(active ? handleMeasureClick : null);
+	updateMeasurement();
+
+	if (MEASURE_CONFIG.enableLogging) {
+		console.log(`📏 Measure mode ${active ? 'on' : 'off'}`);
+	}
+}
+
+function handleToggleClick() {
+	setMeasureMode(!measureState.isActive);
+}
+
+function handleCloseClick() {
+	setMeasureMode(false);
+}
+
+/**
+ * Use the place picked in an end's list
+ */
+function handleSelectChange(event) {
+	const select = event.currentTarget;
+	if (select.value === 'location') return;
+
+	const index = measureState.selects.indexOf(select);
+	measureState.ends[index] = select.value ? placeForKey(select.value) : null;
+	updateMeasurement();
+}
+
+/**
+ * Initialize measure mode
+ * Call this function when the page loads, after the globe interaction
+ */
+function initializeGlobeMeasure() {
+	measureState.toggle = document.querySelector(MEASURE_CONFIG.toggleSelector);
+	measureState.panel = document.querySelector(MEASURE_CONFIG.panelSelector);
+	if (!measureState.toggle || !measureState.panel) return; // The page has no measure tool
+
+	measureState.selects = [...measureState.panel.querySelectorAll('.globe-measure-select')];
+	measureState.results = measureState.panel.querySelector('.globe-measure-results');
+
+	measureState.toggle.addEventListener('click', handleToggleClick);
+	measureState.closeButton = measureState.panel.querySelector('.globe-measure-close');
+	measureState.closeButton?.addEventListener('click', handleCloseClick);
+	measureState.selects.forEach(select => select.addEventListener('change', handleSelectChange));
+
+	// Measuring ends with explore mode
+	measureState.unsubscribeStateChange = onGlobeStateChange(reason => {
+		if (reason === 'interactive' && !isGlobeInteractive()) setMeasureMode(false);
+	});
+
+	measureState.isInitialized = true;
+}
+
+/**
+ * End measure mode and clear the measurement from the globe
+ * Call this function before the page is replaced (client-side navigation)
+ */
+function destroyGlobeMeasure() {
+	if (!measureState.isInitialized) return;
+
+	setMeasureMode(false);
+	measureState.toggle.removeEventListener('click', handleToggleClick);
+	measureState.closeButton?.removeEventListener('click', handleCloseClick);
+	measureState.selects.forEach(select => select.removeEventListener('change', handleSelectChange));
+	measureState.unsubscribeStateChange?.();
+
+	measureState.isInitialized = false;
+	measureState.toggle = null;
+	measureState.panel = null;
+	measureState.closeButton = null;
+	measureState.selects = [];
+	measureState.results = null;
+	measureState.unsubscribeStateChange = null;
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeGlobeMeasure,
+	destroyGlobeMeasure,
+	setMeasureMode,
+	greatCircleKm,
+	fiberLatencyMs,
+	MEASURE_CONFIG
+};
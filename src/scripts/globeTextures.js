@@ -0,0 +1,158 @@
+/**
+ * GLOBE TEXTURES
+ *
+ * Picks and upgrades the self-hosted globe textures (public/textures/globe/):
+ * - Low, medium and high tiers generated by scripts/generateGlobeTextures.js
+ * - The target tier is chosen from devicePixelRatio, viewport size,
+ *   navigator.deviceMemory and the WebGL max texture size
+ * - The globe always starts on the low tier; once the page is idle the
+ *   target tier is preloaded and swapped in
+ */
+
+import { probeWebGL } from './globeCapabilities.js';
+
+/**
+ * Configuration for globe textures
+ */
+const TEXTURE_CONFIG = {
+	basePath: '/textures/globe',
+	tiers: ['low', 'medium', 'high'], // Ordered from smallest to sharpest
+
+	// File per texture; {tier} is replaced by the tier name
+	files: {
+		globeImageUrl: 'earth-dark-{tier}.jpg',
+		bumpImageUrl: 'earth-topology-{tier}.png',
+		backgroundImageUrl: 'night-sky-{tier}.jpg'
+	},
+
+	// Day and city-lights textures for sun lighting (globeLighting.js)
+	lightingFiles: {
+		dayImageUrl: 'earth-day-{tier}.jpg',
+		nightImageUrl: 'earth-night-{tier}.jpg'
+	},
+
+	// Largest texture used by each tier (night sky width)
+	tierMaxTextureSize: { low: 1024, medium: 2048, high: 4096 },
+
+	// Device thresholds
+	mediumMinScreenPixels: 900, // Longest viewport side × devicePixelRatio
+	highMinScreenPixels: 1800,
+	mediumMinDeviceMemory: 2, // GB, from navigator.deviceMemory when available
+	highMinDeviceMemory: 4,
+
+	// Upgrade scheduling
+	idleTimeout: 3000, // Max wait (ms) for an idle period before upgrading anyway
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Build the texture URLs for a tier
+ * @param {string} tier - One of TEXTURE_CONFIG.tiers
+ * @param {Object} [files] - File map; defaults to the globe.gl textures (use TEXTURE_CONFIG.lightingFiles for sun lighting)
+ * @returns {Object<string, string>} URL per key of the file map
+ */
+function getTextureUrls(tier, files = TEXTURE_CONFIG.files) {
+	return Object.fromEntries(Object.entries(files).map(([key, file]) => [
+		key,
+		`${TEXTURE_CONFIG.basePath}/${file.replace('{tier}', tier)}`
+	]));
+}
+
+/**
+ * Choose the sharpest tier this device should use
+ * @returns {string} Target tier
+ */
+function selectTextureTier() {
+	const screenPixels = Math.max(window.innerWidth, window.innerHeight) * (window.devicePixelRatio || 1);
+	const deviceMemory = navigator.deviceMemory ?? Infinity; // Not exposed by every browser
+	const { maxTextureSize } = probeWebGL();
+
+	const fits = tier => maxTextureSize >= TEXTURE_CONFIG.tierMaxTextureSize[tier];
+
+	let tier = 'low';
+	if (fits('medium') && screenPixels >= TEXTURE_CONFIG.mediumMinScreenPixels &&
+		deviceMemory >= TEXTURE_CONFIG.mediumMinDeviceMemory) {
+		tier = 'medium';
+	}
+	if (fits('high') && screenPixels >= TEXTURE_CONFIG.highMinScreenPixels &&
+		deviceMemory >= TEXTURE_CONFIG.highMinDeviceMemory) {
+		tier = 'high';
+	}
+
+	if (TEXTURE_CONFIG.enableLogging) {
+		console.log(`🖼️  Globe texture tier: ${tier} (screen ${Math.round(screenPixels)}px, memory ${deviceMemory}GB, max texture ${maxTextureSize})`);
+	}
+
+	return tier;
+}
+
+/**
+ * Download and decode every texture of a tier so the swap does not flash
+ */
+async function preloadTextures(urls) {
+	await Promise.all(Object.values(urls).map(url => {
+		const image = new Image();
+		image.src = url;
+		return image.decode();
+	}));
+}
+
+/**
+ * Wait for the browser to be idle (falls back to a timeout)
+ */
+function whenIdle() {
+	return new Promise(resolve => {
+		if ('requestIdleCallback' in window) {
+			window.requestIdleCallback(() => resolve(), { timeout: TEXTURE_CONFIG.idleTimeout });
+		} else {
+			setTimeout(resolve, TEXTURE_CONFIG.idleTimeout);
+		}
+	});
+}
+
+/**
+ * Swap in the target tier once the page is idle
+ * @param {Object} globeInstance - Globe created with the low tier
+ * @param {string} targetTier - Tier from selectTextureTier()
+ * @param {function(): boolean} isCurrent - Returns false if the globe was destroyed meanwhile
+ * @returns {Promise<string>} Tier in use when done
+ */
+async function upgradeTextures(globeInstance, targetTier, isCurrent = () => true) {
+	const startTier = TEXTURE_CONFIG.tiers[0];
+	if (targetTier === startTier) return startTier;
+
+	await whenIdle();
+
+	const urls = getTextureUrls(targetTier);
+	try {
+		await preloadTextures(urls);
+	} catch (error) {
+		console.warn(`⚠️ Could not load ${targetTier} globe textures, keeping ${startTier}:`, error);
+		return startTier;
+	}
+
+	if (!isCurrent()) return startTier;
+
+	globeInstance
+		.globeImageUrl(urls.globeImageUrl)
+		.bumpImageUrl(urls.bumpImageUrl)
+		.backgroundImageUrl(urls.backgroundImageUrl);
+
+	if (TEXTURE_CONFIG.enableLogging) {
+		console.log(`🖼️  Globe textures upgraded to ${targetTier}`);
+	}
+
+	return targetTier;
+}
+
+/**
+ * Export functions for use in globe background
+ */
+export {
+	getTextureUrls,
+	selectTextureTier,
+	upgradeTextures,
+	TEXTURE_CONFIG
+};
@@ -0,0 +1,214 @@
+/**
+ * GLOBE TOUR
+ *
+ * Scroll-driven camera tour for content panels that declare a geographic focus:
+ * - ContentPanelSmall, ContentPanelLarge and ContentMenu accept optional
+ *   lat, lng and altitude props, rendered as data-globe-* attributes
+ * - Each focus panel becomes a stop when its center reaches the middle of the viewport
+ * - Between stops the camera travels along the great circle, easing in and out
+ *   so it settles on each region while its panel is active
+ * - Before the first and after the last stop the tour fades back out to the
+ *   free-spinning globe (blending is done in globeBackground.js)
+ */
+
+import { getLayoutSnapshot } from './layoutSnapshot.js';
+
+/**
+ * Configuration for the globe tour
+ */
+const TOUR_CONFIG = {
+	// Panels with a geographic focus
+	panelSelector: '[data-globe-lat][data-globe-lng]',
+
+	// Stop positions
+	focusViewportPosition: 0.5, // A panel is active when its center reaches this fraction of the viewport
+	holdFraction: 0.2, // Fraction of the distance between stops spent resting on each stop (each side)
+
+	// Entering and leaving the tour (in viewport heights of scrolling)
+	leadInDistance: 0.75,
+	leadOutDistance: 0.75,
+
+	// Altitude for panels without an altitude prop
+	defaultAltitude: 1.8,
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Tour state
+ */
+let tourStops = [];
+let activeStopId = null;
+
+/**
+ * Read and validate the focus declared on a panel
+ * @param {Element} panel - Panel element with data-globe-* attributes
+ * @returns {Object|null} Stop definition, or null if the focus is invalid
+ */
+function readPanelFocus(panel) {
+	const lat = Number(panel.dataset.globeLat);
+	const lng = Number(panel.dataset.globeLng);
+	const altitude = panel.dataset.globeAltitude !== undefined
+		? Number(panel.dataset.globeAltitude)
+		: TOUR_CONFIG.defaultAltitude;
+
+	if (!Number.isFinite(lat) || Math.abs(lat) > 90 ||
+		!Number.isFinite(lng) || Math.abs(lng) > 180 ||
+		!Number.isFinite(altitude) || altitude <= 0) {
+		console.warn('⚠️ Ignoring invalid globe focus on panel:', panel.id || panel.className);
+		return null;
+	}
+
+	return { element: panel, id: panel.id || null, lat, lng, altitude };
+}
+
+/**
+ * Smooth 0-1 easing with zero velocity at both ends
+ */
+function smoothstep(t) {
+	const clamped = Math.min(1, Math.max(0, t));
+	return clamped * clamped * (3 - 2 * clamped);
+}
+
+/**
+ * Convert latitude/longitude (degrees) to a unit vector
+ */
+function toVector({ lat, lng }) {
+	const phi = lat * Math.PI / 180;
+	const lambda = lng * Math.PI / 180;
+	return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+}
+
+/**
+ * Interpolate between two locations along the great circle
+ * @param {{lat: number, lng: number}} from - Start location
+ * @param {{lat: number, lng: number}} to - End location
+ * @param {number} t - Position along the arc (0-1)
+ * @returns {{lat: number, lng: number}} Location on the arc
+ */
+function interpolateGreatCircle(from, to, t) {
+	const a = toVector(from);
+	const b = toVector(to);
+	const dot = Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2]));
+	const angle = Math.acos(dot);
+
+	// Same point (or numerically indistinguishable)
+	if (angle < 1e-6) return { lat: from.lat, lng: from.lng };
+
+	const sinAngle = Math.sin(angle);
+	const weightA = Math.sin((1 - t) * angle) / sinAngle;
+	const weightB = Math.sin(t * angle) / sinAngle;
+	const [x, y, z] = a.map((component, i) => weightA * component + weightB * b[i]);
+
+	return {
+		lat: Math.atan2(z, Math.hypot(x, y)) * 180 / Math.PI,
+		lng: Math.atan2(y, x) * 180 / Math.PI
+	};
+}
+
+/**
+ * Scroll position at which a stop's panel is centered on the focus line
+ */
+function calculateStopScroll(stop, snapshot) {
+	const rect = snapshot.rect(stop.element);
+	const panelCenter = rect.top + snapshot.scrollPosition + rect.height / 2;
+	const scroll = panelCenter - snapshot.viewportHeight * TOUR_CONFIG.focusViewportPosition;
+
+	// Panels near the end of the page may never reach the focus line
+	return Math.min(snapshot.maxScroll, Math.max(0, scroll));
+}
+
+/**
+ * Calculate the tour camera for the current scroll position
+ * @param {Object} [snapshot] - Layout snapshot of this frame (layoutSnapshot.js)
+ * @returns {Object|null} {lat, lng, altitude, weight, activeId}, or null if no panel declares a focus.
+ *   weight (0-1) is how strongly the tour should override the free-spinning camera.
+ */
+function updateGlobeTour(snapshot = getLayoutSnapshot()) {
+	if (tourStops.length === 0) return null;
+
+	const { scrollPosition, viewportHeight, maxScroll } = snapshot;
+
+	const stops = tourStops
+		.map(stop => ({ ...stop, scroll: calculateStopScroll(stop, snapshot) }))
+		.sort((a, b) => a.scroll - b.scroll);
+
+	const first = stops[0];
+	const last = stops[stops.length - 1];
+	let focus;
+	let weight = 1;
+
+	if (scrollPosition <= first.scroll) {
+		focus = first;
+		const leadIn = viewportHeight * TOUR_CONFIG.leadInDistance;
+		weight = smoothstep(1 - (first.scroll - scrollPosition) / leadIn);
+	} else if (scrollPosition >= last.scroll) {
+		focus = last;
+		const leadOut = viewportHeight * TOUR_CONFIG.leadOutDistance;
+		weight = last.scroll >= maxScroll ? 1 : smoothstep(1 - (scrollPosition - last.scroll) / leadOut);
+	} else {
+		const nextIndex = stops.findIndex(stop => stop.scroll > scrollPosition);
+		const from = stops[nextIndex - 1];
+		const to = stops[nextIndex];
+
+		// Rest on each stop for holdFraction of the way, then ease across
+		const linear = (scrollPosition - from.scroll) / (to.scroll - from.scroll);
+		const hold = TOUR_CONFIG.holdFraction;
+		const t = smoothstep((linear - hold) / (1 - 2 * hold));
+
+		focus = {
+			...interpolateGreatCircle(from, to, t),
+			altitude: from.altitude + (to.altitude - from.altitude) * t,
+			id: t < 0.5 ? from.id : to.id
+		};
+	}
+
+	if (TOUR_CONFIG.enableLogging && focus.id !== activeStopId) {
+		console.log(`🧭 Globe tour stop: ${focus.id ?? 'unnamed panel'}`);
+	}
+	activeStopId = focus.id;
+
+	return {
+		lat: focus.lat,
+		lng: focus.lng,
+		altitude: focus.altitude,
+		weight,
+		activeId: focus.id
+	};
+}
+
+/**
+ * Initialize the globe tour
+ * Collects every panel that declares a geographic focus
+ */
+function initializeGlobeTour() {
+	tourStops = [...document.querySelectorAll(TOUR_CONFIG.panelSelector)]
+		.map(readPanelFocus)
+		.filter(Boolean);
+	activeStopId = null;
+
+	if (TOUR_CONFIG.enableLogging) {
+		console.log(`🧭 Globe tour: ${tourStops.length} stops`);
+	}
+}
+
+/**
+ * Drop the page's stops
+ * Call this function before the page is replaced (client-side navigation)
+ */
+function destroyGlobeTour() {
+	tourStops = [];
+	activeStopId = null;
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeGlobeTour,
+	updateGlobeTour,
+	destroyGlobeTour,
+	interpolateGreatCircle,
+	TOUR_CONFIG
+};
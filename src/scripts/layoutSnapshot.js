@@ -0,0 +1,273 @@
+/**
+ * LAYOUT SNAPSHOT
+ *
+ * One read of the layout per frame, shared by every scroll updater:
+ * - The snapshot holds the scroll position, viewport size, document height
+ *   and the content panels, and measures element rects and sizes on demand
+ * - Measurements are cached in document coordinates, so scrolling reuses
+ *   them; a ResizeObserver (and the window resize) invalidates the cache
+ * - While a frame is built, DOM writes are queued (queueLayoutWrite) and run
+ *   together after every updater has read, so a frame forces at most one layout
+ *
+ * rect() is meant for elements in the document flow; fixed elements move with
+ * the viewport and only their size() can be cached.
+ */
+
+/**
+ * Configuration for the layout snapshot
+ */
+const LAYOUT_CONFIG = {
+	// Content panels, in the order updaters see them
+	panelSelectors: ['.content-panel-small', '.content-panel-large', '.content-menu'],
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Layout state
+ */
+let layoutState = {
+	isInitialized: false,
+	observer: null,
+	rects: new Map(), // Element -> {top, left, width, height}, top in document coordinates
+	sizes: new Map(), // Element -> {width, height, clientWidth, clientHeight}
+	observedSizes: new Map(), // Element -> last size seen by the ResizeObserver
+	panels: null,
+	scrollHeight: null,
+	frame: null, // Snapshot of the frame being built
+	writes: [],
+	stats: { measurements: 0, invalidations: 0 }
+};
+
+/**
+ * Watch an element so a change of its size invalidates the cache
+ */
+function observe(element) {
+	if (layoutState.observer && !layoutState.observedSizes.has(element)) {
+		layoutState.observedSizes.set(element, null);
+		layoutState.observer.observe(element);
+	}
+}
+
+/**
+ * Drop every cached measurement
+ * Call this function when the layout changes in a way the observer cannot see
+ */
+function invalidateLayout() {
+	layoutState.rects.clear();
+	layoutState.sizes.clear();
+	layoutState.panels = null;
+	layoutState.scrollHeight = null;
+	layoutState.stats.invalidations++;
+}
+
+/**
+ * Invalidate once an observed element really changed size
+ * (the observer also reports every element once when it starts watching it)
+ */
+function handleResizeEntries(entries) {
+	let changed = false;
+	entries.forEach(({ target, contentRect }) => {
+		const last = layoutState.observedSizes.get(target);
+		if (last && (last.width !== contentRect.width || last.height !== contentRect.height)) {
+			changed = true;
+		}
+		layoutState.observedSizes.set(target, { width: contentRect.width, height: contentRect.height });
+	});
+
+	if (changed) {
+		invalidateLayout();
+		if (LAYOUT_CONFIG.enableLogging) {
+			console.log('📐 Layout changed, measurements invalidated');
+		}
+	}
+}
+
+/**
+ * Content panels (queried once per layout)
+ */
+function getPanels() {
+	if (!layoutState.panels) {
+		layoutState.panels = LAYOUT_CONFIG.panelSelectors.flatMap(selector => [...document.querySelectorAll(selector)]);
+	}
+	return layoutState.panels;
+}
+
+/**
+ * Scrollable height of the document (measured once per layout)
+ */
+function getScrollHeight() {
+	if (layoutState.scrollHeight === null) {
+		layoutState.scrollHeight = document.documentElement.scrollHeight;
+		layoutState.stats.measurements++;
+	}
+	return layoutState.scrollHeight;
+}
+
+/**
+ * Build a snapshot of the current layout
+ */
+function createSnapshot() {
+	const scrollPosition = window.pageYOffset;
+	const viewportHeight = window.innerHeight;
+	const documentHeight = getScrollHeight() - viewportHeight;
+
+	return {
+		scrollPosition,
+		viewportHeight,
+		viewportWidth: window.innerWidth,
+		documentHeight,
+		maxScroll: Math.max(0, documentHeight),
+		// Scroll progress through the entire document including all content
+		scrollProgress: Math.min(1, Math.max(0, scrollPosition / documentHeight)),
+		panels: getPanels(),
+
+		/**
+		 * Bounding rect of a flow element, relative to the viewport at this frame's scroll position
+		 * @param {Element} element
+		 * @returns {{top: number, bottom: number, left: number, right: number, width: number, height: number}}
+		 */
+		rect(element) {
+			let cached = layoutState.rects.get(element);
+			if (!cached) {
+				const rect = element.getBoundingClientRect();
+				cached = { top: rect.top + window.pageYOffset, left: rect.left, width: rect.width, height: rect.height };
+				layoutState.rects.set(element, cached);
+				layoutState.stats.measurements++;
+				observe(element);
+			}
+
+			const top = cached.top - scrollPosition;
+			return {
+				top,
+				bottom: top + cached.height,
+				left: cached.left,
+				right: cached.left + cached.width,
+				width: cached.width,
+				height: cached.height
+			};
+		},
+
+		/**
+		 * Layout size of an element (offset and client sizes, without transforms)
+		 * @param {Element} element
+		 * @returns {{width: number, height: number, clientWidth: number, clientHeight: number}}
+		 */
+		size(element) {
+			let cached = layoutState.sizes.get(element);
+			if (!cached) {
+				cached = {
+					width: element.offsetWidth,
+					height: element.offsetHeight,
+					clientWidth: element.clientWidth,
+					clientHeight: element.clientHeight
+				};
+				layoutState.sizes.set(element, cached);
+				layoutState.stats.measurements++;
+				observe(element);
+			}
+			return cached;
+		}
+	};
+}
+
+/**
+ * Start building a frame: take the snapshot and queue DOM writes until endLayoutFrame()
+ * @returns {Object} Snapshot for this frame (updaters may add their results to it)
+ */
+function beginLayoutFrame() {
+	layoutState.writes = [];
+	layoutState.frame = createSnapshot();
+	return layoutState.frame;
+}
+
+/**
+ * Finish the frame: run the queued writes in order
+ */
+function endLayoutFrame() {
+	const writes = layoutState.writes;
+	layoutState.frame = null;
+	layoutState.writes = [];
+
+	writes.forEach(write => {
+		try {
+			write();
+		} catch (error) {
+			console.error('❌ Layout write failed:', error);
+		}
+	});
+}
+
+/**
+ * Snapshot of the frame being built, or a fresh one outside a frame
+ * @returns {Object} Snapshot
+ */
+function getLayoutSnapshot() {
+	return layoutState.frame ?? createSnapshot();
+}
+
+/**
+ * Run a DOM write after this frame's reads, or right away outside a frame
+ * @param {Function} write
+ */
+function queueLayoutWrite(write) {
+	if (layoutState.frame) {
+		layoutState.writes.push(write);
+	} else {
+		write();
+	}
+}
+
+/**
+ * Cumulative counters for performance logging
+ * @returns {{measurements: number, invalidations: number}} Layout reads and cache invalidations so far
+ */
+function getLayoutStats() {
+	return { ...layoutState.stats };
+}
+
+/**
+ * Initialize the layout snapshot
+ * Call this function when the page loads
+ */
+function initializeLayoutSnapshot() {
+	if (layoutState.isInitialized) return;
+
+	if ('ResizeObserver' in window) {
+		layoutState.observer = new ResizeObserver(handleResizeEntries);
+		observe(document.body); // Content growing or shrinking anywhere moves what follows it
+	}
+
+	layoutState.isInitialized = true;
+
+	if (LAYOUT_CONFIG.enableLogging) {
+		console.log('📐 Layout snapshot ready');
+	}
+}
+
+/**
+ * Stop observing and drop the cache
+ */
+function destroyLayoutSnapshot() {
+	layoutState.observer?.disconnect();
+	layoutState.observer = null;
+	layoutState.observedSizes.clear();
+	invalidateLayout();
+	layoutState.isInitialized = false;
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeLayoutSnapshot,
+	destroyLayoutSnapshot,
+	beginLayoutFrame,
+	endLayoutFrame,
+	getLayoutSnapshot,
+	queueLayoutWrite,
+	invalidateLayout,
+	getLayoutStats,
+	LAYOUT_CONFIG
+};
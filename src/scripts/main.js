@@ -6,19 +6,66 @@
  * - Sets up the main scroll event handler
  * - Coordinates updates between different systems
  * - Provides centralized configuration and logging
+ * - Follows Astro's client-side navigation (<ClientRouter /> in BaseHead.astro):
+ *   the page's modules are destroyed before each page swap and started again
+ *   on the new page, while the globe persists and flies to the new page
  * 
  * This is the main entry point for all JavaScript functionality
  */
 
+import { navigate } from 'astro:transitions/client';
+
 // Import all component modules
-import { initializeTextAnimations } from './textAnimations.js';
-import { initializeScrollbar, updateScrollbar } from './customScrollbar.js';
+import { initializeTextAnimations, destroyTextAnimations } from './textAnimations.js';
+import {
+	initializeScrollTimeline,
+	updateScrollTimeline,
+	refreshScrollTimeline,
+	reloadScrollTimeline,
+	destroyScrollTimeline
+} from './scrollTimeline.js';
+import { initializeScrollbar, updateScrollbar, resizeScrollbar, destroyScrollbar } from './customScrollbar.js';
 import { initializeProgressSystem, updateProgressSystem } from './progressSystem.js';
-import { initializePanelAnimations, updatePanelAnimations } from './panelAnimations.js';
+import { initializePanelAnimations, updatePanelAnimations, destroyPanelAnimations } from './panelAnimations.js';
 import { initializeScrollBehavior, updateScrollBehavior } from './scrollBehavior.js';
-import { initializeTitleBoxing, updateTitleBoxing } from './titleBoxing.js';
-import { initializeBackgroundTransition, updateBackgroundTransition } from './backgroundTransition.js';
-import { initializeGlobeBackground, updateGlobeScroll } from './globeBackground.js';
+import { initializeTitleBoxing, refreshTitleBoxing, cleanupTitleBoxing } from './titleBoxing.js';
+import { initializeBackgroundTransition, cleanupBackgroundTransition } from './backgroundTransition.js';
+import {
+	initializeGlobeBackground,
+	updateGlobeScroll,
+	resizeGlobe,
+	holdGlobeForNavigation,
+	enterGlobePage,
+	destroyGlobe
+} from './globeBackground.js';
+import { initializeGlobeInteraction, destroyGlobeInteraction } from './globeInteraction.js';
+import { initializeGlobeDeepLinks, destroyGlobeDeepLinks } from './globeDeepLink.js';
+import { initializeGlobeMeasure, destroyGlobeMeasure } from './globeMeasure.js';
+import { initializeGlobeAnnotations, destroyGlobeAnnotations } from './globeAnnotations.js';
+import { initializeGlobeTour, updateGlobeTour, destroyGlobeTour } from './globeTour.js';
+import { initializeCableTimeline, updateCableTimeline, destroyCableTimeline } from './cableTimeline.js';
+import { initializeCableColors, destroyCableColors } from './cableColors.js';
+import { updateSunTimeOffset, refreshSunTimePanels } from './globeLighting.js';
+import {
+	initializeLayoutSnapshot,
+	destroyLayoutSnapshot,
+	beginLayoutFrame,
+	endLayoutFrame,
+	invalidateLayout,
+	getLayoutStats
+} from './layoutSnapshot.js';
+import { initializeRelayout, destroyRelayout, onRelayout } from './relayout.js';
+import {
+	registerModule,
+	initializeModules,
+	destroyModules,
+	updateModules,
+	resizeModules,
+	enableModule,
+	disableModule,
+	onModulesChanged,
+	getModuleStatuses
+} from './moduleRegistry.js';
 
 /**
  * Main application configuration
@@ -28,6 +75,9 @@ const APP_CONFIG = {
 	scrollThrottleDelay: 16, // ~60fps scroll updates
 	initializationDelay: 100, // Delay before starting animations
 
+	// Modules left off on every page (pages can add more with data-disabled-modules on <body>)
+	disabledModules: [],
+
 	// Debug settings
 	enableLogging: true, // Keep enabled for production debugging
 	enablePerformanceLogging: false, // Set to true for performance debugging
@@ -42,60 +92,232 @@ const APP_CONFIG = {
  */
 let lastScrollTime = 0;
 let frameCount = 0;
+let frameTimeTotal = 0; // Update time over the current logging window (ms)
+let lastLayoutStats = null; // Layout counters at the start of the logging window
 
 /**
  * App state tracking
  */
-let appInitialized = false;
+let appInitialized = false; // Modules registered and listeners set up (once per full page load)
+let currentPath = null; // Path of the page the modules run on
+let initialUpdateTimer = null;
 
 /**
- * Main scroll update function
- * Coordinates all scroll-based updates across different systems
+ * Page modules, in the order they run
+ * Each module declares its lifecycle hooks for the registry (moduleRegistry.js).
+ * Update and resize hooks share the frame's layout snapshot (layoutSnapshot.js);
+ * a module can add results to it for the modules after it (progressData, tourFocus).
+ * Persistent modules keep running across client-side navigations; every other
+ * module is destroyed before a page swap and initialized again on the new page.
  */
-function updateScrollEffects() {
-	const startTime = performance.now();
+function registerAppModules() {
+	registerModule({
+		name: 'layoutSnapshot',
+		priority: -1, // Observes the layout before any module measures it
+		init: initializeLayoutSnapshot,
+		destroy: destroyLayoutSnapshot
+	});
+
+	registerModule({
+		name: 'relayout',
+		priority: -1, // Resize, fonts and content changes run every resize hook (handleRelayout)
+		init: initializeRelayout,
+		destroy: destroyRelayout
+	});
+
+	registerModule({ name: 'textAnimations', init: initializeTextAnimations, destroy: destroyTextAnimations });
+
+	registerModule({
+		name: 'scrollTimeline',
+		persist: true, // The globe's zoom subscription outlives the page
+		init: initializeScrollTimeline,
+		update: updateScrollTimeline, // Title box, background color and globe zoom follow its anchors
+		resize: refreshScrollTimeline,
+		enterPage: reloadScrollTimeline,
+		destroy: destroyScrollTimeline
+	});
+
+	registerModule({
+		name: 'scrollbar',
+		init: initializeScrollbar,
+		update: frame => updateScrollbar(frame.scrollProgress), // Entire document, not the panel journey
+		resize: resizeScrollbar,
+		destroy: destroyScrollbar
+	});
+
+	registerModule({
+		name: 'progressSystem',
+		init: initializeProgressSystem,
+		update: frame => {
+			// Tracks the content panel journey
+			frame.progressData = updateProgressSystem(frame);
+		}
+	});
+
+	registerModule({
+		name: 'panelAnimations',
+		init: initializePanelAnimations,
+		update: frame => updatePanelAnimations(frame),
+		destroy: destroyPanelAnimations
+	});
+
+	registerModule({
+		name: 'scrollBehavior',
+		dependencies: ['progressSystem'],
+		init: initializeScrollBehavior,
+		update: frame => updateScrollBehavior(frame.progressData, frame) // Logo movement, etc.
+	});
+
+	registerModule({
+		name: 'titleBoxing',
+		dependencies: ['scrollTimeline'],
+		init: initializeTitleBoxing,
+		resize: refreshTitleBoxing,
+		destroy: cleanupTitleBoxing
+	});
 
-	// Get viewport dimensions
-	const viewportHeight = window.innerHeight;
+	registerModule({
+		name: 'backgroundTransition',
+		dependencies: ['scrollTimeline'],
+		init: initializeBackgroundTransition,
+		destroy: cleanupBackgroundTransition
+	});
 
-	// Update progress system and get progress data (tracks content panel journey)
-	const progressData = updateProgressSystem(viewportHeight);
+	registerModule({
+		name: 'globeTour',
+		init: initializeGlobeTour,
+		update: frame => {
+			frame.tourFocus = updateGlobeTour(frame);
+		},
+		destroy: destroyGlobeTour
+	});
 
-	// Calculate actual scroll progress for scrollbar (entire document including all content)
-	const scrollPosition = window.pageYOffset;
-	const documentHeight = document.documentElement.scrollHeight - viewportHeight;
-	const actualScrollProgress = Math.min(1, Math.max(0, scrollPosition / documentHeight));
+	// The globe runs without the tour, so the tour is not a dependency; its priority
+	// still updates it first so the globe gets this frame's focus.
+	// It persists across pages (transition:persist) and flies to each new page's tour.
+	registerModule({
+		name: 'globeBackground',
+		dependencies: ['scrollTimeline'],
+		priority: 1,
+		persist: true,
+		init: initializeGlobeBackground,
+		update: frame => updateGlobeScroll(frame.tourFocus ?? null),
+		resize: resizeGlobe,
+		leavePage: holdGlobeForNavigation,
+		enterPage: enterGlobePage,
+		destroy: destroyGlobe
+	});
 
-	// Update scrollbar with document scroll progress (different from content panel progress)
-	updateScrollbar(actualScrollProgress);
+	registerModule({
+		name: 'globeLighting',
+		dependencies: ['globeBackground'],
+		persist: true,
+		update: frame => updateSunTimeOffset(frame), // Panels with a time offset shift the sun clock
+		enterPage: refreshSunTimePanels
+	});
 
-	// Update panel animations
-	updatePanelAnimations(viewportHeight);
+	registerModule({
+		name: 'globeInteraction',
+		dependencies: ['globeBackground'],
+		init: initializeGlobeInteraction,
+		destroy: destroyGlobeInteraction
+	});
 
-	// Update scroll behavior (logo movement, etc.)
-	const scrollData = updateScrollBehavior(progressData);
+	registerModule({
+		name: 'globeDeepLinks',
+		dependencies: ['globeInteraction'],
+		init: initializeGlobeDeepLinks,
+		destroy: destroyGlobeDeepLinks
+	});
 
-	// Update title boxing animation
-	updateTitleBoxing();
+	registerModule({
+		name: 'globeMeasure',
+		dependencies: ['globeInteraction'],
+		init: initializeGlobeMeasure,
+		destroy: destroyGlobeMeasure
+	});
 
-	// Update dynamic background color based on scroll progress
-	updateBackgroundTransition(actualScrollProgress);
+	registerModule({
+		name: 'globeAnnotations',
+		dependencies: ['globeBackground'],
+		init: initializeGlobeAnnotations,
+		destroy: destroyGlobeAnnotations
+	});
 
-	// Update globe background based on scroll progress
-	updateGlobeScroll(actualScrollProgress);
+	registerModule({
+		name: 'cableTimeline',
+		dependencies: ['globeBackground'],
+		init: initializeCableTimeline,
+		update: frame => updateCableTimeline(frame), // Pins its panel and filters the globe's cables
+		destroy: destroyCableTimeline
+	});
+
+	registerModule({
+		name: 'cableColors',
+		dependencies: ['globeBackground'],
+		init: initializeCableColors,
+		destroy: destroyCableColors
+	});
+}
+
+/**
+ * Run one frame: every module reads the layout snapshot, then the queued writes run
+ * @param {boolean} [resized] - Run the resize hooks first
+ */
+function runFrame(resized = false) {
+	const frame = beginLayoutFrame();
+	try {
+		if (resized) resizeModules(frame);
+		updateModules(frame);
+	} finally {
+		endLayoutFrame();
+	}
+}
+
+/**
+ * Main scroll update function
+ * Coordinates all scroll-based updates across different systems
+ */
+function updateScrollEffects() {
+	const startTime = performance.now();
 
-	// Performance logging
+	runFrame();
+
+	// Performance logging: average frame time and layout reads (should stay near 0 while scrolling)
 	if (APP_CONFIG.enablePerformanceLogging) {
 		const endTime = performance.now();
-		const updateTime = endTime - startTime;
+		frameTimeTotal += endTime - startTime;
+		lastLayoutStats = lastLayoutStats ?? getLayoutStats();
 
 		frameCount++;
 		if (frameCount % 60 === 0) { // Log every 60 frames
-			console.log(`Scroll update performance: ${updateTime.toFixed(2)}ms`);
+			const stats = getLayoutStats();
+			const layoutReads = (stats.measurements - lastLayoutStats.measurements) / 60;
+			console.log(`Scroll update performance: ${(frameTimeTotal / 60).toFixed(2)}ms per frame, ` +
+				`${layoutReads.toFixed(1)} layout reads per frame, ${stats.invalidations - lastLayoutStats.invalidations} invalidations`);
+			frameTimeTotal = 0;
+			lastLayoutStats = stats;
 		}
 	}
 }
 
+/**
+ * Relayout handler (resize, orientation, fonts, content changes):
+ * measurements start over, modules re-measure, then everything updates for the new layout
+ */
+let relayoutFrame;
+function handleRelayout() {
+	if (relayoutFrame) {
+		cancelAnimationFrame(relayoutFrame);
+	}
+
+	relayoutFrame = requestAnimationFrame(() => {
+		relayoutFrame = null;
+		invalidateLayout();
+		runFrame(true);
+	});
+}
+
 /**
  * Throttled scroll handler for better performance
  */
@@ -111,58 +333,82 @@ function handleScroll() {
 }
 
 /**
- * Initialize all systems
+ * History handler for entries the router skips
+ * Globe deep links push hash entries without router state (globeDeepLink.js), and the
+ * router ignores those; stepping back onto one from another page loads its page.
+ */
+function handlePopState(event) {
+	if (event.state === null && window.location.pathname !== currentPath) {
+		navigate(window.location.href, { history: 'replace' });
+	}
+}
+
+/**
+ * Initialize all systems for the current page
+ * Runs on the first page load and again after every client-side navigation
  */
 function initializeApp() {
-	// Prevent multiple initialization
-	if (appInitialized) {
+	if (!appInitialized) {
+		appInitialized = true;
+
 		if (APP_CONFIG.enableLogging) {
-			console.log('🔄 App already initialized, skipping...');
+			console.log(`🚀 Initializing ${APP_CONFIG.name} v${APP_CONFIG.version}`);
+			console.log('Components loading...');
 		}
-		return;
-	}
 
-	appInitialized = true;
+		registerAppModules();
 
-	if (APP_CONFIG.enableLogging) {
-		console.log(`🚀 Initializing ${APP_CONFIG.name} v${APP_CONFIG.version}`);
-		console.log('Components loading...');
+		// Set up the scroll listener and the relayout signal (they outlive page swaps)
+		window.addEventListener("scroll", handleScroll, { passive: true });
+		window.addEventListener("popstate", handlePopState);
+		onRelayout(handleRelayout);
+		onModulesChanged(handleScroll); // Modules enabled at runtime catch up on the next frame
 	}
 
-	try {
-		// Initialize all component systems
-		initializeTextAnimations();
-		initializeScrollbar();
-		initializeProgressSystem();
-		initializePanelAnimations();
-		initializeScrollBehavior();
-		initializeTitleBoxing();
-		initializeBackgroundTransition();
-		initializeGlobeBackground();
-
-		// Set up scroll event listener
-		window.addEventListener("scroll", handleScroll, { passive: true });
+	currentPath = window.location.pathname;
+
+	// Each module is isolated: a failing module is reported and the rest keep running
+	initializeModules(APP_CONFIG.disabledModules);
+
+	// Initial update to set proper states
+	clearTimeout(initialUpdateTimer);
+	initialUpdateTimer = setTimeout(() => {
+		initialUpdateTimer = null;
+		updateScrollEffects();
+
+		if (APP_CONFIG.enableLogging) {
+			console.log('✅ All systems initialized successfully');
+			console.log('🎯 Scroll effects active');
+		}
+	}, APP_CONFIG.initializationDelay);
+}
 
-		// Initial update to set proper states
-		setTimeout(() => {
-			updateScrollEffects();
+/**
+ * Tear down the page's modules before the router swaps in the next page
+ * Persistent modules (scroll timeline, globe) keep running
+ */
+function teardownPage() {
+	clearTimeout(initialUpdateTimer);
+	initialUpdateTimer = null;
 
-			if (APP_CONFIG.enableLogging) {
-				console.log('✅ All systems initialized successfully');
-				console.log('🎯 Scroll effects active');
-			}
-		}, APP_CONFIG.initializationDelay);
+	// Frames scheduled for the old page
+	cancelAnimationFrame(scrollTimeout);
+	cancelAnimationFrame(relayoutFrame);
+	scrollTimeout = null;
+	relayoutFrame = null;
 
-	} catch (error) {
-		console.error('❌ Failed to initialize application:', error);
+	destroyModules();
+
+	if (APP_CONFIG.enableLogging) {
+		console.log('🔀 Leaving page, modules torn down');
 	}
 }
 
 /**
  * App startup
- * Wait for page load before initializing
+ * astro:page-load fires once the first page has loaded and after every client-side navigation
  */
-window.addEventListener("load", function () {
+document.addEventListener("astro:page-load", function () {
 	if (APP_CONFIG.enableLogging) {
 		console.log("📄 Page loaded, starting initialization...");
 	}
@@ -170,11 +416,16 @@ window.addEventListener("load", function () {
 	initializeApp();
 });
 
+document.addEventListener("astro:before-swap", teardownPage);
+
 /**
  * Export main functions for external access if needed
  */
 export {
 	updateScrollEffects,
 	initializeApp,
+	enableModule,
+	disableModule,
+	getModuleStatuses,
 	APP_CONFIG
 };
@@ -0,0 +1,431 @@
+/**
+ * MODULE LIFECYCLE REGISTRY
+ *
+ * Runs the page's script modules for the main coordinator:
+ * - Each module declares optional init, update, resize and destroy hooks,
+ *   the modules it depends on and a priority
+ * - Modules run in dependency order; among modules whose dependencies are
+ *   met, lower priorities run first, then registration order
+ * - Every hook call is isolated: a thrown error (or rejected async init) is
+ *   reported for that module only. A failed init, or repeated failures in
+ *   update or resize, stop the module and the modules that depend on it
+ * - Modules can be disabled per page (data-disabled-modules on <body>) and
+ *   enabled or disabled at runtime; modules started at runtime are brought up
+ *   to date by a fresh frame from the coordinator (onModulesChanged)
+ * - On a client-side navigation the page's modules are destroyed and started
+ *   again for the next page; persistent modules keep running across pages and
+ *   are told when they leave and enter a page instead
+ */
+
+/**
+ * Configuration for the module registry
+ */
+const REGISTRY_CONFIG = {
+	// Space-separated module names on <body> that this page does not run
+	disabledAttribute: 'data-disabled-modules',
+
+	// Failures of update or resize hooks before the module is stopped
+	// (one bad frame should not take a module down)
+	maxFailures: 3,
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Registry state
+ */
+let registryState = {
+	isInitialized: false,
+	modules: new Map(), // Name -> module record
+	order: [], // Module records in run order
+	modulesChangedHandler: null // Coordinator callback that schedules a fresh frame
+};
+
+/**
+ * Register a module
+ * @param {Object} definition - Module definition
+ * @param {string} definition.name - Unique module name
+ * @param {Function} [definition.init] - Called once when the module starts (may be async)
+ * @param {Function} [definition.update] - Called with the frame on every scroll update
+ * @param {Function} [definition.resize] - Called with the frame after the layout changes (relayout.js)
+ * @param {Function} [definition.destroy] - Called when the module is stopped
+ * @param {string[]} [definition.dependencies] - Names of modules that must be running first
+ * @param {number} [definition.priority] - Lower runs first among ready modules (default 0)
+ * @param {boolean} [definition.persist] - Keeps running across client-side navigations
+ *   (only if its dependencies persist too)
+ * @param {Function} [definition.leavePage] - Called on a persistent module before the page is replaced
+ * @param {Function} [definition.enterPage] - Called on a persistent module, instead of init, on the next page
+ */
+function registerModule(definition) {
+	const { name, dependencies = [], priority = 0, persist = false } = definition;
+	if (registryState.modules.has(name)) {
+		throw new Error(`Module "${name}" is already registered`);
+	}
+
+	registryState.modules.set(name, {
+		...definition,
+		dependencies,
+		priority,
+		persist,
+		index: registryState.modules.size,
+		status: 'registered', // 'running' | 'disabled' | 'blocked' | 'failed'
+		failures: 0
+	});
+	registryState.order = [];
+}
+
+/**
+ * Sort modules by dependencies, then priority, then registration
+ * Modules with unknown or circular dependencies are left out and reported.
+ */
+function resolveOrder() {
+	const modules = [...registryState.modules.values()];
+	const placed = new Set();
+	const order = [];
+
+	modules.forEach(module => {
+		const unknown = module.dependencies.filter(name => !registryState.modules.has(name));
+		if (unknown.length) {
+			console.error(`❌ Module "${module.name}" depends on unknown modules: ${unknown.join(', ')}`);
+			module.status = 'blocked';
+			placed.add(module.name); // Never runs; its dependents stay blocked
+		}
+	});
+
+	let remaining = modules.filter(module => !placed.has(module.name));
+	while (remaining.length) {
+		const ready = remaining
+			.filter(module => module.dependencies.every(name => placed.has(name)))
+			.sort((a, b) => a.priority - b.priority || a.index - b.index);
+
+		if (ready.length === 0) {
+			console.error(`❌ Circular module dependencies: ${remaining.map(module => module.name).join(', ')}`);
+			remaining.forEach(module => { module.status = 'blocked'; });
+			break;
+		}
+
+		const next = ready[0];
+		placed.add(next.name);
+		order.push(next);
+		remaining = remaining.filter(module => module !== next);
+	}
+
+	registryState.order = order;
+}
+
+/**
+ * Run order, resolved again after registrations
+ */
+function runOrder() {
+	if (registryState.order.length === 0 && registryState.modules.size > 0) {
+		resolveOrder();
+	}
+	return registryState.order;
+}
+
+/**
+ * Report a failed hook
+ */
+function reportFailure(module, hook, error) {
+	console.error(`❌ Module "${module.name}" failed in ${hook}:`, error);
+}
+
+/**
+ * Whether every dependency of a module is running
+ */
+function dependenciesRunning(module) {
+	return module.dependencies.every(name => registryState.modules.get(name)?.status === 'running');
+}
+
+/**
+ * Running modules that depend on a module, directly or indirectly, last dependent first
+ */
+function runningDependents(module) {
+	const dependents = new Set([module.name]);
+	runOrder().forEach(candidate => {
+		if (candidate.dependencies.some(name => dependents.has(name))) {
+			dependents.add(candidate.name);
+		}
+	});
+	dependents.delete(module.name);
+
+	return runOrder()
+		.filter(candidate => dependents.has(candidate.name) && candidate.status === 'running')
+		.reverse();
+}
+
+/**
+ * Stop a running module and everything that depends on it
+ * @param {Object} module - Module record
+ * @param {string} status - Status it ends in ('disabled' or 'failed')
+ */
+function stopModule(module, status) {
+	runningDependents(module).forEach(dependent => {
+		callDestroy(dependent);
+		dependent.status = 'blocked';
+		console.warn(`⚠️ Module "${dependent.name}" stopped, it depends on "${module.name}"`);
+	});
+
+	if (module.status === 'running') callDestroy(module);
+	module.status = status;
+}
+
+/**
+ * Call a destroy hook; a failing destroy is reported but does not stop the teardown
+ */
+function callDestroy(module) {
+	if (!module.destroy) return;
+	try {
+		module.destroy();
+	} catch (error) {
+		reportFailure(module, 'destroy', error);
+	}
+}
+
+/**
+ * Call a page hook of a persistent module; a failure stops the module
+ * @param {Object} module - Module record
+ * @param {string} hook - 'leavePage' or 'enterPage'
+ */
+function callPageHook(module, hook) {
+	if (!module[hook]) return;
+	try {
+		module[hook]();
+	} catch (error) {
+		reportFailure(module, hook, error);
+		stopModule(module, 'failed');
+	}
+}
+
+/**
+ * Start a module
+ * @returns {boolean} Whether it is running
+ */
+function startModule(module) {
+	if (!dependenciesRunning(module)) {
+		module.status = 'blocked';
+		return false;
+	}
+
+	module.failures = 0;
+	module.status = 'running';
+	if (!module.init) return true;
+
+	try {
+		const result = module.init();
+
+		// Async inits report their failure once they settle
+		if (result && typeof result.then === 'function') {
+			result.catch(error => {
+				reportFailure(module, 'init', error);
+				if (module.status === 'running') stopModule(module, 'failed');
+			});
+		}
+		return true;
+	} catch (error) {
+		reportFailure(module, 'init', error);
+		module.status = 'failed';
+		return false;
+	}
+}
+
+/**
+ * Run one per-frame hook of every running module
+ * @param {string} hook - 'update' or 'resize'
+ * @param {Object} frame - Shared frame; modules may add results for later modules
+ */
+function runHook(hook, frame) {
+	runOrder().forEach(module => {
+		if (module.status !== 'running' || !module[hook]) return;
+
+		try {
+			module[hook](frame);
+		} catch (error) {
+			reportFailure(module, hook, error);
+			module.failures++;
+			if (module.failures >= REGISTRY_CONFIG.maxFailures) {
+				console.error(`❌ Module "${module.name}" stopped after ${module.failures} failures`);
+				stopModule(module, 'failed');
+			}
+		}
+	});
+}
+
+/**
+ * Modules this page does not run
+ */
+function pageDisabledModules() {
+	const attribute = document.body.getAttribute(REGISTRY_CONFIG.disabledAttribute) || '';
+	return new Set(attribute.split(/\s+/).filter(Boolean));
+}
+
+/**
+ * Start every registered module that is not disabled
+ * After destroyModules(), persistent modules that kept running enter the new page instead.
+ * @param {string[]} [disabledModules] - Module names to leave off, in addition to the page's
+ */
+function initializeModules(disabledModules = []) {
+	if (registryState.isInitialized) return;
+	registryState.isInitialized = true;
+
+	const disabled = new Set([...disabledModules, ...pageDisabledModules()]);
+	disabled.forEach(name => {
+		if (!registryState.modules.has(name)) {
+			console.warn(`⚠️ Cannot disable unknown module "${name}"`);
+		}
+	});
+
+	runOrder().forEach(module => {
+		if (disabled.has(module.name)) {
+			stopModule(module, 'disabled');
+			return;
+		}
+		if (module.status === 'running') {
+			callPageHook(module, 'enterPage');
+			return;
+		}
+		startModule(module);
+	});
+
+	if (REGISTRY_CONFIG.enableLogging) {
+		console.table(getModuleStatuses());
+	}
+}
+
+/**
+ * Stop the page's modules before the page is replaced (client-side navigation), last first
+ * Persistent modules whose dependencies persist too keep running and leave the page instead.
+ * Every other module starts over on the next page, so statuses set at runtime are not kept.
+ */
+function destroyModules() {
+	const kept = new Set();
+	runOrder().forEach(module => {
+		if (module.persist && module.status === 'running' && module.dependencies.every(name => kept.has(name))) {
+			kept.add(module.name);
+		}
+	});
+
+	[...runOrder()].reverse().forEach(module => {
+		if (kept.has(module.name)) {
+			callPageHook(module, 'leavePage');
+			return;
+		}
+
+		if (module.status === 'running') callDestroy(module);
+		module.status = 'registered';
+		module.failures = 0;
+	});
+
+	registryState.isInitialized = false;
+
+	if (REGISTRY_CONFIG.enableLogging) {
+		console.log(`🧩 Page modules destroyed, ${kept.size} kept running`);
+	}
+}
+
+/**
+ * Run update hooks
+ * @param {Object} frame - Shared frame ({viewportHeight, scrollPosition, scrollProgress, ...})
+ */
+function updateModules(frame) {
+	runHook('update', frame);
+}
+
+/**
+ * Run resize hooks
+ * @param {Object} frame - Shared frame ({viewportHeight, scrollPosition, scrollProgress, ...})
+ */
+function resizeModules(frame) {
+	runHook('resize', frame);
+}
+
+/**
+ * Enable a module at runtime, and restart modules that were stopped waiting for it
+ * @param {string} name - Module name
+ * @returns {boolean} Whether the module is running
+ */
+function enableModule(name) {
+	const module = registryState.modules.get(name);
+	if (!module) {
+		console.warn(`⚠️ Cannot enable unknown module "${name}"`);
+		return false;
+	}
+	if (module.status === 'running') return true;
+
+	if (!startModule(module)) {
+		console.warn(`⚠️ Module "${name}" could not be enabled (${module.status})`);
+		return false;
+	}
+
+	// Dependents waiting on this module start too, in run order
+	runOrder().forEach(candidate => {
+		if (candidate.status === 'blocked' && dependenciesRunning(candidate)) {
+			startModule(candidate);
+		}
+	});
+
+	// The coordinator runs a fresh frame, which brings the newly started modules up to date
+	registryState.modulesChangedHandler?.();
+
+	if (REGISTRY_CONFIG.enableLogging) {
+		console.log(`🧩 Module "${name}" enabled`);
+	}
+	return true;
+}
+
+/**
+ * Register the coordinator's callback for modules started at runtime
+ * It should schedule a frame rather than run one, so the update happens inside a
+ * layout frame with a current snapshot (layoutSnapshot.js)
+ * @param {function(): void} handler
+ */
+function onModulesChanged(handler) {
+	registryState.modulesChangedHandler = handler;
+}
+
+/**
+ * Disable a module at runtime, with the modules that depend on it
+ * @param {string} name - Module name
+ * @returns {boolean} Whether the module was known
+ */
+function disableModule(name) {
+	const module = registryState.modules.get(name);
+	if (!module) {
+		console.warn(`⚠️ Cannot disable unknown module "${name}"`);
+		return false;
+	}
+
+	stopModule(module, 'disabled');
+
+	if (REGISTRY_CONFIG.enableLogging) {
+		console.log(`🧩 Module "${name}" disabled`);
+	}
+	return true;
+}
+
+/**
+ * Status of every module, in run order
+ * @returns {Object} Module name -> 'registered' | 'running' | 'disabled' | 'blocked' | 'failed'
+ */
+function getModuleStatuses() {
+	return Object.fromEntries([...registryState.modules.values()]
+		.sort((a, b) => runOrder().indexOf(a) - runOrder().indexOf(b))
+		.map(module => [module.name, module.status]));
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	registerModule,
+	initializeModules,
+	destroyModules,
+	updateModules,
+	resizeModules,
+	enableModule,
+	disableModule,
+	onModulesChanged,
+	getModuleStatuses,
+	REGISTRY_CONFIG
+};
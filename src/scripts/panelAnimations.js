@@ -10,6 +10,8 @@
  * Works dynamically with any number of content-panel-small and content-panel-large elements
  */
 
+import { getLayoutSnapshot, queueLayoutWrite } from './layoutSnapshot.js';
+
 /**
  * Configuration for panel animations
  */
@@ -31,6 +33,15 @@ const PANEL_ANIMATION_CONFIG = {
 	resetThreshold: 0 // Threshold for resetting animations when off-screen
 };
 
+/**
+ * Pending timers and animated panels, released by destroyPanelAnimations()
+ */
+let panelAnimationState = {
+	initialUpdateTimer: null,
+	linkTimers: new Set(), // Staggered link animations not yet shown
+	animatedPanels: new Set() // Panels whose links have animated in
+};
+
 /**
  * Calculate animation progress for a panel based on its viewport position
  * @param {DOMRect} rect - Panel's bounding rectangle
@@ -116,6 +127,7 @@ function updatePanelLinks(panel, isFullyVisible, isOffScreen) {
 	// Reset animation when panel is off screen
 	if (isOffScreen) {
 		panel.dataset.linksAnimated = "false";
+		panelAnimationState.animatedPanels.delete(panel);
 		links.forEach((link) => {
 			link.classList.remove(PANEL_ANIMATION_CONFIG.linkAnimationClass);
 		});
@@ -125,11 +137,14 @@ function updatePanelLinks(panel, isFullyVisible, isOffScreen) {
 	// Trigger staggered link animation when panel is fully visible
 	if (isFullyVisible && panel.dataset.linksAnimated !== "true") {
 		panel.dataset.linksAnimated = "true";
+		panelAnimationState.animatedPanels.add(panel);
 
 		links.forEach((link, index) => {
-			setTimeout(() => {
+			const timer = setTimeout(() => {
+				panelAnimationState.linkTimers.delete(timer);
 				link.classList.add(PANEL_ANIMATION_CONFIG.linkAnimationClass);
 			}, index * PANEL_ANIMATION_CONFIG.linkStaggerDelay);
+			panelAnimationState.linkTimers.add(timer);
 		});
 
 		// Links animated successfully
@@ -140,24 +155,22 @@ function updatePanelLinks(panel, isFullyVisible, isOffScreen) {
  * Update animations for all content panels
  * Call this function on scroll events
  * 
- * @param {number} viewportHeight - Current viewport height
+ * @param {Object} [snapshot] - Layout snapshot of this frame (layoutSnapshot.js)
  */
-export function updatePanelAnimations(viewportHeight) {
-	// Get all content panels (small, large, and menu)
-	const smallPanels = document.querySelectorAll(".content-panel-small");
-	const largePanels = document.querySelectorAll(".content-panel-large");
-	const menuPanels = document.querySelectorAll(".content-menu");
-	const allPanels = [...smallPanels, ...largePanels, ...menuPanels];
-
-	// Update animations for each panel
-	allPanels.forEach((panel, index) => {
-		const rect = panel.getBoundingClientRect();
-		const animationData = calculatePanelAnimation(rect, viewportHeight);
-
-		// Update all panel animations
-		updatePanelOpacity(panel, animationData.animationProgress);
-		updatePanelDivider(panel, animationData.animationProgress);
-		updatePanelLinks(panel, animationData.isFullyVisible, animationData.isOffScreen);
+export function updatePanelAnimations(snapshot = getLayoutSnapshot()) {
+	// Read every content panel (small, large, and menu) first
+	const updates = snapshot.panels.map(panel => ({
+		panel,
+		animationData: calculatePanelAnimation(snapshot.rect(panel), snapshot.viewportHeight)
+	}));
+
+	// Update all panel animations once every updater has read the layout
+	queueLayoutWrite(() => {
+		updates.forEach(({ panel, animationData }) => {
+			updatePanelOpacity(panel, animationData.animationProgress);
+			updatePanelDivider(panel, animationData.animationProgress);
+			updatePanelLinks(panel, animationData.isFullyVisible, animationData.isOffScreen);
+		});
 	});
 }
 
@@ -169,10 +182,30 @@ export function initializePanelAnimations() {
 	// Initialize panel animations silently
 
 	// Initial animation update to set proper states
-	setTimeout(() => {
-		updatePanelAnimations(window.innerHeight);
+	clearTimeout(panelAnimationState.initialUpdateTimer);
+	panelAnimationState.initialUpdateTimer = setTimeout(() => {
+		panelAnimationState.initialUpdateTimer = null;
+		updatePanelAnimations();
 	}, 100);
 }
 
+/**
+ * Cancel pending animations and reset the animated links
+ * Call this function before the page is replaced (client-side navigation)
+ */
+export function destroyPanelAnimations() {
+	const state = panelAnimationState;
+
+	clearTimeout(state.initialUpdateTimer);
+	state.initialUpdateTimer = null;
+
+	state.linkTimers.forEach(timer => clearTimeout(timer));
+	state.linkTimers.clear();
+
+	// Same reset as a panel leaving the screen, so persisted panels animate in again
+	state.animatedPanels.forEach(panel => updatePanelLinks(panel, false, true));
+	state.animatedPanels.clear();
+}
+
 // Export configuration for external access if needed
 export { PANEL_ANIMATION_CONFIG };
@@ -10,6 +10,8 @@
  * The progress system provides visual feedback about user's journey through content
  */
 
+import { getLayoutSnapshot, queueLayoutWrite } from './layoutSnapshot.js';
+
 /**
  * Configuration for progress system behavior
  */
@@ -34,15 +36,13 @@ const PROGRESS_CONFIG = {
  * Calculate smooth progress from hero section through all content panels
  * Progress reaches 100% when the final content panel bottom reaches viewport bottom (full page consumed)
  * 
- * @param {number} viewportHeight - Current viewport height
+ * @param {Object} snapshot - Layout snapshot of this frame (layoutSnapshot.js)
  * @returns {Object} Progress data including smoothProgress value and last panel reference
  */
-function calculateContentProgress(viewportHeight) {
+function calculateContentProgress(snapshot) {
+	const { viewportHeight } = snapshot;
 	const heroSection = document.querySelector("main");
-	const smallPanels = document.querySelectorAll(".content-panel-small");
-	const largePanels = document.querySelectorAll(".content-panel-large");
-	const menuPanels = document.querySelectorAll(".content-menu");
-	const allContentPanels = [...smallPanels, ...largePanels, ...menuPanels];
+	const allContentPanels = snapshot.panels;
 	let smoothProgress = 0;
 	let lastPanel = null;
 
@@ -50,8 +50,8 @@ function calculateContentProgress(viewportHeight) {
 	if (allContentPanels.length > 0) {
 		let lowestBottom = -Infinity;
 		allContentPanels.forEach(panel => {
-			const rect = panel.getBoundingClientRect();
-			const absoluteBottom = rect.bottom + window.pageYOffset;
+			const rect = snapshot.rect(panel);
+			const absoluteBottom = rect.bottom + snapshot.scrollPosition;
 			if (absoluteBottom > lowestBottom) {
 				lowestBottom = absoluteBottom;
 				lastPanel = panel;
@@ -64,8 +64,8 @@ function calculateContentProgress(viewportHeight) {
 	}
 
 	if (heroSection && lastPanel) {
-		const heroRect = heroSection.getBoundingClientRect();
-		const lastRect = lastPanel.getBoundingClientRect();
+		const heroRect = snapshot.rect(heroSection);
+		const lastRect = snapshot.rect(lastPanel);
 
 		// Journey starts when we begin scrolling away from hero (hero top reaches viewport top)  
 		// Journey ends when LAST panel bottom reaches viewport bottom (full page consumed)
@@ -91,7 +91,7 @@ function calculateContentProgress(viewportHeight) {
 	return {
 		smoothProgress,
 		lastPanel,
-		totalPanels: smallPanels.length
+		totalPanels: allContentPanels.filter(panel => panel.matches(".content-panel-small")).length
 	};
 }
 
@@ -133,16 +133,18 @@ function updateCompassRotation(progress) {
  * Update the entire progress system
  * Call this function on scroll events
  * 
- * @param {number} viewportHeight - Current viewport height
+ * @param {Object} [snapshot] - Layout snapshot of this frame (layoutSnapshot.js)
  * @returns {Object} Progress data for use by other systems
  */
-export function updateProgressSystem(viewportHeight) {
+export function updateProgressSystem(snapshot = getLayoutSnapshot()) {
 	// Calculate progress based on content position
-	const progressData = calculateContentProgress(viewportHeight);
+	const progressData = calculateContentProgress(snapshot);
 
-	// Update visual elements
-	updateProgressRing(progressData.smoothProgress);
-	updateCompassRotation(progressData.smoothProgress);
+	// Update visual elements once every updater has read the layout
+	queueLayoutWrite(() => {
+		updateProgressRing(progressData.smoothProgress);
+		updateCompassRotation(progressData.smoothProgress);
+	});
 
 	// Progress updated silently
 
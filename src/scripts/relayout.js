@@ -0,0 +1,192 @@
+/**
+ * RELAYOUT SIGNAL
+ *
+ * One debounced signal for every change that moves the page's geometry:
+ * - Window resize and orientation changes
+ * - The content column changing size (ResizeObserver), e.g. late-loading images
+ * - Web fonts finishing loading (document.fonts)
+ * - Elements added to or removed from the content column (MutationObserver)
+ *
+ * A burst of changes fires the signal once. The main coordinator runs every
+ * module's resize hook on it, and component scripts can listen for the
+ * atlas:relayout window event.
+ */
+
+/**
+ * Configuration for the relayout signal
+ */
+const RELAYOUT_CONFIG = {
+	// Content column watched for size changes and added or removed elements
+	contentSelector: '.main-content',
+
+	// Quiet time (ms) before a burst of changes fires the signal
+	debounceDelay: 100,
+
+	// Window event fired with the signal (detail.reasons lists what changed)
+	eventName: 'atlas:relayout',
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Relayout state
+ */
+let relayoutState = {
+	isInitialized: false,
+	handlers: new Set(),
+	reasons: new Set(), // What changed since the last signal
+	timer: null,
+	contentSize: null, // Last size of the content column seen by the ResizeObserver
+	resizeObserver: null,
+	mutationObserver: null,
+	listeners: [] // [target, type, listener] to remove on destroy
+};
+
+/**
+ * Fire the signal for everything that changed during the burst
+ */
+function fireRelayout() {
+	relayoutState.timer = null;
+	const reasons = [...relayoutState.reasons];
+	relayoutState.reasons.clear();
+
+	if (RELAYOUT_CONFIG.enableLogging) {
+		console.log(`📏 Relayout: ${reasons.join(', ')}`);
+	}
+
+	relayoutState.handlers.forEach(handler => {
+		try {
+			handler(reasons);
+		} catch (error) {
+			console.error('❌ Relayout handler failed:', error);
+		}
+	});
+
+	window.dispatchEvent(new CustomEvent(RELAYOUT_CONFIG.eventName, { detail: { reasons } }));
+}
+
+/**
+ * Ask for a relayout; requests within the debounce delay fire once
+ * @param {string} reason - What changed (for logging)
+ */
+function requestRelayout(reason) {
+	if (!relayoutState.isInitialized) return;
+
+	relayoutState.reasons.add(reason);
+	clearTimeout(relayoutState.timer);
+	relayoutState.timer = setTimeout(fireRelayout, RELAYOUT_CONFIG.debounceDelay);
+}
+
+/**
+ * Call a handler on every relayout signal
+ * @param {Function} handler - Called with the list of reasons
+ * @returns {Function} Unsubscribe
+ */
+function onRelayout(handler) {
+	relayoutState.handlers.add(handler);
+	return () => relayoutState.handlers.delete(handler);
+}
+
+/**
+ * Listen to an event until destroyRelayout()
+ */
+function listen(target, type, listener) {
+	target.addEventListener(type, listener);
+	relayoutState.listeners.push([target, type, listener]);
+}
+
+/**
+ * The content column changed size (the observer also reports it once when it starts)
+ */
+function handleContentResize(entries) {
+	const { width, height } = entries[entries.length - 1].contentRect;
+	const last = relayoutState.contentSize;
+	relayoutState.contentSize = { width, height };
+
+	if (last && (last.width !== width || last.height !== height)) {
+		requestRelayout('content size');
+	}
+}
+
+/**
+ * Elements were added to or removed from the content column
+ * Text updates (counters, labels) replace only text nodes and are ignored.
+ */
+function handleContentMutations(records) {
+	const isElement = node => node.nodeType === Node.ELEMENT_NODE;
+	const changed = records.some(record =>
+		[...record.addedNodes].some(isElement) || [...record.removedNodes].some(isElement));
+
+	if (changed) {
+		requestRelayout('content changed');
+	}
+}
+
+/**
+ * Initialize the relayout signal
+ * Call this function when the page loads
+ */
+function initializeRelayout() {
+	if (relayoutState.isInitialized) return;
+	relayoutState.isInitialized = true;
+
+	listen(window, 'resize', () => requestRelayout('resize'));
+	if (screen.orientation) {
+		listen(screen.orientation, 'change', () => requestRelayout('orientation'));
+	} else {
+		listen(window, 'orientationchange', () => requestRelayout('orientation'));
+	}
+
+	// Fonts swapped in after the first layout change text metrics
+	if (document.fonts) {
+		document.fonts.ready.then(() => requestRelayout('fonts'));
+		listen(document.fonts, 'loadingdone', () => requestRelayout('fonts'));
+	}
+
+	const content = document.querySelector(RELAYOUT_CONFIG.contentSelector);
+	if (!content) {
+		console.warn(`⚠️ Relayout content column not found: ${RELAYOUT_CONFIG.contentSelector}`);
+	} else {
+		if ('ResizeObserver' in window) {
+			relayoutState.resizeObserver = new ResizeObserver(handleContentResize);
+			relayoutState.resizeObserver.observe(content);
+		}
+
+		relayoutState.mutationObserver = new MutationObserver(handleContentMutations);
+		relayoutState.mutationObserver.observe(content, { childList: true, subtree: true });
+	}
+
+	if (RELAYOUT_CONFIG.enableLogging) {
+		console.log('📏 Relayout signal ready');
+	}
+}
+
+/**
+ * Stop watching for layout changes
+ */
+function destroyRelayout() {
+	clearTimeout(relayoutState.timer);
+	relayoutState.resizeObserver?.disconnect();
+	relayoutState.mutationObserver?.disconnect();
+	relayoutState.listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener));
+
+	relayoutState.isInitialized = false;
+	relayoutState.timer = null;
+	relayoutState.contentSize = null;
+	relayoutState.resizeObserver = null;
+	relayoutState.mutationObserver = null;
+	relayoutState.listeners = [];
+	relayoutState.reasons.clear();
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeRelayout,
+	destroyRelayout,
+	requestRelayout,
+	onRelayout,
+	RELAYOUT_CONFIG
+};
@@ -11,6 +11,8 @@
  * their journey through the content panels
  */
 
+import { getLayoutSnapshot, queueLayoutWrite } from './layoutSnapshot.js';
+
 /**
  * Configuration for scroll behavior
  */
@@ -34,13 +36,11 @@ const SCROLL_BEHAVIOR_CONFIG = {
 
 /**
  * Calculate current scroll progress
+ * @param {Object} snapshot - Layout snapshot (layoutSnapshot.js)
  * @returns {Object} Scroll data including position and progress
  */
-function calculateScrollData() {
-	const scrollPosition = window.pageYOffset;
-	const documentHeight = document.documentElement.scrollHeight - window.innerHeight;
-	const scrollProgress = Math.min(1, Math.max(0, scrollPosition / documentHeight));
-	const viewportHeight = window.innerHeight;
+function calculateScrollData(snapshot) {
+	const { scrollPosition, documentHeight, scrollProgress, viewportHeight } = snapshot;
 
 	return {
 		scrollPosition,
@@ -53,9 +53,9 @@ function calculateScrollData() {
 /**
  * Handle logo and background movement based on progress and panel position
  * @param {Object} progressData - Progress data from progress system
- * @param {number} viewportHeight - Current viewport height
+ * @param {Object} snapshot - Layout snapshot of this frame
  */
-function handleLogoMovement(progressData, viewportHeight) {
+function handleLogoMovement(progressData, snapshot) {
 	// Get elements to move
 	const heroImage = document.querySelector(".hero-image");
 	const masterBackground = document.querySelector(".master-background");
@@ -64,7 +64,7 @@ function handleLogoMovement(progressData, viewportHeight) {
 		return;
 	}
 
-	const rect = progressData.lastPanel.getBoundingClientRect();
+	const rect = snapshot.rect(progressData.lastPanel);
 	const panelTop = rect.top;
 
 	// Logo only starts moving AFTER progress ring reaches 100% (last panel at target position)
@@ -75,15 +75,19 @@ function handleLogoMovement(progressData, viewportHeight) {
 		const scrollOffset = Math.abs(panelTop) * SCROLL_BEHAVIOR_CONFIG.movementMultiplier;
 
 		// Move both hero image and background together as one unit
-		heroImage.style.transform = `translateY(-${scrollOffset}px)`;
-		masterBackground.style.transform = `translateY(-${scrollOffset}px)`;
+		queueLayoutWrite(() => {
+			heroImage.style.transform = `translateY(-${scrollOffset}px)`;
+			masterBackground.style.transform = `translateY(-${scrollOffset}px)`;
+		});
 
 		console.log(`Logo movement active: offset ${scrollOffset}px`);
 
 	} else {
 		// Keep logo fixed until progress ring is complete
-		heroImage.style.transform = SCROLL_BEHAVIOR_CONFIG.resetPosition;
-		masterBackground.style.transform = SCROLL_BEHAVIOR_CONFIG.resetPosition;
+		queueLayoutWrite(() => {
+			heroImage.style.transform = SCROLL_BEHAVIOR_CONFIG.resetPosition;
+			masterBackground.style.transform = SCROLL_BEHAVIOR_CONFIG.resetPosition;
+		});
 	}
 }
 
@@ -92,12 +96,13 @@ function handleLogoMovement(progressData, viewportHeight) {
  * Coordinates all scroll-based behaviors
  * 
  * @param {Object} progressData - Progress data from progress system
+ * @param {Object} [snapshot] - Layout snapshot of this frame (layoutSnapshot.js)
  */
-export function updateScrollBehavior(progressData) {
-	const scrollData = calculateScrollData();
+export function updateScrollBehavior(progressData, snapshot = getLayoutSnapshot()) {
+	const scrollData = calculateScrollData(snapshot);
 
 	// Handle logo movement based on progress completion
-	handleLogoMovement(progressData, scrollData.viewportHeight);
+	handleLogoMovement(progressData, snapshot);
 
 	return scrollData;
 }
@@ -129,7 +134,7 @@ export function initializeScrollBehavior() {
  * @returns {Object} Current scroll position and progress data
  */
 export function getCurrentScrollData() {
-	return calculateScrollData();
+	return calculateScrollData(getLayoutSnapshot());
 }
 
 // Export configuration for external access if needed
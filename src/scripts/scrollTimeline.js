@@ -0,0 +1,317 @@
+/**
+ * SCROLL TIMELINE
+ *
+ * Shared scroll timeline keyed to named anchors instead of document percentages:
+ * - An anchor is the scroll position where an element edge meets a line in the
+ *   viewport, e.g. "when the top of #devdocs reaches the middle of the viewport"
+ * - Anchors are declared in TIMELINE_CONFIG.anchors, or on elements with a
+ *   data-scroll-anchor attribute (panels take a scrollAnchor prop)
+ * - Effects subscribe to a list of anchors and receive the segment the page is
+ *   scrolled into and the progress through it, so adding a panel only moves
+ *   the effects keyed to anchors below it
+ * - Anchor positions are measured once and again after the window is resized,
+ *   and on every page after a client-side navigation
+ */
+
+import { getLayoutSnapshot } from './layoutSnapshot.js';
+
+/**
+ * Configuration for the scroll timeline
+ */
+const TIMELINE_CONFIG = {
+	// Element anchors: data-scroll-anchor="name" or "name:edge@viewport", space separated,
+	// e.g. data-scroll-anchor="panels-start:top@0.5 panels-end:bottom@0"
+	anchorAttribute: 'data-scroll-anchor',
+
+	// Defaults for anchors that leave out the edge or viewport line
+	defaultEdge: 'top', // 'top' | 'center' | 'bottom' of the element
+	defaultViewport: 0.5, // Viewport line the edge meets (0 = top, 0.5 = middle, 1 = bottom)
+
+	// Named anchors: {position: 'start' | 'end'} for the ends of the document, or
+	// {selector, edge, viewport} for an element; offset (in viewport heights) shifts either
+	anchors: {
+		'page-start': { position: 'start' },
+		'page-end': { position: 'end' },
+
+		// Title box (titleBoxing.js)
+		'title-boxing-start': { position: 'start', offset: 0.01 },
+		'title-boxed': { selector: '.main-content > main', edge: 'center', viewport: 0 },
+		'title-scrollable': { selector: '.scroll-content', edge: 'top', viewport: 1 }
+	},
+
+	// Debug
+	enableLogging: false
+};
+
+/**
+ * Fraction of the element height for each edge
+ */
+const EDGE_FRACTIONS = {
+	top: 0,
+	center: 0.5,
+	bottom: 1
+};
+
+/**
+ * Timeline state
+ */
+let timelineState = {
+	isInitialized: false,
+	positions: new Map(), // Anchor name -> scroll position (px)
+	warnedAnchors: new Set(), // Missing anchors already reported
+	subscriptions: new Set(),
+	scroll: 0
+};
+
+/**
+ * Parse one data-scroll-anchor token
+ * @param {string} token - "name" or "name:edge@viewport" (edge and viewport both optional)
+ * @returns {Object|null} {name, edge, viewport}, or null if it is invalid
+ */
+function parseAnchorToken(token) {
+	const match = token.match(/^([\w-]+)(?::(top|center|bottom))?(?:@([\d.]+))?$/);
+	if (!match) {
+		console.warn(`⚠️ Ignoring invalid scroll anchor: ${token}`);
+		return null;
+	}
+
+	const [, name, edge = TIMELINE_CONFIG.defaultEdge, viewport] = match;
+	return {
+		name,
+		edge,
+		viewport: viewport === undefined ? TIMELINE_CONFIG.defaultViewport : Number(viewport)
+	};
+}
+
+/**
+ * Top of an element in the document, ignoring transforms
+ * Panels slide in with transforms, which must not move their anchors
+ */
+function documentTop(element) {
+	let top = 0;
+	for (let node = element; node; node = node.offsetParent) {
+		top += node.offsetTop;
+	}
+	return top;
+}
+
+/**
+ * Scroll position of an anchor
+ * @param {Object} anchor - {position} or {element, edge, viewport}, with an optional offset
+ * @param {number} viewportHeight - Window height (px)
+ * @param {number} maxScroll - Largest scroll position (px)
+ * @returns {number} Scroll position, clamped to the document
+ */
+function measureAnchor(anchor, viewportHeight, maxScroll) {
+	let position;
+	if (anchor.position === 'start') {
+		position = 0;
+	} else if (anchor.position === 'end') {
+		position = maxScroll;
+	} else {
+		const edge = EDGE_FRACTIONS[anchor.edge ?? TIMELINE_CONFIG.defaultEdge] ?? 0;
+		const viewport = anchor.viewport ?? TIMELINE_CONFIG.defaultViewport;
+		position = documentTop(anchor.element) + anchor.element.offsetHeight * edge - viewportHeight * viewport;
+	}
+
+	position += (anchor.offset ?? 0) * viewportHeight;
+	return Math.min(maxScroll, Math.max(0, position));
+}
+
+/**
+ * Measure every configured and declared anchor
+ */
+function measureAnchors() {
+	const viewportHeight = window.innerHeight;
+	const maxScroll = Math.max(0, document.documentElement.scrollHeight - viewportHeight);
+	const positions = new Map();
+
+	Object.entries(TIMELINE_CONFIG.anchors).forEach(([name, anchor]) => {
+		if (anchor.position) {
+			positions.set(name, measureAnchor(anchor, viewportHeight, maxScroll));
+			return;
+		}
+
+		const element = document.querySelector(anchor.selector);
+		if (element) {
+			positions.set(name, measureAnchor({ ...anchor, element }, viewportHeight, maxScroll));
+		}
+	});
+
+	document.querySelectorAll(`[${TIMELINE_CONFIG.anchorAttribute}]`).forEach(element => {
+		element.getAttribute(TIMELINE_CONFIG.anchorAttribute).split(/\s+/).filter(Boolean).forEach(token => {
+			const anchor = parseAnchorToken(token);
+			if (!anchor) return;
+
+			if (positions.has(anchor.name)) {
+				console.warn(`⚠️ Scroll anchor "${anchor.name}" is declared more than once, keeping the first`);
+				return;
+			}
+			positions.set(anchor.name, measureAnchor({ ...anchor, element }, viewportHeight, maxScroll));
+		});
+	});
+
+	timelineState.positions = positions;
+
+	if (TIMELINE_CONFIG.enableLogging) {
+		const list = [...positions].map(([name, position]) => `${name}=${Math.round(position)}px`).join(', ');
+		console.log(`🧭 Scroll anchors: ${list}`);
+	}
+}
+
+/**
+ * Scroll position of a named anchor
+ * @param {string} name - Anchor name
+ * @returns {number|null} Scroll position (px), or null if the page has no such anchor
+ */
+function getScrollAnchor(name) {
+	return timelineState.positions.get(name) ?? null;
+}
+
+/**
+ * Find the segment of an anchor list the page is scrolled into
+ * A missing anchor collapses onto the one before it, and so do anchors that
+ * measure out of order, so a segment never runs backwards.
+ * @param {string[]} anchors - Anchor names, in timeline order
+ * @param {number} scroll - Scroll position (px)
+ * @returns {Object} {index, progress, before, after}: segment index (0 to anchors.length - 2),
+ *   progress through it (0-1), and whether the page is above the first or past the last anchor
+ */
+function resolveSegment(anchors, scroll) {
+	const positions = [];
+	anchors.forEach(name => {
+		let position = getScrollAnchor(name);
+		if (position === null && !timelineState.warnedAnchors.has(name)) {
+			timelineState.warnedAnchors.add(name);
+			console.warn(`⚠️ Scroll anchor "${name}" not found on this page`);
+		}
+		const previous = positions.length ? positions[positions.length - 1] : 0;
+		positions.push(Math.max(previous, position ?? previous));
+	});
+
+	const lastIndex = positions.length - 2;
+	if (scroll < positions[0]) {
+		return { index: 0, progress: 0, before: true, after: false };
+	}
+	if (scroll >= positions[positions.length - 1]) {
+		return { index: lastIndex, progress: 1, before: false, after: true };
+	}
+
+	// The last anchor the page has passed opens the segment
+	let index = 0;
+	while (index < lastIndex && positions[index + 1] <= scroll) index++;
+
+	const start = positions[index];
+	const end = positions[index + 1];
+	return { index, progress: (scroll - start) / (end - start), before: false, after: false };
+}
+
+/**
+ * Call a subscriber if its segment or progress changed
+ */
+function dispatch(subscription) {
+	const segment = resolveSegment(subscription.anchors, timelineState.scroll);
+	const last = subscription.lastSegment;
+	if (last && last.index === segment.index && last.progress === segment.progress &&
+		last.before === segment.before && last.after === segment.after) {
+		return;
+	}
+
+	subscription.lastSegment = segment;
+	subscription.handler(segment);
+}
+
+/**
+ * Subscribe an effect to the timeline between named anchors
+ * The handler runs once the timeline is initialized, then whenever its segment
+ * or the progress through it changes.
+ * @param {string[]} anchors - At least two anchor names, in timeline order
+ * @param {Function} handler - Called with {index, progress, before, after} (see resolveSegment)
+ * @returns {Function} Unsubscribe
+ */
+function subscribeScrollTimeline(anchors, handler) {
+	if (anchors.length < 2) {
+		throw new Error('A scroll timeline subscription needs at least two anchors');
+	}
+
+	const subscription = { anchors, handler, lastSegment: null };
+	timelineState.subscriptions.add(subscription);
+	if (timelineState.isInitialized) dispatch(subscription);
+
+	return () => timelineState.subscriptions.delete(subscription);
+}
+
+/**
+ * Update subscribers for the current scroll position
+ * Called from the main scroll handler, before effects that read the timeline
+ * @param {Object} [snapshot] - Layout snapshot of this frame (layoutSnapshot.js)
+ */
+function updateScrollTimeline(snapshot = getLayoutSnapshot()) {
+	if (!timelineState.isInitialized) return;
+
+	timelineState.scroll = snapshot.scrollPosition;
+	timelineState.subscriptions.forEach(dispatch);
+}
+
+/**
+ * Re-measure anchors (after layout changes) and update subscribers
+ * Called from the main coordinator after the window is resized
+ */
+function refreshScrollTimeline() {
+	if (!timelineState.isInitialized) return;
+
+	measureAnchors();
+	updateScrollTimeline();
+}
+
+/**
+ * Start over on a new page (client-side navigation)
+ * Subscriptions are kept; anchors are measured on the new page and missing ones reported again.
+ */
+function reloadScrollTimeline() {
+	if (!timelineState.isInitialized) return;
+
+	timelineState.warnedAnchors.clear();
+	timelineState.subscriptions.forEach(subscription => { subscription.lastSegment = null; });
+	refreshScrollTimeline();
+}
+
+/**
+ * Initialize the scroll timeline
+ * Call this function when the page loads, before the effects that subscribe to it
+ */
+function initializeScrollTimeline() {
+	if (timelineState.isInitialized) return;
+
+	timelineState.isInitialized = true;
+	measureAnchors();
+	timelineState.scroll = window.pageYOffset;
+
+	if (TIMELINE_CONFIG.enableLogging) {
+		console.log(`🧭 Scroll timeline ready with ${timelineState.positions.size} anchors`);
+	}
+}
+
+/**
+ * Drop every anchor and subscription
+ */
+function destroyScrollTimeline() {
+	timelineState.isInitialized = false;
+	timelineState.positions = new Map();
+	timelineState.subscriptions.clear();
+	timelineState.warnedAnchors.clear();
+}
+
+/**
+ * Export functions for use in main coordinator
+ */
+export {
+	initializeScrollTimeline,
+	updateScrollTimeline,
+	refreshScrollTimeline,
+	reloadScrollTimeline,
+	destroyScrollTimeline,
+	subscribeScrollTimeline,
+	getScrollAnchor,
+	TIMELINE_CONFIG
+};
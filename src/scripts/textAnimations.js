@@ -33,6 +33,12 @@ const TEXT_ANIMATION_CONFIG = {
 	]
 };
 
+/**
+ * Running animations and the text splits they animate (reverted on destroy)
+ */
+let activeAnimations = [];
+let activeSplits = [];
+
 /**
  * General helper function to ensure all instances are processed
  * @param {string} selector - CSS selector for elements to animate
@@ -57,16 +63,18 @@ function animateAllText(selector, splitOptions, animationConfig) {
 	const elements = document.querySelectorAll(selector);
 
 	elements.forEach((element, index) => {
-		const { words } = splitText(element, splitOptions);
+		const split = splitText(element, splitOptions);
+		const { words } = split;
+		activeSplits.push(split);
 
 		// Create independent animation for each paragraph
 		// Add a base delay offset for each paragraph but keep same stagger direction
 		const baseDelay = index * TEXT_ANIMATION_CONFIG.paragraphDelay;
 
-		animate(words, {
+		activeAnimations.push(animate(words, {
 			...animationConfig,
 			delay: (el, i) => baseDelay + i * (animationConfig.delay?.stagger || TEXT_ANIMATION_CONFIG.staggerDelay),
-		});
+		}));
 	});
 }
 
@@ -94,5 +102,16 @@ export function initializeTextAnimations() {
 	// Text animations initialized
 }
 
+/**
+ * Stop the looping animations and restore the original text
+ * Call this function before the page is replaced (client-side navigation)
+ */
+export function destroyTextAnimations() {
+	activeAnimations.forEach(animation => animation.revert());
+	activeSplits.forEach(split => split.revert());
+	activeAnimations = [];
+	activeSplits = [];
+}
+
 // Export configuration for external access if needed
 export { TEXT_ANIMATION_CONFIG };
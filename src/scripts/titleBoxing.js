@@ -11,18 +11,21 @@
  * - CSS class-based animations for smooth transitions
  * - Performance optimized with CSS transitions
  * - Responsive design support
+ * - Phases keyed to scroll timeline anchors (scrollTimeline.js)
  */
 
+import { subscribeScrollTimeline } from './scrollTimeline.js';
+import { getLayoutSnapshot, queueLayoutWrite } from './layoutSnapshot.js';
+
 /**
  * Configuration for animated title box
  */
 const TITLE_BOX_CONFIG = {
-    // Animation phases and timing
-    boxingStartPercent: 0.01,    // Start boxing immediately when scrolling starts
-    boxingEndPercent: 0.13,      // Complete boxing at 13% scroll (twice as fast - 12% range)
-    moveStartPercent: 0.13,      // Start moving to top at 13% scroll
-    moveEndPercent: 0.35,        // Complete move to top at 35% scroll (faster movement)
-    makeScrollablePercent: 0.4,  // Make scrollable at 40% scroll (well before content panels)
+    // Animation phases, as scroll timeline anchors (TIMELINE_CONFIG.anchors)
+    boxingStartAnchor: 'title-boxing-start', // Start boxing immediately when scrolling starts
+    boxingEndAnchor: 'title-boxed',          // Complete boxing halfway through the hero
+    moveStartAnchor: 'title-boxed',          // Start moving to top as soon as the box is filled
+    makeScrollableAnchor: 'title-scrollable', // Make scrollable as the content enters the viewport
 
     // Debug
     enableLogging: false
@@ -34,6 +37,8 @@ const TITLE_BOX_CONFIG = {
 let animationState = {
     isInitialized: false,
     titleBox: null,
+    unsubscribe: null,
+    lastSegment: null, // Reapplied when the layout changes
     currentPhase: 'idle' // 'idle', 'boxing', 'boxed', 'moved', 'scrollable'
 };
 
@@ -55,33 +60,46 @@ function initializeTitleBoxing() {
 
     animationState.isInitialized = true;
 
+    // Phases follow the timeline; the first update sets the initial phase
+    const { boxingStartAnchor, boxingEndAnchor, moveStartAnchor, makeScrollableAnchor } = TITLE_BOX_CONFIG;
+    animationState.unsubscribe = subscribeScrollTimeline(
+        [boxingStartAnchor, boxingEndAnchor, moveStartAnchor, makeScrollableAnchor],
+        updateTitleBoxing
+    );
+
     if (TITLE_BOX_CONFIG.enableLogging) {
         console.log('✅ Animated title box controller initialized');
     }
 }
 
 /**
- * Calculate animation progress based on scroll position
+ * Main update function for animated title box
+ * Segments of the timeline: 0 = boxing, 1 = boxed, 2 = movement
+ * @param {Object} segment - Timeline segment from subscribeScrollTimeline()
  */
-function calculateScrollProgress() {
-    const scrollPosition = window.pageYOffset;
-    const viewportHeight = window.innerHeight;
-    const documentHeight = document.documentElement.scrollHeight;
+function updateTitleBoxing(segment) {
+    if (!animationState.isInitialized || !animationState.titleBox) return;
 
-    return Math.min(1, scrollPosition / (documentHeight - viewportHeight));
-}
+    animationState.lastSegment = segment;
 
+    // Read the layout now, write it with the rest of the frame
+    const snapshot = getLayoutSnapshot();
+    const layout = {
+        scrollPosition: snapshot.scrollPosition,
+        viewportHeight: snapshot.viewportHeight,
+        titleBoxHeight: snapshot.size(animationState.titleBox).height
+    };
+    queueLayoutWrite(() => applyTitlePhase(segment, layout));
+}
 
 /**
- * Main update function for animated title box
+ * Apply the phase of a timeline segment to the title box
+ * @param {Object} segment - Timeline segment from subscribeScrollTimeline()
+ * @param {Object} layout - {scrollPosition, viewportHeight, titleBoxHeight} read before any writes
  */
-function updateTitleBoxing() {
-    if (!animationState.isInitialized || !animationState.titleBox) return;
-
-    const scrollProgress = calculateScrollProgress();
-
+function applyTitlePhase(segment, layout) {
     // Determine which phase we're in
-    if (scrollProgress < TITLE_BOX_CONFIG.boxingStartPercent) {
+    if (segment.before) {
         // Idle phase - transparent box, fixed to viewport center
         animationState.titleBox.classList.remove('boxing', 'boxed', 'moved-to-top', 'scrollable');
         // Change to fixed positioning to prevent document scrolling
@@ -91,17 +109,13 @@ function updateTitleBoxing() {
         animationState.titleBox.style.transform = 'translate(-50%, -50%)';
         animationState.currentPhase = 'idle';
     }
-    else if (scrollProgress >= TITLE_BOX_CONFIG.boxingStartPercent &&
-        scrollProgress < TITLE_BOX_CONFIG.boxingEndPercent) {
+    else if (!segment.after && segment.index === 0) {
         // Boxing phase - progressive white fill, FIXED TO VIEWPORT (NO SCROLLING)
         animationState.titleBox.classList.add('boxing');
         animationState.titleBox.classList.remove('boxed', 'moved-to-top', 'scrollable');
 
-        // Calculate progressive fill opacity (0 to 1) over the boxing phase
-        const boxingStart = TITLE_BOX_CONFIG.boxingStartPercent;
-        const boxingEnd = TITLE_BOX_CONFIG.boxingEndPercent;
-        const fillProgress = (scrollProgress - boxingStart) / (boxingEnd - boxingStart);
-        const fillOpacity = Math.min(Math.max(fillProgress, 0), 1);
+        // Progressive fill opacity (0 to 1) over the boxing phase
+        const fillOpacity = segment.progress;
 
         // Set the progressive fill
         animationState.titleBox.style.setProperty('--fill-opacity', fillOpacity);
@@ -113,12 +127,11 @@ function updateTitleBoxing() {
         animationState.titleBox.style.transform = 'translate(-50%, -50%)';
 
         if (TITLE_BOX_CONFIG.enableLogging) {
-            console.log(`📦 BOXING: Progress ${(scrollProgress * 100).toFixed(1)}%, Fill opacity: ${fillOpacity.toFixed(3)} - FIXED STATIONARY`);
+            console.log(`📦 BOXING: Fill opacity: ${fillOpacity.toFixed(3)} - FIXED STATIONARY`);
         }
         animationState.currentPhase = 'boxing';
     }
-    else if (scrollProgress >= TITLE_BOX_CONFIG.boxingEndPercent &&
-        scrollProgress < TITLE_BOX_CONFIG.moveStartPercent) {
+    else if (!segment.after && segment.index === 1) {
         // Fully boxed phase - complete white fill, still stationary
         animationState.titleBox.classList.add('boxed');
         animationState.titleBox.classList.remove('boxing', 'moved-to-top', 'scrollable');
@@ -135,16 +148,13 @@ function updateTitleBoxing() {
         }
         animationState.currentPhase = 'boxed';
     }
-    else if (scrollProgress >= TITLE_BOX_CONFIG.moveStartPercent &&
-        scrollProgress < TITLE_BOX_CONFIG.makeScrollablePercent) {
+    else if (!segment.after && segment.index === 2) {
         // Movement phase - scroll-driven upward animation
         animationState.titleBox.classList.add('boxed');
         animationState.titleBox.classList.remove('moved-to-top', 'scrollable');
 
-        // Calculate movement progress (0 to 1) within this phase
-        const moveStart = TITLE_BOX_CONFIG.moveStartPercent;
-        const moveEnd = TITLE_BOX_CONFIG.makeScrollablePercent;
-        const moveProgress = (scrollProgress - moveStart) / (moveEnd - moveStart);
+        // Movement progress (0 to 1) within this phase
+        const moveProgress = segment.progress;
 
         // Transition from fixed position to final position
         if (animationState.currentPhase !== 'moved') {
@@ -157,13 +167,12 @@ function updateTitleBoxing() {
         }
 
         // Interpolate from center (current viewport center) to top (2rem) based on scroll progress
-        const currentScrollPos = window.pageYOffset;
-        const viewportHeight = window.innerHeight;
+        const { scrollPosition: currentScrollPos, viewportHeight, titleBoxHeight } = layout;
 
         // Start position: where the element actually is right now (fixed at viewport center)
         // When position:fixed top:50% left:50% transform:translate(-50%,-50%), 
         // the element is at viewport center, which in document space is:
-        const startYpx = currentScrollPos + (viewportHeight * 0.5) - (animationState.titleBox.offsetHeight * 0.5);
+        const startYpx = currentScrollPos + (viewportHeight * 0.5) - (titleBoxHeight * 0.5);
         // End position: 2rem from top of document  
         const endYpx = 32; // 2rem ≈ 32px
 
@@ -178,15 +187,25 @@ function updateTitleBoxing() {
 
         animationState.currentPhase = 'moved';
     }
-    else if (scrollProgress >= TITLE_BOX_CONFIG.makeScrollablePercent) {
+    else {
         // Scrollable phase - natural document flow
         animationState.titleBox.classList.add('boxed', 'moved-to-top', 'scrollable');
         animationState.titleBox.style.transform = ''; // Let CSS handle it
         animationState.currentPhase = 'scrollable';
     }
 
-    if (TITLE_BOX_CONFIG.enableLogging && scrollProgress > 0.01) {
-        console.log(`📦 Title box phase: ${animationState.currentPhase}, progress: ${(scrollProgress * 100).toFixed(1)}%`);
+    if (TITLE_BOX_CONFIG.enableLogging && !segment.before) {
+        console.log(`📦 Title box phase: ${animationState.currentPhase}, progress: ${(segment.progress * 100).toFixed(1)}%`);
+    }
+}
+
+/**
+ * Recompute the current phase for a new layout
+ * The movement phase positions the box from the viewport and box height
+ */
+function refreshTitleBoxing() {
+    if (animationState.lastSegment) {
+        updateTitleBoxing(animationState.lastSegment);
     }
 }
 
@@ -196,6 +215,9 @@ function updateTitleBoxing() {
 function cleanupTitleBoxing() {
     if (!animationState.isInitialized || !animationState.titleBox) return;
 
+    animationState.unsubscribe?.();
+    animationState.unsubscribe = null;
+
     // Reset all classes
     animationState.titleBox.classList.remove('boxing', 'boxed', 'moved-to-top', 'scrollable');
 
@@ -203,6 +225,8 @@ function cleanupTitleBoxing() {
     animationState.titleBox.style.removeProperty('--fill-opacity');
 
     animationState.isInitialized = false;
+    animationState.titleBox = null;
+    animationState.lastSegment = null;
     animationState.currentPhase = 'idle';
 
     if (TITLE_BOX_CONFIG.enableLogging) {
@@ -216,6 +240,7 @@ function cleanupTitleBoxing() {
 export {
     initializeTitleBoxing,
     updateTitleBoxing,
+    refreshTitleBoxing,
     cleanupTitleBoxing,
     TITLE_BOX_CONFIG
 };
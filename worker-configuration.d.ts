@@ -3,6 +3,7 @@
 // Runtime types generated with workerd@1.20250617.0 2025-10-08 nodejs_compat
 declare namespace Cloudflare {
 	interface Env {
+		CABLE_DATA: R2Bucket;
 		ASSETS: Fetcher;
 	}
 }